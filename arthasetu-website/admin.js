@@ -0,0 +1,420 @@
+/**
+ * ADMIN.JS
+ * Admin console: user management, site content (FAQ entries, courses) and course pre-registrations
+ * Works with auth.js (auth.request), courses.js (catalogue) and the /api/admin routes in server.js.
+ * The server rejects every admin call from non-admin sessions; hiding the page is only a convenience.
+ */
+
+class AdminConsole {
+    constructor() {
+        this.user = auth.getCurrentUser();
+        this.users = [];
+        this.content = { faqs: [], courses: [] };
+        this.catalogue = [];
+        this.registrations = {};
+        this.init();
+    }
+
+    async init() {
+        if (!auth.isAdmin()) {
+            window.location.href = 'index.html';
+            return;
+        }
+
+        // The cached user may be stale (role removed, account disabled), so ask the server
+        const session = await auth.refreshSession();
+        if (!session.success || !auth.isAdmin()) {
+            window.location.href = 'index.html';
+            return;
+        }
+
+        this.renderLayout();
+        await Promise.all([this.loadUsers(), this.loadContent('faqs'), this.loadRegistrations()]);
+        await this.loadContent('courses');
+    }
+
+    renderLayout() {
+        const container = document.getElementById('adminContainer');
+        if (!container) return;
+
+        const statusOptions = Object.entries(CourseCatalog.STATUS_LABELS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+
+        container.innerHTML = `
+            <section id="users">
+                <h2>Users</h2>
+                <div class="form-group">
+                    <input type="search" id="userSearch" placeholder="Search by name or email">
+                </div>
+                <div id="usersTable"></div>
+            </section>
+
+            <section id="faqs">
+                <h2>FAQ Entries</h2>
+                <div class="admin-form">
+                    <input type="hidden" id="faqId">
+                    <div class="form-group">
+                        <label for="faqQuestion">Question</label>
+                        <input type="text" id="faqQuestion">
+                    </div>
+                    <div class="form-group">
+                        <label for="faqAnswer">Answer</label>
+                        <textarea id="faqAnswer" rows="3"></textarea>
+                    </div>
+                    <div class="form-group">
+                        <label for="faqOrder">Display Order</label>
+                        <input type="number" id="faqOrder" value="0">
+                    </div>
+                    <button class="btn" onclick="adminConsole.saveFaq()">Save FAQ</button>
+                    <button class="btn btn-secondary" onclick="adminConsole.resetFaqForm()">Clear</button>
+                </div>
+                <div id="faqsTable"></div>
+            </section>
+
+            <section id="courses">
+                <h2>Courses</h2>
+                <div class="admin-form">
+                    <input type="hidden" id="courseId">
+                    <div class="form-group">
+                        <label for="courseTitle">Title</label>
+                        <input type="text" id="courseTitle">
+                    </div>
+                    <div class="form-group">
+                        <label for="courseSummary">Summary</label>
+                        <textarea id="courseSummary" rows="3"></textarea>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="courseStatus">Status</label>
+                            <select id="courseStatus">${statusOptions}</select>
+                        </div>
+                        <div class="form-group">
+                            <label for="courseLaunchDate">Launch Date</label>
+                            <input type="date" id="courseLaunchDate">
+                        </div>
+                    </div>
+                    <button class="btn" onclick="adminConsole.saveCourse()">Save Course</button>
+                    <button class="btn btn-secondary" onclick="adminConsole.resetCourseForm()">Clear</button>
+                </div>
+                <div id="coursesTable"></div>
+            </section>
+        `;
+
+        document.getElementById('userSearch').addEventListener('input', Utils.debounce(e => this.loadUsers(e.target.value), 300));
+    }
+
+    // ===== Users =====
+
+    async loadUsers(query = '') {
+        const result = await auth.request('GET', `/admin/users?q=${encodeURIComponent(query)}`);
+        if (!result.success) {
+            Utils.showNotification(result.error, 'error');
+            return;
+        }
+
+        this.users = result.users;
+        this.renderUsers(result.total);
+    }
+
+    renderUsers(total) {
+        const container = document.getElementById('usersTable');
+        if (this.users.length === 0) {
+            container.innerHTML = '<p class="empty-state">No users match your search.</p>';
+            return;
+        }
+
+        let html = `<p class="table-caption">Showing ${this.users.length} of ${total} accounts</p>
+            <table class="admin-table">
+                <thead>
+                    <tr><th>Name</th><th>Email</th><th>Role</th><th>Signed Up</th><th>Last Login</th><th>Activity</th><th>Status</th><th>Actions</th></tr>
+                </thead>
+                <tbody>`;
+
+        this.users.forEach((user, i) => {
+            const isSelf = user.email === this.user.email;
+            html += `
+                <tr class="${user.disabled ? 'disabled-row' : ''}">
+                    <td>${Utils.escapeHtml(user.name)}</td>
+                    <td>${Utils.escapeHtml(user.email)}</td>
+                    <td>${user.type === 'admin' ? '🛡️ Admin' : 'User'}</td>
+                    <td>${this.formatDate(user.createdAt)}</td>
+                    <td>${user.lastLoginAt ? this.formatDate(user.lastLoginAt) : '—'}</td>
+                    <td>${user.activity.logins} logins · ${user.activity.activeSessions} active · ${user.activity.riskAssessments} risk tests · ${user.activity.courseRegistrations} course pre-registrations</td>
+                    <td>${user.disabled ? 'Disabled' : 'Active'}</td>
+                    <td class="actions">
+                        ${isSelf ? '<em>You</em>' : `
+                            <button class="btn-small" onclick="adminConsole.setDisabled(${i}, ${!user.disabled})">${user.disabled ? 'Enable' : 'Disable'}</button>
+                            <button class="btn-small" onclick="adminConsole.setRole(${i}, '${user.type === 'admin' ? 'user' : 'admin'}')">${user.type === 'admin' ? 'Make User' : 'Make Admin'}</button>
+                            <button class="btn-small" onclick="adminConsole.resetPassword(${i})">Reset Password</button>
+                            <button class="btn-small btn-danger" onclick="adminConsole.deleteUser(${i})">Delete</button>
+                        `}
+                    </td>
+                </tr>`;
+        });
+
+        html += '</tbody></table>';
+        container.innerHTML = html;
+    }
+
+    /**
+     * Apply an admin change to one account, then reload the list
+     */
+    async updateUser(index, method, path, body) {
+        const user = this.users[index];
+        const result = await auth.request(method, `/admin/users/${encodeURIComponent(user.email)}${path}`, body);
+
+        if (!result.success) {
+            Utils.showNotification(result.error, 'error');
+            return null;
+        }
+
+        await this.loadUsers(document.getElementById('userSearch').value);
+        return result;
+    }
+
+    async setDisabled(index, disabled) {
+        const user = this.users[index];
+        if (disabled && !confirm(`Disable ${user.email}? They will be logged out everywhere.`)) return;
+
+        const result = await this.updateUser(index, 'PATCH', '', { disabled });
+        if (result) Utils.showNotification(`${user.email} ${disabled ? 'disabled' : 'enabled'}`, 'success');
+    }
+
+    async setRole(index, type) {
+        const user = this.users[index];
+        if (!confirm(`Change ${user.email} to ${type}?`)) return;
+
+        const result = await this.updateUser(index, 'PATCH', '', { type });
+        if (result) Utils.showNotification(`${user.email} is now ${type === 'admin' ? 'an admin' : 'a user'}`, 'success');
+    }
+
+    async resetPassword(index) {
+        const user = this.users[index];
+        if (!confirm(`Reset the password for ${user.email}? Their current sessions will end.`)) return;
+
+        const result = await this.updateUser(index, 'POST', '/reset-password');
+        if (result) {
+            prompt(`Temporary password for ${user.email} (share it securely; they should change it after logging in):`, result.temporaryPassword);
+        }
+    }
+
+    async deleteUser(index) {
+        const user = this.users[index];
+        if (!confirm(`Permanently delete ${user.email}? This cannot be undone.`)) return;
+
+        const result = await this.updateUser(index, 'DELETE', '');
+        if (result) Utils.showNotification(`${user.email} deleted`, 'success');
+    }
+
+    // ===== Content =====
+
+    async loadContent(collection) {
+        const result = await auth.request('GET', `/content/${collection}`);
+        if (!result.success) {
+            Utils.showNotification(result.error, 'error');
+            return;
+        }
+
+        this.content[collection] = result.items;
+        if (collection === 'faqs') {
+            this.renderFaqs();
+        } else {
+            this.catalogue = await CourseCatalog.load();
+            this.renderCourses();
+        }
+    }
+
+    async loadRegistrations() {
+        const result = await auth.request('GET', '/admin/registrations');
+        if (!result.success) {
+            Utils.showNotification(result.error, 'error');
+            return;
+        }
+
+        this.registrations = result.registrations;
+        if (this.catalogue.length > 0) this.renderCourses();
+    }
+
+    async saveContent(collection, item) {
+        const result = await auth.request('POST', `/admin/content/${collection}`, item);
+        if (!result.success) {
+            Utils.showNotification(result.error, 'error');
+            return false;
+        }
+
+        Utils.showNotification('Saved', 'success');
+        await this.loadContent(collection);
+        return true;
+    }
+
+    async deleteContent(collection, index) {
+        const item = this.content[collection][index];
+        if (!confirm(`Delete "${item.question || item.title}"?`)) return;
+
+        await this.removeContentItem(collection, item);
+    }
+
+    async removeContentItem(collection, item) {
+        const result = await auth.request('DELETE', `/admin/content/${collection}/${encodeURIComponent(item.id)}`);
+        if (!result.success) {
+            Utils.showNotification(result.error, 'error');
+            return;
+        }
+
+        await this.loadContent(collection);
+    }
+
+    renderFaqs() {
+        const container = document.getElementById('faqsTable');
+        const faqs = this.content.faqs;
+
+        if (faqs.length === 0) {
+            container.innerHTML = '<p class="empty-state">No FAQ entries yet. The home page shows its built-in questions until you add some.</p>';
+            return;
+        }
+
+        const rows = faqs
+            .map((faq, i) => ({ faq, i }))
+            .sort((a, b) => (a.faq.order || 0) - (b.faq.order || 0))
+            .map(({ faq, i }) => `
+                <tr>
+                    <td>${faq.order || 0}</td>
+                    <td><strong>${Utils.escapeHtml(faq.question)}</strong><br><span class="muted">${Utils.escapeHtml(faq.answer)}</span></td>
+                    <td class="actions">
+                        <button class="btn-small" onclick="adminConsole.editFaq(${i})">Edit</button>
+                        <button class="btn-small btn-danger" onclick="adminConsole.deleteContent('faqs', ${i})">Delete</button>
+                    </td>
+                </tr>`)
+            .join('');
+
+        container.innerHTML = `<table class="admin-table"><thead><tr><th>Order</th><th>Question</th><th>Actions</th></tr></thead><tbody>${rows}</tbody></table>`;
+    }
+
+    editFaq(index) {
+        const faq = this.content.faqs[index];
+        document.getElementById('faqId').value = faq.id;
+        document.getElementById('faqQuestion').value = faq.question;
+        document.getElementById('faqAnswer').value = faq.answer;
+        document.getElementById('faqOrder').value = faq.order || 0;
+        document.getElementById('faqs').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    resetFaqForm() {
+        ['faqId', 'faqQuestion', 'faqAnswer'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('faqOrder').value = 0;
+    }
+
+    async saveFaq() {
+        const saved = await this.saveContent('faqs', {
+            id: document.getElementById('faqId').value || undefined,
+            question: document.getElementById('faqQuestion').value.trim(),
+            answer: document.getElementById('faqAnswer').value.trim(),
+            order: parseInt(document.getElementById('faqOrder').value, 10) || 0
+        });
+        if (saved) this.resetFaqForm();
+    }
+
+    /**
+     * Courses from courses.json plus admin entries; admin entries with a catalogue id are edits
+     */
+    renderCourses() {
+        const container = document.getElementById('coursesTable');
+        const courses = this.catalogue;
+
+        if (courses.length === 0) {
+            container.innerHTML = '<p class="empty-state">No courses yet.</p>';
+            return;
+        }
+
+        const rows = courses.map((course, i) => {
+            const stats = CourseCatalog.getStats(course);
+            const registrants = this.registrations[course.id] || [];
+            const removeLabel = course.source === 'catalogue' ? 'Revert Edits' : 'Delete';
+
+            return `
+            <tr>
+                <td><strong>${Utils.escapeHtml(course.title)}</strong>${course.edited ? ' <em class="muted">(edited)</em>' : ''}<br><span class="muted">${Utils.escapeHtml(course.summary || '')}</span></td>
+                <td>${CourseCatalog.STATUS_LABELS[course.status] || '—'}</td>
+                <td>${course.launchDate ? this.formatDate(course.launchDate) : '—'}</td>
+                <td>${stats.modules} modules / ${stats.lessons} lessons</td>
+                <td>${registrants.length}${registrants.length ? ` <button class="btn-small" onclick="adminConsole.toggleRegistrants(${i})">View</button>` : ''}</td>
+                <td class="actions">
+                    <button class="btn-small" onclick="adminConsole.editCourse(${i})">Edit</button>
+                    ${course.edited || course.source === 'admin' ? `<button class="btn-small btn-danger" onclick="adminConsole.removeCourseEntry(${i})">${removeLabel}</button>` : ''}
+                </td>
+            </tr>
+            <tr id="registrants-${i}" style="display: none;">
+                <td colspan="6">
+                    ${registrants.map(r => `${Utils.escapeHtml(r.name)} &lt;${Utils.escapeHtml(r.email)}&gt; · ${this.formatDate(r.registeredAt)}`).join('<br>')}
+                </td>
+            </tr>`;
+        }).join('');
+
+        container.innerHTML = `<table class="admin-table"><thead><tr><th>Course</th><th>Status</th><th>Launch</th><th>Content</th><th>Pre-registrations</th><th>Actions</th></tr></thead><tbody>${rows}</tbody></table>`;
+    }
+
+    toggleRegistrants(index) {
+        const row = document.getElementById(`registrants-${index}`);
+        row.style.display = row.style.display === 'none' ? 'table-row' : 'none';
+    }
+
+    async removeCourseEntry(index) {
+        const course = this.catalogue[index];
+        const item = this.content.courses.find(c => c.id === course.id);
+        if (!confirm(`Remove admin changes for "${course.title}"?`)) return;
+
+        await this.removeContentItem('courses', item);
+    }
+
+    editCourse(index) {
+        const course = this.catalogue[index];
+        document.getElementById('courseId').value = course.id;
+        document.getElementById('courseTitle').value = course.title;
+        document.getElementById('courseSummary').value = course.summary || '';
+        document.getElementById('courseStatus').value = course.status || 'coming-soon';
+        document.getElementById('courseLaunchDate').value = course.launchDate || '';
+        document.getElementById('courses').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    resetCourseForm() {
+        ['courseId', 'courseTitle', 'courseSummary', 'courseLaunchDate'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('courseStatus').value = 'coming-soon';
+    }
+
+    async saveCourse() {
+        const saved = await this.saveContent('courses', {
+            id: document.getElementById('courseId').value || undefined,
+            title: document.getElementById('courseTitle').value.trim(),
+            summary: document.getElementById('courseSummary').value.trim(),
+            status: document.getElementById('courseStatus').value,
+            launchDate: document.getElementById('courseLaunchDate').value
+        });
+        if (saved) this.resetCourseForm();
+    }
+
+    formatDate(value) {
+        return new Date(value).toLocaleDateString('en-IN', { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+}
+
+// Initialize on load
+let adminConsole;
+document.addEventListener('DOMContentLoaded', async () => {
+    await auth.ready;
+    adminConsole = new AdminConsole();
+});
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.AdminConsole = AdminConsole;
+}
+
+// For Node.js/SSR
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AdminConsole;
+}
@@ -1,356 +1,586 @@
-/**
- * ARTHASETU AUTHENTICATION SYSTEM
- * 
- * This system uses localStorage for client-side user management.
- * Perfect for static Vercel deployment.
- * 
- * Data Structure:
- * - arthasetu_users: Array of user objects { name, email, password, createdAt }
- * - arthasetu_user: Current logged-in user { name, email, type }
- * - arthasetu_settings: App settings { theme, notifications }
- */
-
-class AuthManager {
-    constructor() {
-        this.USERS_KEY = 'arthasetu_users';
-        this.CURRENT_USER_KEY = 'arthasetu_user';
-        this.SETTINGS_KEY = 'arthasetu_settings';
-        this.currentUser = this.loadCurrentUser();
-    }
-
-    /**
-     * Initialize localStorage with demo data (first time only)
-     */
-    initializeDemoData() {
-        const existing = localStorage.getItem(this.USERS_KEY);
-        if (!existing) {
-            const demoUsers = [
-                {
-                    name: 'Rakesh',
-                    email: 'rakesh@arthasetu.com',
-                    password: 'demo123',
-                    createdAt: new Date(2025, 0, 1).toISOString(),
-                    type: 'user'
-                }
-            ];
-            localStorage.setItem(this.USERS_KEY, JSON.stringify(demoUsers));
-        }
-    }
-
-    /**
-     * Create a new user account
-     */
-    signup(name, email, password) {
-        if (!name || !email || !password) {
-            return { success: false, error: 'All fields required' };
-        }
-
-        const users = this.getAllUsers();
-        
-        if (users.some(u => u.email === email)) {
-            return { success: false, error: 'Email already registered' };
-        }
-
-        if (password.length < 6) {
-            return { success: false, error: 'Password must be 6+ characters' };
-        }
-
-        const newUser = {
-            name,
-            email,
-            password,
-            createdAt: new Date().toISOString(),
-            type: 'user'
-        };
-
-        users.push(newUser);
-        localStorage.setItem(this.USERS_KEY, JSON.stringify(users));
-
-        return { success: true, user: { name, email, type: 'user' } };
-    }
-
-    /**
-     * Login user
-     */
-    login(email, password) {
-        if (!email || !password) {
-            return { success: false, error: 'Email and password required' };
-        }
-
-        const users = this.getAllUsers();
-        const user = users.find(u => u.email === email && u.password === password);
-
-        if (!user) {
-            return { success: false, error: 'Invalid email or password' };
-        }
-
-        const sessionUser = {
-            name: user.name,
-            email: user.email,
-            type: 'user',
-            loginTime: new Date().toISOString()
-        };
-
-        localStorage.setItem(this.CURRENT_USER_KEY, JSON.stringify(sessionUser));
-        this.currentUser = sessionUser;
-
-        return { success: true, user: sessionUser };
-    }
-
-    /**
-     * Logout current user
-     */
-    logout() {
-        localStorage.removeItem(this.CURRENT_USER_KEY);
-        this.currentUser = null;
-        return { success: true };
-    }
-
-    /**
-     * Get all users (admin only - don't expose to frontend)
-     */
-    getAllUsers() {
-        try {
-            return JSON.parse(localStorage.getItem(this.USERS_KEY) || '[]');
-        } catch (e) {
-            return [];
-        }
-    }
-
-    /**
-     * Load current user from storage
-     */
-    loadCurrentUser() {
-        try {
-            const stored = localStorage.getItem(this.CURRENT_USER_KEY);
-            return stored ? JSON.parse(stored) : null;
-        } catch (e) {
-            return null;
-        }
-    }
-
-    /**
-     * Check if user is logged in
-     */
-    isLoggedIn() {
-        return !!this.currentUser;
-    }
-
-    /**
-     * Get current logged-in user
-     */
-    getCurrentUser() {
-        return this.currentUser;
-    }
-
-    /**
-     * Update user profile
-     */
-    updateProfile(name) {
-        if (!this.currentUser) {
-            return { success: false, error: 'Not logged in' };
-        }
-
-        const users = this.getAllUsers();
-        const userIndex = users.findIndex(u => u.email === this.currentUser.email);
-
-        if (userIndex === -1) {
-            return { success: false, error: 'User not found' };
-        }
-
-        users[userIndex].name = name;
-        localStorage.setItem(this.USERS_KEY, JSON.stringify(users));
-
-        this.currentUser.name = name;
-        localStorage.setItem(this.CURRENT_USER_KEY, JSON.stringify(this.currentUser));
-
-        return { success: true, user: this.currentUser };
-    }
-
-    /**
-     * Change password
-     */
-    changePassword(currentPassword, newPassword) {
-        if (!this.currentUser) {
-            return { success: false, error: 'Not logged in' };
-        }
-
-        const users = this.getAllUsers();
-        const user = users.find(u => u.email === this.currentUser.email);
-
-        if (!user || user.password !== currentPassword) {
-            return { success: false, error: 'Current password incorrect' };
-        }
-
-        if (newPassword.length < 6) {
-            return { success: false, error: 'Password must be 6+ characters' };
-        }
-
-        user.password = newPassword;
-        localStorage.setItem(this.USERS_KEY, JSON.stringify(users));
-
-        return { success: true, message: 'Password changed successfully' };
-    }
-
-    /**
-     * Delete account
-     */
-    deleteAccount(password) {
-        if (!this.currentUser) {
-            return { success: false, error: 'Not logged in' };
-        }
-
-        const users = this.getAllUsers();
-        const userIndex = users.findIndex(u => u.email === this.currentUser.email);
-
-        if (userIndex === -1) {
-            return { success: false, error: 'User not found' };
-        }
-
-        if (users[userIndex].password !== password) {
-            return { success: false, error: 'Password incorrect' };
-        }
-
-        users.splice(userIndex, 1);
-        localStorage.setItem(this.USERS_KEY, JSON.stringify(users));
-        localStorage.removeItem(this.CURRENT_USER_KEY);
-        this.currentUser = null;
-
-        return { success: true, message: 'Account deleted' };
-    }
-
-    /**
-     * Save app settings
-     */
-    saveSettings(settings) {
-        const current = this.getSettings();
-        const updated = { ...current, ...settings };
-        localStorage.setItem(this.SETTINGS_KEY, JSON.stringify(updated));
-        return updated;
-    }
-
-    /**
-     * Get app settings
-     */
-    getSettings() {
-        try {
-            return JSON.parse(localStorage.getItem(this.SETTINGS_KEY) || '{}');
-        } catch (e) {
-            return {};
-        }
-    }
-
-    /**
-     * Save user portfolio data (for each logged-in user)
-     */
-    savePortfolioData(portfolioData) {
-        if (!this.currentUser) {
-            return { success: false, error: 'Not logged in' };
-        }
-
-        const key = `arthasetu_portfolio_${this.currentUser.email}`;
-        localStorage.setItem(key, JSON.stringify({
-            data: portfolioData,
-            savedAt: new Date().toISOString()
-        }));
-
-        return { success: true };
-    }
-
-    /**
-     * Get user portfolio data
-     */
-    getPortfolioData() {
-        if (!this.currentUser) {
-            return null;
-        }
-
-        const key = `arthasetu_portfolio_${this.currentUser.email}`;
-        try {
-            const stored = localStorage.getItem(key);
-            return stored ? JSON.parse(stored).data : null;
-        } catch (e) {
-            return null;
-        }
-    }
-
-    /**
-     * Save fund recommendations
-     */
-    saveFundRecommendations(funds) {
-        if (!this.currentUser) {
-            return { success: false, error: 'Not logged in' };
-        }
-
-        const key = `arthasetu_funds_${this.currentUser.email}`;
-        localStorage.setItem(key, JSON.stringify({
-            funds: funds,
-            savedAt: new Date().toISOString()
-        }));
-
-        return { success: true };
-    }
-
-    /**
-     * Get saved funds
-     */
-    getSavedFunds() {
-        if (!this.currentUser) {
-            return [];
-        }
-
-        const key = `arthasetu_funds_${this.currentUser.email}`;
-        try {
-            const stored = localStorage.getItem(key);
-            return stored ? JSON.parse(stored).funds : [];
-        } catch (e) {
-            return [];
-        }
-    }
-
-    /**
-     * Clear all user data (CAUTION: Testing only)
-     */
-    clearAllData() {
-        localStorage.clear();
-        this.currentUser = null;
-        this.initializeDemoData();
-        return { success: true };
-    }
-
-    /**
-     * Export user data as JSON (for backup)
-     */
-    exportData() {
-        if (!this.currentUser) {
-            return { success: false, error: 'Not logged in' };
-        }
-
-        const funds = this.getSavedFunds();
-        const portfolio = this.getPortfolioData();
-
-        const data = {
-            user: this.currentUser,
-            portfolio: portfolio,
-            funds: funds,
-            exportedAt: new Date().toISOString()
-        };
-
-        return { success: true, data };
-    }
-}
-
-// Global instance
-const auth = new AuthManager();
-auth.initializeDemoData();
-
-// Make available globally
-if (typeof window !== 'undefined') {
-    window.AuthManager = AuthManager;
-    window.auth = auth;
-}
-
-// For Node.js/SSR (if needed)
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = AuthManager;
+/**
+ * ARTHASETU AUTHENTICATION SYSTEM
+ * 
+ * Browser client for the account API in server.js (run `node server.js`).
+ * Passwords are hashed on the server; the browser only keeps a signed session token.
+ * Account methods (signup, login, logout, updateProfile, changePassword, deleteAccount,
+ * saveRiskProfile) are async and resolve to { success, error }.
+ * 
+ * Data Structure (kept through storage.js, which versions and migrates every record):
+ * - arthasetu_token: Signed session token sent as "Authorization: Bearer <token>"
+ * - arthasetu_user: Current logged-in user { name, email, type, createdAt, riskProfile, riskHistory,
+ *                   courseRegistrations, courseProgress, certificates }
+ * - arthasetu_settings: App settings { theme, notifications }
+ * - arthasetu_<portfolio|goals|funds|networth|budget>_<email>: Per-user tool data (stays in this browser)
+ */
+
+class AuthManager {
+    constructor() {
+        this.API_URL = '/api';
+        this.TOKEN_KEY = 'arthasetu_token';
+        this.CURRENT_USER_KEY = 'arthasetu_user';
+        this.SETTINGS_KEY = 'arthasetu_settings';
+        this.LEGACY_USERS_KEY = 'arthasetu_users';
+        this.currentUser = this.loadCurrentUser();
+        // With the IndexedDB backend records load asynchronously; pages wait for this before reading
+        this.ready = storage.ready.then(() => {
+            this.currentUser = this.loadCurrentUser();
+        });
+    }
+
+    /**
+     * Remove the old localStorage account list (it held plaintext passwords)
+     */
+    removeLegacyUsers() {
+        storage.remove(this.LEGACY_USERS_KEY);
+    }
+
+    /**
+     * Call the API with the session token
+     * @returns {Promise<object>} Parsed JSON response, or { success: false, error } if the server is unreachable
+     */
+    async request(method, path, body) {
+        const headers = { 'Content-Type': 'application/json' };
+        const token = storage.get(this.TOKEN_KEY);
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+
+        try {
+            const response = await fetch(`${this.API_URL}${path}`, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await response.json();
+
+            // Token expired or revoked elsewhere: drop the stale local session
+            if (response.status === 401 && token && path !== '/login') {
+                this.clearSession();
+            }
+
+            return data;
+        } catch (e) {
+            return { success: false, error: 'Cannot reach the Arthasetu server. Please try again.' };
+        }
+    }
+
+    /**
+     * Store token and user after signup/login
+     */
+    saveSession(token, user) {
+        storage.set(this.TOKEN_KEY, token);
+        this.setCurrentUser({ ...user, loginTime: new Date().toISOString() });
+    }
+
+    /**
+     * Cache the user returned by the server
+     */
+    setCurrentUser(user) {
+        this.currentUser = { ...this.currentUser, ...user };
+        storage.set(this.CURRENT_USER_KEY, this.currentUser);
+    }
+
+    /**
+     * Forget the local session
+     */
+    clearSession() {
+        storage.remove(this.TOKEN_KEY);
+        storage.remove(this.CURRENT_USER_KEY);
+        this.currentUser = null;
+    }
+
+    /**
+     * Create a new user account
+     */
+    async signup(name, email, password) {
+        if (!name || !email || !password) {
+            return { success: false, error: 'All fields required' };
+        }
+
+        if (password.length < 6) {
+            return { success: false, error: 'Password must be 6+ characters' };
+        }
+
+        const result = await this.request('POST', '/signup', { name, email, password });
+        if (result.success) {
+            this.saveSession(result.token, result.user);
+            return { success: true, user: this.currentUser };
+        }
+        return result;
+    }
+
+    /**
+     * Login user
+     */
+    async login(email, password) {
+        if (!email || !password) {
+            return { success: false, error: 'Email and password required' };
+        }
+
+        const result = await this.request('POST', '/login', { email, password });
+        if (result.success) {
+            this.saveSession(result.token, result.user);
+            return { success: true, user: this.currentUser };
+        }
+        return result;
+    }
+
+    /**
+     * Logout current user (revokes the session on the server)
+     */
+    async logout() {
+        if (storage.get(this.TOKEN_KEY)) {
+            await this.request('POST', '/logout');
+        }
+        this.clearSession();
+        return { success: true };
+    }
+
+    /**
+     * Re-check the stored session with the server and refresh the cached user
+     */
+    async refreshSession() {
+        if (!storage.get(this.TOKEN_KEY)) {
+            this.clearSession();
+            return { success: false, error: 'Not logged in' };
+        }
+
+        const result = await this.request('GET', '/me');
+        if (result.success) {
+            this.setCurrentUser(result.user);
+        }
+        return result;
+    }
+
+    /**
+     * Load current user from storage
+     */
+    loadCurrentUser() {
+        return storage.get(this.TOKEN_KEY) ? storage.get(this.CURRENT_USER_KEY) : null;
+    }
+
+    /**
+     * Check if user is logged in
+     */
+    isLoggedIn() {
+        return !!this.currentUser;
+    }
+
+    /**
+     * Check if the logged-in user has the admin role
+     * Only controls what the UI shows; the server checks the role on every admin request.
+     */
+    isAdmin() {
+        return !!this.currentUser && this.currentUser.type === 'admin';
+    }
+
+    /**
+     * Get current logged-in user
+     */
+    getCurrentUser() {
+        return this.currentUser;
+    }
+
+    /**
+     * Update user profile
+     */
+    async updateProfile(name) {
+        if (!this.currentUser) {
+            return { success: false, error: 'Not logged in' };
+        }
+
+        const result = await this.request('PATCH', '/me', { name });
+        if (result.success) {
+            this.setCurrentUser(result.user);
+            return { success: true, user: this.currentUser };
+        }
+        return result;
+    }
+
+    /**
+     * Change password (other devices are signed out)
+     */
+    async changePassword(currentPassword, newPassword) {
+        if (!this.currentUser) {
+            return { success: false, error: 'Not logged in' };
+        }
+
+        if (newPassword.length < 6) {
+            return { success: false, error: 'Password must be 6+ characters' };
+        }
+
+        return this.request('POST', '/password', { currentPassword, newPassword });
+    }
+
+    /**
+     * Delete account
+     */
+    async deleteAccount(password) {
+        if (!this.currentUser) {
+            return { success: false, error: 'Not logged in' };
+        }
+
+        const result = await this.request('DELETE', '/me', { password });
+        if (result.success) {
+            this.clearSession();
+        }
+        return result;
+    }
+
+    /**
+     * Save risk profiler result on the user record
+     * Keeps every attempt (with answers) in riskHistory; riskProfile holds the latest result.
+     */
+    async saveRiskProfile(result, answers) {
+        if (!this.currentUser) {
+            return { success: false, error: 'Not logged in' };
+        }
+
+        const saved = await this.request('POST', '/me/risk-profile', {
+            profile: result.profile,
+            score: result.score,
+            maxScore: result.maxScore,
+            answers: answers
+        });
+
+        if (saved.success) {
+            this.setCurrentUser(saved.user);
+        }
+        return saved;
+    }
+
+    /**
+     * Get latest risk profile name for the logged-in user (null if not assessed)
+     */
+    getRiskProfile() {
+        const user = this.currentUser;
+        return user && user.riskProfile ? user.riskProfile.profile : null;
+    }
+
+    /**
+     * Get all risk profiler attempts for the logged-in user
+     */
+    getRiskHistory() {
+        const user = this.currentUser;
+        return user && user.riskHistory ? user.riskHistory : [];
+    }
+
+    /**
+     * Call an account route that returns the updated user, and cache that user
+     */
+    async updateAccount(method, path, body) {
+        if (!this.currentUser) {
+            return { success: false, error: 'Not logged in' };
+        }
+
+        const result = await this.request(method, path, body);
+        if (result.success && result.user) {
+            this.setCurrentUser(result.user);
+        }
+        return result;
+    }
+
+    /**
+     * Pre-register interest in a course (saved on the account)
+     */
+    async preRegisterCourse(courseId) {
+        return this.updateAccount('POST', `/me/courses/${encodeURIComponent(courseId)}/register`);
+    }
+
+    /**
+     * Withdraw a course pre-registration
+     */
+    async withdrawCourseRegistration(courseId) {
+        return this.updateAccount('DELETE', `/me/courses/${encodeURIComponent(courseId)}/register`);
+    }
+
+    /**
+     * Remember the lesson being viewed (used for "resume where you left off")
+     */
+    async openLesson(courseId, lessonId) {
+        return this.updateAccount('POST', `/me/courses/${encodeURIComponent(courseId)}/lessons/${encodeURIComponent(lessonId)}/open`);
+    }
+
+    /**
+     * Mark a text or video lesson as complete
+     */
+    async completeLesson(courseId, lessonId) {
+        return this.updateAccount('POST', `/me/courses/${encodeURIComponent(courseId)}/lessons/${encodeURIComponent(lessonId)}/complete`);
+    }
+
+    /**
+     * Submit quiz answers (option index per question); graded on the server
+     * @returns {Promise<object>} { success, correct, total, percent, passPercent, passed, results }
+     */
+    async submitQuiz(courseId, lessonId, answers) {
+        return this.updateAccount('POST', `/me/courses/${encodeURIComponent(courseId)}/lessons/${encodeURIComponent(lessonId)}/quiz`, { answers });
+    }
+
+    /**
+     * Issue (or fetch) the completion certificate for a finished course
+     */
+    async requestCertificate(courseId) {
+        return this.updateAccount('POST', `/me/courses/${encodeURIComponent(courseId)}/certificate`);
+    }
+
+    /**
+     * Check a certificate ID (works without logging in)
+     */
+    async verifyCertificate(certificateId) {
+        return this.request('GET', `/certificates/${encodeURIComponent(certificateId)}`);
+    }
+
+    /**
+     * Get lesson progress for one course, or all courses when no id is given
+     */
+    getCourseProgress(courseId) {
+        const progress = this.currentUser && this.currentUser.courseProgress ? this.currentUser.courseProgress : {};
+        return courseId ? progress[courseId] || null : progress;
+    }
+
+    /**
+     * Get certificates earned by the logged-in user
+     */
+    getCertificates() {
+        const user = this.currentUser;
+        return user && user.certificates ? user.certificates : [];
+    }
+
+    /**
+     * Get course pre-registrations for the logged-in user: [{ courseId, registeredAt }]
+     */
+    getCourseRegistrations() {
+        const user = this.currentUser;
+        return user && user.courseRegistrations ? user.courseRegistrations : [];
+    }
+
+    /**
+     * Save app settings
+     */
+    saveSettings(settings) {
+        const current = this.getSettings();
+        const updated = { ...current, ...settings };
+        storage.set(this.SETTINGS_KEY, updated);
+        return updated;
+    }
+
+    /**
+     * Get app settings
+     */
+    getSettings() {
+        return storage.get(this.SETTINGS_KEY, {});
+    }
+
+    /**
+     * Save a per-user record (arthasetu_<type>_<email>)
+     * @returns {object} { success } or { success: false, error }
+     */
+    saveUserData(type, data) {
+        if (!this.currentUser) {
+            return { success: false, error: 'Not logged in' };
+        }
+        return storage.set(`arthasetu_${type}_${this.currentUser.email}`, data);
+    }
+
+    /**
+     * Get a per-user record, or null if nothing is saved (or nobody is logged in)
+     */
+    getUserData(type) {
+        if (!this.currentUser) {
+            return null;
+        }
+        return storage.get(`arthasetu_${type}_${this.currentUser.email}`);
+    }
+
+    /**
+     * Save user portfolio data (for each logged-in user)
+     */
+    savePortfolioData(portfolioData) {
+        return this.saveUserData('portfolio', portfolioData);
+    }
+
+    /**
+     * Get user portfolio data
+     */
+    getPortfolioData() {
+        return this.getUserData('portfolio');
+    }
+
+    /**
+     * Save goal plan (goals + monthly SIP budget) for the logged-in user
+     */
+    saveGoalPlan(plan) {
+        return this.saveUserData('goals', plan);
+    }
+
+    /**
+     * Get saved goal plan
+     */
+    getGoalPlan() {
+        return this.getUserData('goals');
+    }
+
+    /**
+     * Save net-worth tracker data (assets, liabilities, snapshots; see net-worth.js)
+     */
+    saveNetWorth(netWorth) {
+        return this.saveUserData('networth', netWorth);
+    }
+
+    /**
+     * Get net-worth tracker data
+     */
+    getNetWorth() {
+        return this.getUserData('networth');
+    }
+
+    /**
+     * Save budget and expense data (categories, transactions, rules; see budget-tracker.js)
+     */
+    saveBudget(budget) {
+        return this.saveUserData('budget', budget);
+    }
+
+    /**
+     * Get budget and expense data
+     */
+    getBudget() {
+        return this.getUserData('budget');
+    }
+
+    /**
+     * Save fund watchlists ({ watchlists, activeId, history }; see watchlist-manager.js)
+     */
+    saveWatchlists(data) {
+        return this.saveUserData('funds', { watchlists: data.watchlists, activeId: data.activeId, history: data.history });
+    }
+
+    /**
+     * Get fund watchlists, or null if nothing is saved
+     * (older single-list saves are migrated by storage.js)
+     */
+    getWatchlists() {
+        return this.getUserData('funds');
+    }
+
+    /**
+     * Get saved funds (the active watchlist)
+     */
+    getSavedFunds() {
+        const data = this.getWatchlists();
+        if (!data || data.watchlists.length === 0) {
+            return [];
+        }
+
+        const active = data.watchlists.find(w => w.id === data.activeId) || data.watchlists[0];
+        return active.funds || [];
+    }
+
+    /**
+     * Get the watchlist change history (newest first)
+     */
+    getFundHistory() {
+        const data = this.getWatchlists();
+        return data ? data.history : [];
+    }
+
+    /**
+     * Clear all user data (CAUTION: Testing only)
+     */
+    clearAllData() {
+        storage.clear();
+        this.currentUser = null;
+        return { success: true };
+    }
+
+    /**
+     * Export user data as JSON (for backup)
+     */
+    exportData() {
+        if (!this.currentUser) {
+            return { success: false, error: 'Not logged in' };
+        }
+
+        const funds = this.getSavedFunds();
+        const watchlists = this.getWatchlists();
+        const portfolio = this.getPortfolioData();
+        const goals = this.getGoalPlan();
+        const riskHistory = this.getRiskHistory();
+        const netWorth = this.getNetWorth();
+        const budget = this.getBudget();
+        const settings = this.getSettings();
+
+        const data = {
+            user: this.currentUser,
+            portfolio: portfolio,
+            funds: funds,
+            watchlists: watchlists,
+            goals: goals,
+            riskHistory: riskHistory,
+            netWorth: netWorth,
+            budget: budget,
+            settings: settings,
+            exportedAt: new Date().toISOString()
+        };
+
+        return { success: true, data };
+    }
+
+    /**
+     * Restore sections from a backup (see data-backup.js for validation and merging)
+     * Either every section is saved or, if one fails (e.g. storage full), the earlier ones are put back.
+     * @param {object} sections - Any of { portfolio, watchlists, settings, goals, netWorth, budget }
+     * @returns {object} { success, imported: [section] } or { success: false, error }
+     */
+    importData(sections) {
+        if (!this.currentUser) {
+            return { success: false, error: 'Not logged in' };
+        }
+
+        const email = this.currentUser.email;
+        const storageKeys = {
+            portfolio: `arthasetu_portfolio_${email}`,
+            watchlists: `arthasetu_funds_${email}`,
+            settings: this.SETTINGS_KEY,
+            goals: `arthasetu_goals_${email}`,
+            netWorth: `arthasetu_networth_${email}`,
+            budget: `arthasetu_budget_${email}`
+        };
+        const names = Object.keys(sections).filter(name => storageKeys[name]);
+        const previous = names.map(name => storage.get(storageKeys[name]));
+
+        for (let i = 0; i < names.length; i++) {
+            const result = storage.set(storageKeys[names[i]], sections[names[i]]);
+            if (!result.success) {
+                names.slice(0, i).forEach((name, j) => {
+                    if (previous[j] === null) storage.remove(storageKeys[name]);
+                    else storage.set(storageKeys[name], previous[j]);
+                });
+                return { success: false, error: result.error };
+            }
+        }
+
+        return { success: true, imported: names };
+    }
+}
+
+// Global instance
+const auth = new AuthManager();
+auth.ready.then(() => {
+    auth.removeLegacyUsers();
+    if (auth.isLoggedIn()) {
+        auth.refreshSession();
+    }
+});
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.AuthManager = AuthManager;
+    window.auth = auth;
+}
+
+// For Node.js/SSR (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuthManager;
 }
\ No newline at end of file
@@ -0,0 +1,616 @@
+/**
+ * BUDGET-TRACKER.JS
+ * Monthly budget and expense tracker with bank/credit-card statement CSV import
+ * Works with utils.js (CSV helpers) and auth.js (saveBudget / getBudget)
+ *
+ * Budget Structure (saved per user):
+ * {
+ *   categories: [{ id, name, kind, planned }],
+ *   transactions: [{ id, date, description, amount, category, manual }],
+ *   rules: [{ id, keyword, category }],
+ *   mapping: { ... } (last CSV column mapping and its header row, see guessMapping),
+ *   emergencyFund: amount already set aside
+ * }
+ * - kind: 'income' | 'expense' | 'savings' (SIPs and other investments; not counted as spending)
+ * - planned: monthly budget for the category
+ * - amount: positive for money in, negative for money out
+ * - manual: category was picked by hand, so rules do not overwrite it
+ * - Surplus = income - expenses; savings rate = surplus / income
+ */
+
+class BudgetTracker {
+    static DEFAULT_CATEGORIES = [
+        { name: 'Salary', kind: 'income' },
+        { name: 'Other Income', kind: 'income' },
+        { name: 'Rent', kind: 'expense' },
+        { name: 'Loan EMI', kind: 'expense' },
+        { name: 'Groceries', kind: 'expense' },
+        { name: 'Utilities & Bills', kind: 'expense' },
+        { name: 'Transport', kind: 'expense' },
+        { name: 'Dining Out', kind: 'expense' },
+        { name: 'Shopping', kind: 'expense' },
+        { name: 'Health', kind: 'expense' },
+        { name: 'Insurance', kind: 'expense' },
+        { name: 'Education', kind: 'expense' },
+        { name: 'Entertainment', kind: 'expense' },
+        { name: 'Travel', kind: 'expense' },
+        { name: 'Other Expenses', kind: 'expense' },
+        { name: 'Investments', kind: 'savings' }
+    ];
+
+    /**
+     * Built-in categorization rules (keywords are matched case-insensitively; user rules are checked first)
+     */
+    static DEFAULT_RULES = [
+        { keyword: 'salary', category: 'Salary' },
+        { keyword: 'rent', category: 'Rent' },
+        { keyword: 'emi', category: 'Loan EMI' },
+        { keyword: 'bigbasket', category: 'Groceries' },
+        { keyword: 'dmart', category: 'Groceries' },
+        { keyword: 'blinkit', category: 'Groceries' },
+        { keyword: 'zepto', category: 'Groceries' },
+        { keyword: 'electricity', category: 'Utilities & Bills' },
+        { keyword: 'bescom', category: 'Utilities & Bills' },
+        { keyword: 'airtel', category: 'Utilities & Bills' },
+        { keyword: 'jio', category: 'Utilities & Bills' },
+        { keyword: 'broadband', category: 'Utilities & Bills' },
+        { keyword: 'uber', category: 'Transport' },
+        { keyword: 'ola', category: 'Transport' },
+        { keyword: 'petrol', category: 'Transport' },
+        { keyword: 'fuel', category: 'Transport' },
+        { keyword: 'irctc', category: 'Travel' },
+        { keyword: 'makemytrip', category: 'Travel' },
+        { keyword: 'swiggy', category: 'Dining Out' },
+        { keyword: 'zomato', category: 'Dining Out' },
+        { keyword: 'amazon', category: 'Shopping' },
+        { keyword: 'flipkart', category: 'Shopping' },
+        { keyword: 'myntra', category: 'Shopping' },
+        { keyword: 'pharmacy', category: 'Health' },
+        { keyword: 'hospital', category: 'Health' },
+        { keyword: 'apollo', category: 'Health' },
+        { keyword: 'insurance', category: 'Insurance' },
+        { keyword: 'lic', category: 'Insurance' },
+        { keyword: 'school', category: 'Education' },
+        { keyword: 'netflix', category: 'Entertainment' },
+        { keyword: 'hotstar', category: 'Entertainment' },
+        { keyword: 'spotify', category: 'Entertainment' },
+        { keyword: 'mutual fund', category: 'Investments' },
+        { keyword: 'sip', category: 'Investments' },
+        { keyword: 'zerodha', category: 'Investments' },
+        { keyword: 'groww', category: 'Investments' },
+        { keyword: 'ppf', category: 'Investments' }
+    ];
+
+    // Used when no rule matches
+    static FALLBACK_CATEGORY = { income: 'Other Income', expense: 'Other Expenses' };
+
+    static EMERGENCY_FUND_MONTHS = 6;
+
+    // Months of history averaged for the suggested SIP and the emergency-fund target
+    static AVERAGE_MONTHS = 3;
+
+    static DATE_FORMATS = ['dmy', 'mdy', 'ymd'];
+
+    static MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+    /**
+     * Budget with the default categories
+     */
+    static createBudget() {
+        return {
+            categories: this.DEFAULT_CATEGORIES.map(c => ({ id: Utils.generateId(), name: c.name, kind: c.kind, planned: 0 })),
+            transactions: [],
+            rules: [],
+            mapping: null,
+            emergencyFund: 0
+        };
+    }
+
+    /**
+     * Make sure saved data has the budget shape (new users get the default categories)
+     */
+    static normalizeBudget(data) {
+        if (!data || typeof data !== 'object') return this.createBudget();
+        return {
+            ...data,
+            categories: Array.isArray(data.categories) ? data.categories : this.createBudget().categories,
+            transactions: Array.isArray(data.transactions) ? data.transactions : [],
+            rules: Array.isArray(data.rules) ? data.rules : [],
+            mapping: data.mapping || null,
+            emergencyFund: parseFloat(data.emergencyFund) || 0
+        };
+    }
+
+    /**
+     * Add a category
+     * @returns {object} { success, budget } or { success: false, error }
+     */
+    static addCategory(budget, { name, kind, planned }) {
+        const label = (name || '').trim();
+        const updated = this.normalizeBudget(Utils.deepCopy(budget));
+
+        if (!label) {
+            return { success: false, error: 'Category name required' };
+        }
+        if (!['income', 'expense', 'savings'].includes(kind)) {
+            return { success: false, error: 'Invalid category type' };
+        }
+        if (updated.categories.some(c => c.name.toLowerCase() === label.toLowerCase())) {
+            return { success: false, error: 'Category already exists' };
+        }
+
+        updated.categories.push({ id: Utils.generateId(), name: label, kind: kind, planned: Math.max(0, parseFloat(planned) || 0) });
+        return { success: true, budget: updated };
+    }
+
+    /**
+     * Set the monthly planned amount of a category
+     */
+    static setPlanned(budget, categoryId, planned) {
+        const updated = this.normalizeBudget(Utils.deepCopy(budget));
+        const category = updated.categories.find(c => c.id === categoryId);
+        if (category) category.planned = Math.max(0, parseFloat(planned) || 0);
+        return updated;
+    }
+
+    /**
+     * Check whether a category is a fallback (these cannot be removed)
+     */
+    static isFallbackCategory(name) {
+        return Object.values(this.FALLBACK_CATEGORY).includes(name);
+    }
+
+    /**
+     * Remove a category; its transactions fall back to the default category for their direction
+     */
+    static removeCategory(budget, categoryId) {
+        const updated = this.normalizeBudget(Utils.deepCopy(budget));
+        const category = updated.categories.find(c => c.id === categoryId);
+        if (!category || this.isFallbackCategory(category.name)) return updated;
+
+        updated.categories = updated.categories.filter(c => c.id !== categoryId);
+        updated.rules = updated.rules.filter(r => r.category !== category.name);
+        updated.transactions.forEach(t => {
+            if (t.category === category.name) {
+                t.category = this.FALLBACK_CATEGORY[t.amount >= 0 ? 'income' : 'expense'];
+                t.manual = false;
+            }
+        });
+        return updated;
+    }
+
+    /**
+     * Add a categorization rule (descriptions containing `keyword` go to `category`)
+     */
+    static addRule(budget, { keyword, category }) {
+        const text = (keyword || '').trim().toLowerCase();
+        const updated = this.normalizeBudget(Utils.deepCopy(budget));
+
+        if (!text) {
+            return { success: false, error: 'Keyword required' };
+        }
+        if (!updated.categories.some(c => c.name === category)) {
+            return { success: false, error: 'Choose a category' };
+        }
+
+        updated.rules = updated.rules.filter(r => r.keyword !== text);
+        updated.rules.push({ id: Utils.generateId(), keyword: text, category: category });
+        return { success: true, budget: updated };
+    }
+
+    /**
+     * Remove a rule by id
+     */
+    static removeRule(budget, ruleId) {
+        const updated = this.normalizeBudget(Utils.deepCopy(budget));
+        updated.rules = updated.rules.filter(r => r.id !== ruleId);
+        return updated;
+    }
+
+    /**
+     * Category for a transaction: first matching user rule, then built-in rule, then the fallback
+     * Keywords match whole words, so "ola" does not match "Cola".
+     */
+    static categorize(description, amount, budget) {
+        const text = ` ${(description || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+        const normalized = this.normalizeBudget(budget);
+        const names = normalized.categories.map(c => c.name);
+        const direction = amount >= 0 ? 'income' : 'expense';
+
+        const match = normalized.rules.concat(this.DEFAULT_RULES).find(rule => {
+            const keyword = rule.keyword.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+            if (!keyword || !names.includes(rule.category)) return false;
+
+            // Income rules only match money in and spending rules only money out
+            const kind = normalized.categories.find(c => c.name === rule.category).kind;
+            if ((kind === 'income') !== (direction === 'income')) return false;
+
+            return text.includes(` ${keyword} `);
+        });
+
+        return match ? match.category : this.FALLBACK_CATEGORY[direction];
+    }
+
+    /**
+     * Re-run the rules on every transaction not categorized by hand
+     */
+    static applyRules(budget) {
+        const updated = this.normalizeBudget(Utils.deepCopy(budget));
+        updated.transactions.forEach(t => {
+            if (!t.manual) t.category = this.categorize(t.description, t.amount, updated);
+        });
+        return updated;
+    }
+
+    /**
+     * Add a transaction typed in by hand
+     * @param {object} txn - { date, description, amount, direction: 'in' | 'out', category }
+     */
+    static addTransaction(budget, { date, description, amount, direction, category }) {
+        const value = parseFloat(amount);
+        const updated = this.normalizeBudget(Utils.deepCopy(budget));
+
+        if (!date || isNaN(new Date(date).getTime())) {
+            return { success: false, error: 'Valid date required' };
+        }
+        if (!(value > 0)) {
+            return { success: false, error: 'Amount must be greater than 0' };
+        }
+
+        const signed = direction === 'in' ? value : -value;
+        const known = updated.categories.some(c => c.name === category);
+        updated.transactions.push({
+            id: Utils.generateId(),
+            date: date,
+            description: (description || '').trim(),
+            amount: signed,
+            category: known ? category : this.categorize(description, signed, updated),
+            manual: known
+        });
+        updated.transactions.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+        return { success: true, budget: updated };
+    }
+
+    /**
+     * Change a transaction's category by hand
+     */
+    static setCategory(budget, transactionId, category) {
+        const updated = this.normalizeBudget(Utils.deepCopy(budget));
+        const txn = updated.transactions.find(t => t.id === transactionId);
+        if (txn && updated.categories.some(c => c.name === category)) {
+            txn.category = category;
+            txn.manual = true;
+        }
+        return updated;
+    }
+
+    /**
+     * Remove a transaction by id
+     */
+    static removeTransaction(budget, transactionId) {
+        const updated = this.normalizeBudget(Utils.deepCopy(budget));
+        updated.transactions = updated.transactions.filter(t => t.id !== transactionId);
+        return updated;
+    }
+
+    /**
+     * Convert a statement date to ISO (YYYY-MM-DD)
+     * Accepts 05/10/2025, 05-10-25, 05 Oct 2025, 05-Oct-2025 and 2025-10-05; `format` decides day/month order.
+     */
+    static parseDate(value, format = 'dmy') {
+        const text = (value || '').trim();
+        const pad = n => String(n).padStart(2, '0');
+        const fullYear = y => (y < 100 ? 2000 + y : y);
+
+        let match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/.exec(text);
+        if (match) return this.toISODate(+match[1], +match[2], +match[3], pad);
+
+        match = /^(\d{1,2})[-/. ]([A-Za-z]{3})[A-Za-z]*[-/. ,]+(\d{2,4})/.exec(text);
+        if (match) {
+            const month = this.MONTHS[match[2].toLowerCase()];
+            return month ? this.toISODate(fullYear(+match[3]), month, +match[1], pad) : null;
+        }
+
+        match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/.exec(text);
+        if (match) {
+            const [first, second, year] = [+match[1], +match[2], fullYear(+match[3])];
+            return format === 'mdy'
+                ? this.toISODate(year, first, second, pad)
+                : this.toISODate(year, second, first, pad);
+        }
+
+        return null;
+    }
+
+    /**
+     * ISO date from parts, or null if the date does not exist
+     */
+    static toISODate(year, month, day, pad) {
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+        return `${year}-${pad(month)}-${pad(day)}`;
+    }
+
+    /**
+     * Parse a statement amount ("1,234.50", "₹ 500", "(250.00)", "120.00 Dr")
+     * @returns {number|null} Signed amount (brackets, a leading minus and "Dr" make it negative)
+     */
+    static parseAmount(value) {
+        const text = (value || '').trim();
+        if (!text) return null;
+
+        const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /\bdr\.?$/i.test(text);
+        const number = parseFloat(text.replace(/[^0-9.]/g, ''));
+        if (!isFinite(number)) return null;
+
+        return negative ? -number : number;
+    }
+
+    /**
+     * Header row and delimiter of a statement CSV (for the column mapping form)
+     * Bank exports often start with account details, so the header is the first row that names a date column.
+     */
+    static readHeader(text) {
+        const delimiter = Utils.detectDelimiter(text.split(/\r?\n/).find(l => /date/i.test(l)) || text);
+        const lines = text.split(/\r?\n/);
+        const headerIndex = Math.max(0, lines.findIndex(l => /date/i.test(l) && l.split(delimiter).length > 2));
+
+        return {
+            delimiter: delimiter,
+            headerIndex: headerIndex,
+            headers: Utils.parseCSVLine(lines[headerIndex] || '', delimiter)
+        };
+    }
+
+    /**
+     * Guess the column mapping from header names
+     * @returns {object} { headerIndex, delimiter, headers, date, description, amount, debit, credit, dateFormat, amountSign }
+     * - column fields are indexes (-1 when not present)
+     * - amountSign: 'signed' (money out is negative) or 'spend-positive' (credit-card style: positive = spent)
+     */
+    static guessMapping(text) {
+        const header = this.readHeader(text);
+        const columns = header.headers.map(h => h.toLowerCase());
+        const find = (...tests) => columns.findIndex(c => tests.some(t => t.test(c)));
+        const debit = find(/debit|withdrawal|^dr\b/);
+        const credit = find(/credit|deposit|^cr\b/);
+
+        return {
+            headerIndex: header.headerIndex,
+            delimiter: header.delimiter,
+            headers: header.headers,
+            date: find(/date|^dt\b/),
+            description: find(/narration|description|particulars|remarks|details/),
+            // Bank statements name their debit/credit columns "Withdrawal Amount" etc., so prefer the pair
+            amount: debit >= 0 && credit >= 0 ? -1 : find(/amount|^amt/),
+            debit: debit,
+            credit: credit,
+            dateFormat: 'dmy',
+            amountSign: 'signed'
+        };
+    }
+
+    /**
+     * Parse a statement CSV with a column mapping
+     * Use either `amount` or the `debit` / `credit` pair.
+     * @returns {object} { rows: [{ date, description, amount }], skipped } or { rows: [], error }
+     */
+    static parseStatement(text, mapping) {
+        const map = { delimiter: ',', headerIndex: 0, amount: -1, debit: -1, credit: -1, ...mapping };
+        const useAmount = map.amount >= 0;
+
+        if (!(map.date >= 0)) {
+            return { rows: [], skipped: 0, error: 'Choose the date column' };
+        }
+        if (!useAmount && !(map.debit >= 0) && !(map.credit >= 0)) {
+            return { rows: [], skipped: 0, error: 'Choose the amount column, or the debit and credit columns' };
+        }
+
+        const rows = [];
+        let skipped = 0;
+
+        text.split(/\r?\n/).slice(map.headerIndex + 1).forEach(line => {
+            if (!line.trim()) return;
+
+            const cells = Utils.parseCSVLine(line, map.delimiter);
+            const date = this.parseDate(cells[map.date], map.dateFormat);
+            let amount = null;
+
+            if (useAmount) {
+                amount = this.parseAmount(cells[map.amount]);
+                if (amount !== null && map.amountSign === 'spend-positive') amount = -amount;
+            } else {
+                const debit = map.debit >= 0 ? this.parseAmount(cells[map.debit]) : null;
+                const credit = map.credit >= 0 ? this.parseAmount(cells[map.credit]) : null;
+                if (debit) amount = -Math.abs(debit);
+                else if (credit) amount = Math.abs(credit);
+            }
+
+            // Footer lines (totals, closing balance) have no valid date or amount
+            if (!date || !amount) {
+                skipped++;
+                return;
+            }
+
+            rows.push({
+                date: date,
+                description: map.description >= 0 ? (cells[map.description] || '') : '',
+                amount: amount
+            });
+        });
+
+        return { rows, skipped };
+    }
+
+    /**
+     * Import statement rows, categorizing each one and skipping rows already in the budget
+     * @returns {object} { success, budget, imported, duplicates, skipped } or { success: false, error }
+     */
+    static importStatement(budget, text, mapping) {
+        const parsed = this.parseStatement(text, mapping);
+        if (parsed.error) {
+            return { success: false, error: parsed.error };
+        }
+        if (parsed.rows.length === 0) {
+            return { success: false, error: 'No transactions found. Check the column mapping and date format.' };
+        }
+
+        const updated = this.normalizeBudget(Utils.deepCopy(budget));
+        const key = t => `${t.date}|${t.description.trim().toLowerCase()}|${t.amount.toFixed(2)}`;
+        const existing = new Set(updated.transactions.map(key));
+        let imported = 0;
+        let duplicates = 0;
+
+        parsed.rows.forEach(row => {
+            if (existing.has(key(row))) {
+                duplicates++;
+                return;
+            }
+            existing.add(key(row));
+            updated.transactions.push({
+                id: Utils.generateId(),
+                date: row.date,
+                description: row.description,
+                amount: row.amount,
+                category: this.categorize(row.description, row.amount, updated),
+                manual: false
+            });
+            imported++;
+        });
+
+        updated.transactions.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+        updated.mapping = { ...mapping };
+
+        return { success: true, budget: updated, imported, duplicates, skipped: parsed.skipped };
+    }
+
+    /**
+     * Months (YYYY-MM) that have transactions, newest first
+     */
+    static getMonths(budget) {
+        const months = new Set(this.normalizeBudget(budget).transactions.map(t => t.date.slice(0, 7)));
+        return [...months].sort().reverse();
+    }
+
+    /**
+     * Planned vs actual for one month
+     * Refunds in an expense category reduce that category's spending.
+     * @returns {object} { month, rows: [{ category, kind, planned, actual, difference }], planned, actual, hasTransactions }
+     */
+    static getMonthSummary(budget, month) {
+        const normalized = this.normalizeBudget(budget);
+        const transactions = normalized.transactions.filter(t => t.date.slice(0, 7) === month);
+        const byCategory = {};
+        transactions.forEach(t => { byCategory[t.category] = (byCategory[t.category] || 0) + t.amount; });
+
+        const rows = normalized.categories.map(c => {
+            // Income is shown as money in, expenses and savings as money out
+            const actual = c.kind === 'income' ? (byCategory[c.name] || 0) : -(byCategory[c.name] || 0);
+            return {
+                category: c.name,
+                categoryId: c.id,
+                kind: c.kind,
+                planned: c.planned,
+                actual: actual,
+                difference: c.kind === 'income' ? actual - c.planned : c.planned - actual
+            };
+        });
+
+        return {
+            month: month,
+            rows: rows,
+            planned: this.getTotals(rows, 'planned'),
+            actual: this.getTotals(rows, 'actual'),
+            hasTransactions: transactions.length > 0
+        };
+    }
+
+    /**
+     * Income, expenses, investments, surplus and savings rate from summary rows
+     */
+    static getTotals(rows, field) {
+        const sum = kind => rows.filter(r => r.kind === kind).reduce((s, r) => s + r[field], 0);
+        const income = sum('income');
+        const expenses = sum('expense');
+        const surplus = income - expenses;
+
+        return {
+            income: income,
+            expenses: expenses,
+            invested: sum('savings'),
+            surplus: surplus,
+            savingsRate: income > 0 ? (surplus / income) * 100 : 0
+        };
+    }
+
+    /**
+     * Totals to plan with: average of the latest months with transactions, else the planned budget
+     * @returns {object} { basis: 'actual' | 'planned', months: [YYYY-MM], income, expenses, invested, surplus, savingsRate }
+     */
+    static getAverageTotals(budget, count = this.AVERAGE_MONTHS) {
+        const months = this.getMonths(budget).slice(0, count);
+        if (months.length === 0) {
+            const planned = this.getMonthSummary(budget, '').planned;
+            return { basis: 'planned', months: [], ...planned };
+        }
+
+        const totals = months.map(m => this.getMonthSummary(budget, m).actual);
+        const average = key => totals.reduce((s, t) => s + t[key], 0) / totals.length;
+        const income = average('income');
+        const surplus = average('surplus');
+
+        return {
+            basis: 'actual',
+            months: months,
+            income: income,
+            expenses: average('expenses'),
+            invested: average('invested'),
+            surplus: surplus,
+            savingsRate: income > 0 ? (surplus / income) * 100 : 0
+        };
+    }
+
+    /**
+     * Suggested monthly SIP: the average surplus (which already includes money going to investments),
+     * rounded down to ₹500
+     */
+    static getSuggestedSIP(budget) {
+        const totals = this.getAverageTotals(budget);
+        return {
+            ...totals,
+            amount: Math.max(0, Math.floor(totals.surplus / 500) * 500)
+        };
+    }
+
+    /**
+     * Emergency fund target: average monthly expenses × 6 (the portfolio checklist rule)
+     * @returns {object} { monthlyExpenses, months, target, current, gap, monthsToBuild }
+     */
+    static getEmergencyFund(budget, months = this.EMERGENCY_FUND_MONTHS) {
+        const normalized = this.normalizeBudget(budget);
+        const suggestion = this.getSuggestedSIP(normalized);
+        const target = Math.round(suggestion.expenses * months);
+        const gap = Math.max(0, target - normalized.emergencyFund);
+
+        return {
+            basis: suggestion.basis,
+            monthlyExpenses: Math.round(suggestion.expenses),
+            months: months,
+            target: target,
+            current: normalized.emergencyFund,
+            gap: gap,
+            monthsToBuild: gap > 0 && suggestion.surplus > 0 ? Math.ceil(gap / suggestion.surplus) : null
+        };
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.BudgetTracker = BudgetTracker;
+}
+
+// For Node.js/SSR
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BudgetTracker;
+}
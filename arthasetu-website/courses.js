@@ -0,0 +1,203 @@
+/**
+ * COURSES.JS
+ * Course catalogue rendered from courses.json, with pre-registration for logged-in users
+ * Open courses link to the lesson player (learn.html); lesson content fields are described in lesson-player.js
+ * Works with auth.js (registrations are saved on the user's account) and utils.js
+ *
+ * courses.json Schema:
+ * { version, courses: [{
+ *     id, title, summary,
+ *     status: 'coming-soon' | 'open' | 'closed',
+ *     launchDate: 'YYYY-MM-DD',
+ *     topics: [string],
+ *     modules: [{ id, title, lessons: [{ id, title, type: 'text' | 'video' | 'quiz', minutes }] }]
+ * }] }
+ *
+ * Admins can edit a course's title, summary, status and launch date (or add new courses)
+ * from the admin console; those entries come from /api/content/courses and win by id.
+ */
+
+class CourseCatalog {
+    static DATA_URL = 'courses.json';
+
+    static STATUS_LABELS = {
+        'coming-soon': 'Coming Soon',
+        'open': 'Open Now',
+        'closed': 'Closed'
+    };
+
+    static LESSON_TYPES = ['text', 'video', 'quiz'];
+
+    /**
+     * Schema problems for one course (empty array if valid)
+     */
+    static validate(course) {
+        const errors = [];
+
+        if (!course || !course.id) errors.push('id is required');
+        if (!course || !course.title) errors.push('title is required');
+        if (course && course.status && !this.STATUS_LABELS[course.status]) {
+            errors.push(`unknown status "${course.status}"`);
+        }
+        if (course && course.launchDate && isNaN(new Date(course.launchDate))) {
+            errors.push('launchDate must be YYYY-MM-DD');
+        }
+
+        const lessonIds = new Set();
+        (course && course.modules ? course.modules : []).forEach((module, m) => {
+            if (!module.id || !module.title) errors.push(`module ${m + 1} needs an id and title`);
+            (module.lessons || []).forEach((lesson, l) => {
+                if (!lesson.id || !lesson.title) errors.push(`module ${m + 1} lesson ${l + 1} needs an id and title`);
+                if (!this.LESSON_TYPES.includes(lesson.type)) errors.push(`lesson "${lesson.id}" has unknown type "${lesson.type}"`);
+                if (lessonIds.has(lesson.id)) errors.push(`lesson id "${lesson.id}" is used twice`);
+                lessonIds.add(lesson.id);
+
+                (lesson.questions || []).forEach((q, i) => {
+                    if (!q.question || !Array.isArray(q.options) || q.options.length < 2) {
+                        errors.push(`lesson "${lesson.id}" question ${i + 1} needs a question and 2+ options`);
+                    }
+                });
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Fill optional fields so renderers can rely on them
+     */
+    static normalize(course) {
+        return {
+            status: 'coming-soon',
+            launchDate: null,
+            summary: '',
+            topics: [],
+            modules: [],
+            ...course
+        };
+    }
+
+    /**
+     * Merge admin-managed entries over the catalogue file (matched by id)
+     * `source` records where a course came from: 'catalogue' (courses.json, maybe `edited`) or 'admin'.
+     */
+    static merge(baseCourses, adminCourses = []) {
+        const byId = new Map(baseCourses.map(c => [c.id, { ...c, source: 'catalogue' }]));
+        adminCourses.forEach(c => {
+            const base = byId.get(c.id);
+            byId.set(c.id, base ? { ...base, ...c, edited: true } : { ...c, source: 'admin' });
+        });
+        return [...byId.values()];
+    }
+
+    /**
+     * Load the catalogue (courses.json plus admin edits when the server is available)
+     * @returns {Promise<Array>} Valid, normalized courses
+     */
+    static async load() {
+        const response = await fetch(this.DATA_URL);
+        const data = await response.json();
+
+        const admin = typeof auth !== 'undefined' ? await auth.request('GET', '/content/courses') : null;
+        const courses = this.merge(data.courses || [], admin && admin.success ? admin.items : []);
+
+        return courses.filter(course => {
+            const errors = this.validate(course);
+            if (errors.length > 0) {
+                console.warn(`Skipping course "${course.id}": ${errors.join('; ')}`);
+            }
+            return errors.length === 0;
+        }).map(course => this.normalize(course));
+    }
+
+    /**
+     * Total lessons and minutes in a course
+     */
+    static getStats(course) {
+        const lessons = course.modules.flatMap(m => m.lessons || []);
+        return {
+            modules: course.modules.length,
+            lessons: lessons.length,
+            minutes: lessons.reduce((sum, l) => sum + (l.minutes || 0), 0)
+        };
+    }
+
+    static formatLaunchDate(launchDate) {
+        return launchDate
+            ? new Date(launchDate).toLocaleDateString('en-IN', { year: 'numeric', month: 'long', day: 'numeric' })
+            : 'To be announced';
+    }
+
+    /**
+     * Card HTML for one course
+     * @param {Array} registrations - Course ids the current user has pre-registered for
+     */
+    static renderCard(course, registrations = []) {
+        const stats = this.getStats(course);
+        const registered = registrations.includes(course.id);
+        const loggedIn = typeof auth !== 'undefined' && auth.isLoggedIn();
+
+        let action = '';
+        if (course.status === 'open' && stats.lessons > 0) {
+            const progress = loggedIn ? auth.getCourseProgress(course.id) : null;
+            const certificate = loggedIn ? auth.getCertificates().find(c => c.courseId === course.id) : null;
+
+            if (!loggedIn) {
+                action = `<button class="btn course-btn" onclick="openLoginModal()">Login to Start</button>`;
+            } else if (certificate) {
+                action = `<a class="btn course-btn registered" href="certificate.html?id=${encodeURIComponent(certificate.id)}">🏆 View Certificate</a>`;
+            } else if (progress && progress.completedCount > 0) {
+                action = `<a class="btn course-btn" href="learn.html?course=${encodeURIComponent(course.id)}">Resume (${progress.percent}% done)</a>`;
+            } else {
+                action = `<a class="btn course-btn" href="learn.html?course=${encodeURIComponent(course.id)}">Start Course</a>`;
+            }
+        } else if (course.status === 'coming-soon') {
+            if (!loggedIn) {
+                action = `<button class="btn course-btn" onclick="openLoginModal()">Login to Pre-register</button>`;
+            } else if (registered) {
+                action = `<button class="btn course-btn registered" onclick="toggleCourseRegistration('${course.id}')">✓ Pre-registered (Withdraw)</button>`;
+            } else {
+                action = `<button class="btn course-btn" onclick="toggleCourseRegistration('${course.id}')">Pre-register</button>`;
+            }
+        }
+
+        return `
+            <div class="course-card">
+                <div class="coming-soon-badge">${this.STATUS_LABELS[course.status]}</div>
+                <h3>${Utils.escapeHtml(course.title)}</h3>
+                <p>${Utils.escapeHtml(course.summary)}</p>
+                <ul>${course.topics.map(t => `<li>${Utils.escapeHtml(t)}</li>`).join('')}</ul>
+                <p class="course-meta">
+                    ${stats.modules} modules · ${stats.lessons} lessons${stats.minutes ? ` · ~${Math.round(stats.minutes / 60 * 10) / 10} hrs` : ''}
+                    <br>${course.status === 'coming-soon' ? `Launching: ${this.formatLaunchDate(course.launchDate)}` : ''}
+                </p>
+                ${action}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the catalogue into a container (leaves existing markup alone if loading fails)
+     */
+    static async render(container) {
+        if (!container) return;
+
+        try {
+            const courses = await this.load();
+            const registrations = typeof auth !== 'undefined' ? auth.getCourseRegistrations().map(r => r.courseId) : [];
+            container.innerHTML = courses.map(course => this.renderCard(course, registrations)).join('');
+        } catch (e) {
+            console.warn('Course catalogue unavailable:', e.message);
+        }
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.CourseCatalog = CourseCatalog;
+}
+
+// For Node.js/SSR
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CourseCatalog;
+}
@@ -1,150 +1,610 @@
-/**
- * DASHBOARD.JS
- * User dashboard functionality and profile management
- * Works with auth.js for user management
- */
-
-class Dashboard {
-    constructor() {
-        this.user = auth.getCurrentUser();
-        this.init();
-    }
-
-    init() {
-        if (!this.user) {
-            window.location.href = 'index.html';
-            return;
-        }
-        
-        this.renderDashboard();
-        this.setupEventListeners();
-    }
-
-    renderDashboard() {
-        const container = document.getElementById('dashboardContainer');
-        if (!container) return;
-
-        const funds = auth.getSavedFunds();
-        const portfolio = auth.getPortfolioData();
-
-        let html = `
-            <div class="dashboard">
-                <div class="dashboard-header">
-                    <h1>Welcome, ${this.user.name}! 👋</h1>
-                    <p>Manage your investments and financial goals</p>
-                </div>
-
-                <div class="dashboard-grid">
-                    <div class="dashboard-card">
-                        <h3>📊 Saved Funds</h3>
-                        <p class="stat">${funds.length}</p>
-                        <p class="desc">Funds in your watchlist</p>
-                        <a href="fund-choosing.html" class="btn-small">View Funds</a>
-                    </div>
-
-                    <div class="dashboard-card">
-                        <h3>💼 Portfolio</h3>
-                        <p class="stat">${portfolio ? '✓' : '○'}</p>
-                        <p class="desc">Portfolio configured</p>
-                        <a href="portfolio-management.html" class="btn-small">Manage</a>
-                    </div>
-
-                    <div class="dashboard-card">
-                        <h3>🎯 Wealth Plan</h3>
-                        <p class="stat">Ready</p>
-                        <p class="desc">Create your wealth strategy</p>
-                        <a href="wealth-strategy.html" class="btn-small">Plan</a>
-                    </div>
-
-                    <div class="dashboard-card">
-                        <h3>👤 Profile</h3>
-                        <p class="stat">${this.user.email}</p>
-                        <p class="desc">Account settings</p>
-                        <button class="btn-small" onclick="dashboard.showProfileModal()">Edit</button>
-                    </div>
-                </div>
-
-                <div class="dashboard-section">
-                    <h2>Recent Activity</h2>
-                    ${this.getRecentActivity()}
-                </div>
-
-                <div class="dashboard-section">
-                    <h2>Quick Actions</h2>
-                    <div class="actions-grid">
-                        <a href="fund-choosing.html" class="action-btn">
-                            <span class="icon">💡</span>
-                            <span class="text">Add Funds</span>
-                        </a>
-                        <a href="portfolio-management.html" class="action-btn">
-                            <span class="icon">📊</span>
-                            <span class="text">Review Portfolio</span>
-                        </a>
-                        <a href="wealth-strategy.html" class="action-btn">
-                            <span class="icon">🎯</span>
-                            <span class="text">Calculate SIP</span>
-                        </a>
-                        <button class="action-btn" onclick="dashboard.exportUserData()">
-                            <span class="icon">📥</span>
-                            <span class="text">Export Data</span>
-                        </button>
-                    </div>
-                </div>
-            </div>
-        `;
-
-        container.innerHTML = html;
-    }
-
-    getRecentActivity() {
-        const funds = auth.getSavedFunds();
-        
-        if (funds.length === 0) {
-            return '<p class="empty-state">No activity yet. Start by adding funds!</p>';
-        }
-
-        let html = '<ul class="activity-list">';
-        funds.slice(-5).reverse().forEach(fund => {
-            html += `<li>✓ Added fund: <strong>${fund.name}</strong> (Score: ${fund.score}/100)</li>`;
-        });
-        html += '</ul>';
-        
-        return html;
-    }
-
-    setupEventListeners() {
-        // Setup any additional event listeners
-    }
-
-    showProfileModal() {
-        const name = prompt('Enter your name:', this.user.name);
-        if (name && name.trim()) {
-            const result = auth.updateProfile(name.trim());
-            if (result.success) {
-                this.user = result.user;
-                alert('Profile updated successfully!');
-                this.renderDashboard();
-            }
-        }
-    }
-
-    exportUserData() {
-        const result = auth.exportData();
-        if (result.success) {
-            const dataStr = JSON.stringify(result.data, null, 2);
-            const dataBlob = new Blob([dataStr], { type: 'application/json' });
-            const url = URL.createObjectURL(dataBlob);
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = `arthasetu_data_${new Date().toISOString()}.json`;
-            link.click();
-            alert('Data exported successfully!');
-        }
-    }
-}
-
-// Initialize on load
-let dashboard;
-document.addEventListener('DOMContentLoaded', () => {
-    dashboard = new Dashboard();
+/**
+ * DASHBOARD.JS
+ * User dashboard functionality and profile management
+ * Works with auth.js for user management, utils.js and risk-profiler.js for the risk card
+ * Course progress comes from the user record (see lesson-player.js)
+ * Net worth comes from net-worth.js (stored with auth.saveNetWorth); the chart needs Chart.js
+ * Recent activity is the fund watchlist history (auth.getFundHistory, written by watchlist-manager.js)
+ * The Data & Storage section shows storage.js problems and moves data between storage backends
+ * Backups are restored through data-backup.js (validate, preview, merge/replace) and auth.importData
+ */
+
+class Dashboard {
+    constructor() {
+        this.user = auth.getCurrentUser();
+        this.netWorthChart = null;
+        this.backup = null;
+        this.init();
+    }
+
+    init() {
+        if (!this.user) {
+            window.location.href = 'index.html';
+            return;
+        }
+        
+        this.renderDashboard();
+        this.setupEventListeners();
+    }
+
+    renderDashboard() {
+        const container = document.getElementById('dashboardContainer');
+        if (!container) return;
+
+        const funds = auth.getSavedFunds();
+        const watchlists = auth.getWatchlists();
+        const watchlistCount = watchlists ? watchlists.watchlists.length : 0;
+        const portfolio = auth.getPortfolioData();
+        const riskProfile = auth.getRiskProfile();
+        const allocation = Utils.getAssetAllocation(riskProfile);
+        this.netWorth = NetWorthTracker.normalizeData(auth.getNetWorth());
+
+        let html = `
+            <div class="dashboard">
+                <div class="dashboard-header">
+                    <h1>Welcome, ${this.user.name}! 👋</h1>
+                    <p>Manage your investments and financial goals</p>
+                </div>
+
+                <div class="dashboard-grid">
+                    <div class="dashboard-card">
+                        <h3>📊 Saved Funds</h3>
+                        <p class="stat">${funds.length}</p>
+                        <p class="desc">Funds in your active watchlist${watchlistCount > 1 ? ` (${watchlistCount} watchlists)` : ''}</p>
+                        <a href="fund-choosing.html" class="btn-small">View Funds</a>
+                    </div>
+
+                    <div class="dashboard-card">
+                        <h3>💼 Portfolio</h3>
+                        <p class="stat">${portfolio ? '✓' : '○'}</p>
+                        <p class="desc">Portfolio configured</p>
+                        <a href="portfolio-management.html" class="btn-small">Manage</a>
+                    </div>
+
+                    <div class="dashboard-card">
+                        <h3>🧭 Risk Profile</h3>
+                        <p class="stat">${riskProfile ? RiskProfiler.getLabel(riskProfile) : '○'}</p>
+                        <p class="desc">${riskProfile ? `Target: ${allocation.equity}% equity / ${allocation.debt}% debt / ${allocation.cash}% cash` : 'Not assessed yet'}</p>
+                        <a href="portfolio-management.html#risk-profiler" class="btn-small">${riskProfile ? 'Retake' : 'Take Test'}</a>
+                    </div>
+
+                    ${this.getNetWorthCard()}
+
+                    ${this.getCourseCard()}
+
+                    <div class="dashboard-card">
+                        <h3>🎯 Wealth Plan</h3>
+                        <p class="stat">Ready</p>
+                        <p class="desc">Create your wealth strategy</p>
+                        <a href="wealth-strategy.html" class="btn-small">Plan</a>
+                    </div>
+
+                    <div class="dashboard-card">
+                        <h3>👤 Profile</h3>
+                        <p class="stat">${this.user.email}</p>
+                        <p class="desc">Account settings</p>
+                        <button class="btn-small" onclick="dashboard.showProfileModal()">Edit</button>
+                    </div>
+                </div>
+
+                ${this.getNetWorthSection(riskProfile)}
+
+                <div class="dashboard-section">
+                    <h2>Recent Activity</h2>
+                    ${this.getRecentActivity()}
+                </div>
+
+                ${this.getBackupSection()}
+
+                ${this.getStorageSection()}
+
+                <div class="dashboard-section">
+                    <h2>Quick Actions</h2>
+                    <div class="actions-grid">
+                        <a href="fund-choosing.html" class="action-btn">
+                            <span class="icon">💡</span>
+                            <span class="text">Add Funds</span>
+                        </a>
+                        <a href="portfolio-management.html" class="action-btn">
+                            <span class="icon">📊</span>
+                            <span class="text">Review Portfolio</span>
+                        </a>
+                        <a href="wealth-strategy.html" class="action-btn">
+                            <span class="icon">🎯</span>
+                            <span class="text">Calculate SIP</span>
+                        </a>
+                        <a href="#netWorth" class="action-btn">
+                            <span class="icon">💰</span>
+                            <span class="text">Update Net Worth</span>
+                        </a>
+                        <button class="action-btn" onclick="dashboard.exportUserData()">
+                            <span class="icon">📥</span>
+                            <span class="text">Export Data</span>
+                        </button>
+                        ${auth.isAdmin() ? `
+                        <a href="admin.html" class="action-btn">
+                            <span class="icon">🛡️</span>
+                            <span class="text">Admin Console</span>
+                        </a>` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+
+        container.innerHTML = html;
+        this.renderNetWorthChart();
+    }
+
+    /**
+     * Course progress card (progress totals are kept on the user by the server)
+     */
+    getCourseCard() {
+        const courses = Object.entries(auth.getCourseProgress())
+            .map(([courseId, progress]) => ({ courseId, ...progress }))
+            .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1));
+        const certificates = auth.getCertificates();
+
+        if (courses.length === 0) {
+            return `
+                    <div class="dashboard-card">
+                        <h3>🎓 Courses</h3>
+                        <p class="stat">○</p>
+                        <p class="desc">No courses started yet</p>
+                        <a href="index.html#courses" class="btn-small">Browse Courses</a>
+                    </div>`;
+        }
+
+        const latest = courses[0];
+        const rows = courses.slice(0, 3).map(c => {
+            const certificate = certificates.find(cert => cert.courseId === c.courseId);
+            return `<p class="desc">${Utils.escapeHtml(c.courseTitle)}: ${c.completedCount}/${c.totalLessons} lessons (${c.percent}%)${certificate ? ` · <a href="certificate.html?id=${encodeURIComponent(certificate.id)}">🏆 Certificate</a>` : ''}</p>`;
+        }).join('');
+
+        return `
+                    <div class="dashboard-card">
+                        <h3>🎓 Courses</h3>
+                        <p class="stat">${latest.percent}%</p>
+                        ${rows}
+                        <a href="learn.html?course=${encodeURIComponent(latest.courseId)}" class="btn-small">${latest.completedAt ? 'Review' : 'Resume'}</a>
+                    </div>`;
+    }
+
+    /**
+     * Net-worth card (latest total and change since the previous snapshot)
+     */
+    getNetWorthCard() {
+        const totals = NetWorthTracker.getTotals(this.netWorth);
+        const change = NetWorthTracker.getChange(this.netWorth);
+        const hasItems = this.netWorth.assets.length + this.netWorth.liabilities.length > 0;
+
+        return `
+                    <div class="dashboard-card">
+                        <h3>💰 Net Worth</h3>
+                        <p class="stat">${hasItems ? Utils.formatCurrency(totals.netWorth) : '○'}</p>
+                        <p class="desc">${change
+                            ? `<span class="${change.amount >= 0 ? 'positive' : 'negative'}">${change.amount >= 0 ? '+' : ''}${Utils.formatCurrency(change.amount)}</span> since ${change.since}`
+                            : (hasItems ? 'Take a snapshot each month to see the trend' : 'Add your assets and loans')}</p>
+                        <a href="#netWorth" class="btn-small">Update</a>
+                    </div>`;
+    }
+
+    /**
+     * Net-worth tracker: item lists, snapshot chart and asset mix vs target
+     */
+    getNetWorthSection(riskProfile) {
+        const totals = NetWorthTracker.getTotals(this.netWorth);
+        const options = types => Object.entries(types)
+            .map(([value, type]) => `<option value="${value}">${type.label}</option>`).join('');
+        const itemRows = (items, kind, types) => items.map(item => `
+                        <tr>
+                            <td>${Utils.escapeHtml(item.name)}${item.source === 'holdings' ? ' <span class="desc">(synced)</span>' : ''}</td>
+                            <td>${types[item.type] ? types[item.type].label : Utils.escapeHtml(item.type)}${item.assetClass ? ` · ${item.assetClass}` : ''}</td>
+                            <td><input type="number" min="0" value="${Math.round(item.value)}" onchange="dashboard.updateNetWorthValue('${kind}', '${item.id}', this.value)"></td>
+                            <td><button class="btn-small" onclick="dashboard.removeNetWorthItem('${kind}', '${item.id}')">Remove</button></td>
+                        </tr>`).join('');
+        const mixRows = NetWorthTracker.getAssetMix(this.netWorth, riskProfile).map(row => `
+                        <tr>
+                            <td>${row.assetClass}</td>
+                            <td>${Utils.formatCurrency(row.value)}</td>
+                            <td>${row.percent.toFixed(1)}%</td>
+                            <td>${row.target === null ? '—' : `${row.target}%`}</td>
+                            <td>${row.difference === null ? '—' : `<span class="${Math.abs(row.difference) <= 5 ? 'positive' : 'negative'}">${row.difference >= 0 ? '+' : ''}${row.difference.toFixed(1)}%</span>`}</td>
+                        </tr>`).join('');
+
+        return `
+                <div class="dashboard-section" id="netWorth">
+                    <h2>Net Worth</h2>
+                    <div class="networth-summary">
+                        <div><span class="desc">Assets</span><strong>${Utils.formatCurrency(totals.assets)}</strong></div>
+                        <div><span class="desc">Liabilities</span><strong>${Utils.formatCurrency(totals.liabilities)}</strong></div>
+                        <div><span class="desc">Net Worth</span><strong>${Utils.formatCurrency(totals.netWorth)}</strong></div>
+                    </div>
+
+                    <div class="networth-forms">
+                        <div class="networth-form">
+                            <h3>Add Asset</h3>
+                            <select id="nwAssetType">${options(NetWorthTracker.ASSET_TYPES)}</select>
+                            <input type="text" id="nwAssetName" placeholder="Name (e.g. SBI FD)">
+                            <input type="number" id="nwAssetValue" min="0" placeholder="Current value (₹)">
+                            <button class="btn-small" onclick="dashboard.addNetWorthItem('asset')">Add Asset</button>
+                            <button class="btn-small" onclick="dashboard.syncNetWorthHoldings()">Sync Mutual Funds from Holdings</button>
+                        </div>
+                        <div class="networth-form">
+                            <h3>Add Liability</h3>
+                            <select id="nwLiabilityType">${options(NetWorthTracker.LIABILITY_TYPES)}</select>
+                            <input type="text" id="nwLiabilityName" placeholder="Name (e.g. HDFC Home Loan)">
+                            <input type="number" id="nwLiabilityValue" min="0" placeholder="Outstanding (₹)">
+                            <button class="btn-small" onclick="dashboard.addNetWorthItem('liability')">Add Liability</button>
+                        </div>
+                    </div>
+
+                    ${this.netWorth.assets.length ? `
+                    <table class="networth-table">
+                        <thead><tr><th>Asset</th><th>Type</th><th>Value (₹)</th><th></th></tr></thead>
+                        <tbody>${itemRows(this.netWorth.assets, 'asset', NetWorthTracker.ASSET_TYPES)}</tbody>
+                    </table>` : ''}
+                    ${this.netWorth.liabilities.length ? `
+                    <table class="networth-table">
+                        <thead><tr><th>Liability</th><th>Type</th><th>Outstanding (₹)</th><th></th></tr></thead>
+                        <tbody>${itemRows(this.netWorth.liabilities, 'liability', NetWorthTracker.LIABILITY_TYPES)}</tbody>
+                    </table>` : ''}
+
+                    <h3>Net Worth Over Time</h3>
+                    <p class="desc">One snapshot per month; taking another this month replaces it.</p>
+                    <button class="btn-small" onclick="dashboard.takeNetWorthSnapshot()">📸 Take Snapshot</button>
+                    ${this.netWorth.snapshots.length
+                        ? '<div class="networth-chart"><canvas id="netWorthChart"></canvas></div>'
+                        : '<p class="empty-state">No snapshots yet.</p>'}
+
+                    <h3>Asset Mix vs Target${riskProfile ? ` (${RiskProfiler.getLabel(riskProfile)})` : ' (Moderate)'}</h3>
+                    <p class="desc">Equity, debt and cash are compared as a share of those three; gold and property as a share of all assets.</p>
+                    <table class="networth-table">
+                        <thead><tr><th>Asset Class</th><th>Value</th><th>Actual</th><th>Target</th><th>Difference</th></tr></thead>
+                        <tbody>${mixRows}</tbody>
+                    </table>
+                </div>`;
+    }
+
+    /**
+     * Line chart of net worth, assets and liabilities across snapshots
+     */
+    renderNetWorthChart() {
+        const canvas = document.getElementById('netWorthChart');
+        if (this.netWorthChart) {
+            this.netWorthChart.destroy();
+            this.netWorthChart = null;
+        }
+        if (!canvas || typeof Chart === 'undefined') return;
+
+        const snapshots = this.netWorth.snapshots;
+        const line = (label, key, color, dash = []) => ({
+            label, data: snapshots.map(s => s[key]), borderColor: color, borderDash: dash, borderWidth: 2, fill: false, tension: 0.2
+        });
+
+        this.netWorthChart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: snapshots.map(s => s.month),
+                datasets: [
+                    line('Net Worth', 'netWorth', '#059669'),
+                    line('Assets', 'assets', '#1a3a52', [6, 4]),
+                    line('Liabilities', 'liabilities', '#ef4444', [6, 4])
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                plugins: {
+                    legend: { position: 'bottom' },
+                    tooltip: {
+                        callbacks: {
+                            label: context => `${context.dataset.label}: ${Utils.formatCurrency(context.parsed.y)}`
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Save net-worth data and redraw
+     */
+    saveNetWorth(data) {
+        const result = auth.saveNetWorth(data);
+        if (!result.success) {
+            alert(result.error);
+            return;
+        }
+        this.renderDashboard();
+        const section = document.getElementById('netWorth');
+        if (section) section.scrollIntoView();
+    }
+
+    addNetWorthItem(kind) {
+        const prefix = kind === 'asset' ? 'nwAsset' : 'nwLiability';
+        const result = NetWorthTracker.addItem(this.netWorth, kind, {
+            type: document.getElementById(`${prefix}Type`).value,
+            name: document.getElementById(`${prefix}Name`).value,
+            value: document.getElementById(`${prefix}Value`).value
+        });
+
+        if (!result.success) {
+            alert(result.error);
+            return;
+        }
+        this.saveNetWorth(result.data);
+    }
+
+    updateNetWorthValue(kind, id, value) {
+        const result = NetWorthTracker.updateValue(this.netWorth, kind, id, value);
+        if (!result.success) {
+            alert(result.error);
+            return;
+        }
+        this.saveNetWorth(result.data);
+    }
+
+    removeNetWorthItem(kind, id) {
+        this.saveNetWorth(NetWorthTracker.removeItem(this.netWorth, kind, id));
+    }
+
+    syncNetWorthHoldings() {
+        const ledger = auth.getPortfolioData();
+        if (!ledger || !HoldingsTracker.normalizeLedger(ledger).transactions.length) {
+            alert('No holdings recorded yet. Add transactions in Portfolio Management first.');
+            return;
+        }
+        this.saveNetWorth(NetWorthTracker.syncHoldings(this.netWorth, ledger));
+    }
+
+    takeNetWorthSnapshot() {
+        if (this.netWorth.assets.length + this.netWorth.liabilities.length === 0) {
+            alert('Add at least one asset or liability first.');
+            return;
+        }
+        this.saveNetWorth(NetWorthTracker.takeSnapshot(this.netWorth));
+    }
+
+    getRecentActivity() {
+        const history = auth.getFundHistory().slice(0, 8);
+
+        if (history.length === 0) {
+            return '<p class="empty-state">No activity yet. Start by adding funds!</p>';
+        }
+
+        const icons = { added: '➕', edited: '✏️', removed: '🗑️', rescored: '🔄', reordered: '↕️', created: '📁', renamed: '📁', deleted: '📁' };
+        let html = '<ul class="activity-list">';
+        history.forEach(entry => {
+            const subject = entry.fund ? `<strong>${Utils.escapeHtml(entry.fund)}</strong>` : `watchlist <strong>${Utils.escapeHtml(entry.watchlist)}</strong>`;
+            html += `<li>${icons[entry.type] || '•'} ${entry.type.charAt(0).toUpperCase() + entry.type.slice(1)} ${subject}${entry.details ? ` (${Utils.escapeHtml(entry.details)})` : ''}
+                <br><small class="desc">${Utils.escapeHtml(entry.watchlist)} · ${new Date(entry.at).toLocaleString('en-IN')}</small></li>`;
+        });
+        html += '</ul>';
+
+        return html;
+    }
+
+    /**
+     * Download / restore a backup; the restore preview is filled in by loadBackupFile
+     */
+    getBackupSection() {
+        return `<div class="dashboard-section" id="backup">
+            <h2>Backup &amp; Restore</h2>
+            <p class="desc">Download everything saved in this browser, or restore a backup made on another browser or device. You'll see what changes before anything is saved.</p>
+            <div class="networth-form" style="max-width: 420px;">
+                <button class="btn-small" onclick="dashboard.exportUserData()">📥 Download Backup</button>
+                <label>Restore from a backup file</label>
+                <input type="file" accept=".json,application/json" onchange="dashboard.loadBackupFile(event)">
+            </div>
+            <div id="backupPreview">${this.getBackupPreview()}</div>
+        </div>`;
+    }
+
+    /**
+     * This device's data, in the sections a backup can restore
+     */
+    getRestorableData() {
+        return {
+            portfolio: auth.getPortfolioData(),
+            watchlists: auth.getWatchlists(),
+            settings: auth.getSettings(),
+            goals: auth.getGoalPlan(),
+            netWorth: auth.getNetWorth(),
+            budget: auth.getBudget()
+        };
+    }
+
+    getBackupPreview() {
+        if (!this.backup) return '';
+
+        const backup = this.backup.data;
+        const sections = DataBackup.preview(this.getRestorableData(), backup, this.backup.modes);
+        const modeLabels = { merge: 'Merge', replace: 'Replace', skip: 'Skip' };
+
+        let html = `<h3>Restore Preview</h3>
+            <p class="desc">Backup from ${backup.exportedAt ? new Date(backup.exportedAt).toLocaleString('en-IN') : 'an unknown date'}${backup.email ? ` · ${Utils.escapeHtml(backup.email)}` : ''}</p>`;
+        if (backup.email && backup.email !== this.user.email) {
+            html += `<p class="negative">This backup belongs to a different account (${Utils.escapeHtml(backup.email)}). Restoring adds its data to ${Utils.escapeHtml(this.user.email)}.</p>`;
+        }
+
+        html += '<table class="networth-table"><thead><tr><th>Section</th><th>On this device</th><th>Restore as</th><th>After restore</th></tr></thead><tbody>';
+        sections.forEach(section => {
+            html += `<tr>
+                <td>${section.label}</td>
+                <td>${section.before}</td>
+                <td><select onchange="dashboard.setBackupMode('${section.key}', this.value)">
+                    ${section.modes.map(mode => `<option value="${mode}" ${mode === section.mode ? 'selected' : ''}>${modeLabels[mode]}</option>`).join('')}
+                </select></td>
+                <td>${section.error ? `<span class="negative">Can't restore: ${Utils.escapeHtml(section.error)}</span>`
+                    : section.mode === 'skip' ? '<em>Unchanged</em>' : section.changed ? `<strong>${section.after}</strong>` : 'No changes'}</td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
+
+        const changes = sections.filter(section => section.changed).length;
+        html += `<p class="desc" style="margin-top: 1rem;">Merge keeps what is on this device and adds the backup (the backup wins where both have the same item); Replace swaps in the backup's copy.</p>
+            <button class="btn-small" onclick="dashboard.applyBackup()" ${changes ? '' : 'disabled'}>Restore ${changes} Section${changes === 1 ? '' : 's'}</button>
+            <button class="btn-small" onclick="dashboard.cancelBackup()">Cancel</button>`;
+
+        return html;
+    }
+
+    renderBackupPreview() {
+        const container = document.getElementById('backupPreview');
+        if (container) container.innerHTML = this.getBackupPreview();
+    }
+
+    async loadBackupFile(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const result = DataBackup.validate(await file.text());
+        e.target.value = '';
+        if (!result.success) {
+            alert([result.error, ...result.details].join('\n'));
+            return;
+        }
+
+        this.backup = { data: result.backup, modes: {} };
+        this.renderBackupPreview();
+    }
+
+    setBackupMode(key, mode) {
+        this.backup.modes[key] = mode;
+        this.renderBackupPreview();
+    }
+
+    applyBackup() {
+        const sections = DataBackup.preview(this.getRestorableData(), this.backup.data, this.backup.modes)
+            .filter(section => section.changed);
+        if (!confirm(`Restore ${sections.map(section => section.label).join(', ')} from the backup?`)) return;
+
+        const result = auth.importData(Object.fromEntries(sections.map(section => [section.key, section.result])));
+        if (!result.success) {
+            alert(`Nothing was restored: ${result.error}`);
+            return;
+        }
+
+        this.backup = null;
+        alert(`Restored ${result.imported.length} section${result.imported.length === 1 ? '' : 's'}.`);
+        this.renderDashboard();
+    }
+
+    cancelBackup() {
+        this.backup = null;
+        this.renderBackupPreview();
+    }
+
+    /**
+     * Storage backend, unreadable records (kept as copies by storage.js) and problems seen on this page
+     */
+    getStorageSection() {
+        const corrupt = storage.getCorruptRecords();
+        const issues = storage.getIssues().filter(issue => !corrupt.some(record => record.key === issue.key));
+        const backends = { localStorage: 'This browser (localStorage)', indexedDB: 'This browser (IndexedDB, more space)' };
+
+        let html = `<div class="dashboard-section" id="storage">
+            <h2>Data &amp; Storage</h2>
+            <p class="desc">Saved in: <strong>${backends[storage.backend.name] || 'This tab only (browser storage is blocked, nothing is kept)'}</strong> · ${storage.keys().length} records</p>
+            <div class="networth-form" style="max-width: 420px;">
+                <select id="storageBackend">
+                    ${Object.entries(backends).map(([name, label]) => `<option value="${name}" ${name === storage.backend.name ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <button class="btn-small" onclick="dashboard.changeStorageBackend()">Move My Data</button>
+            </div>`;
+
+        if (corrupt.length === 0 && issues.length === 0) {
+            html += '<p class="empty-state">No storage problems found.</p>';
+        } else {
+            html += '<table class="networth-table"><thead><tr><th>Record</th><th>Problem</th><th></th></tr></thead><tbody>';
+            corrupt.forEach((record, i) => {
+                const issue = storage.getIssues().find(entry => entry.key === record.key);
+                html += `<tr>
+                    <td>${Utils.escapeHtml(record.key)}</td>
+                    <td>${issue ? Utils.escapeHtml(issue.error) : 'Could not be read; this is the copy that was kept'}</td>
+                    <td>
+                        <button class="btn-small" onclick="dashboard.downloadCorruptRecord(${i})">Download Copy</button>
+                        <button class="btn-small" onclick="dashboard.discardCorruptRecord(${i})">Discard</button>
+                    </td>
+                </tr>`;
+            });
+            issues.forEach(issue => {
+                html += `<tr><td>${Utils.escapeHtml(issue.key)}</td><td>${Utils.escapeHtml(issue.error)}</td><td></td></tr>`;
+            });
+            html += '</tbody></table>';
+        }
+
+        return html + '</div>';
+    }
+
+    async changeStorageBackend() {
+        const name = document.getElementById('storageBackend').value;
+        const result = await storage.useBackend(name);
+        if (!result.success) {
+            alert(result.error);
+            return;
+        }
+        alert(`Moved ${result.moved} records.`);
+        this.renderDashboard();
+    }
+
+    downloadCorruptRecord(index) {
+        const record = storage.getCorruptRecords()[index];
+        if (!record) return;
+
+        const url = URL.createObjectURL(new Blob([record.raw], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${record.key}${StorageManager.CORRUPT_SUFFIX}.txt`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    discardCorruptRecord(index) {
+        const record = storage.getCorruptRecords()[index];
+        if (!record || !confirm(`Delete the unreadable copy of ${record.key}? This cannot be undone.`)) return;
+
+        storage.discardCorrupt(record.key);
+        this.renderDashboard();
+    }
+
+    setupEventListeners() {
+        // Setup any additional event listeners
+    }
+
+    async showProfileModal() {
+        const name = prompt('Enter your name:', this.user.name);
+        if (name && name.trim()) {
+            const result = await auth.updateProfile(name.trim());
+            if (result.success) {
+                this.user = result.user;
+                alert('Profile updated successfully!');
+                this.renderDashboard();
+            } else {
+                alert(result.error);
+            }
+        }
+    }
+
+    exportUserData() {
+        const result = auth.exportData();
+        if (result.success) {
+            const dataStr = JSON.stringify({ format: DataBackup.FORMAT, version: DataBackup.VERSION, ...result.data }, null, 2);
+            const dataBlob = new Blob([dataStr], { type: 'application/json' });
+            const url = URL.createObjectURL(dataBlob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `arthasetu_data_${new Date().toISOString()}.json`;
+            link.click();
+            alert('Data exported successfully!');
+        }
+    }
+}
+
+// Initialize on load
+let dashboard;
+document.addEventListener('DOMContentLoaded', async () => {
+    await auth.ready;
+    dashboard = new Dashboard();
 });
\ No newline at end of file
@@ -0,0 +1,716 @@
+/**
+ * DATA-BACKUP.JS
+ * Restore the JSON backup written by Dashboard.exportUserData, plus CSV export/import of the fund list and holdings
+ * Works with auth.js (exportData / importData), watchlist-manager.js, utils.js (CSV helpers)
+ * and holdings-tracker.js (holdings CSV import)
+ *
+ * Backup File Structure (auth.exportData plus format and version):
+ * { format: 'arthasetu-backup', version, exportedAt, user, portfolio, watchlists, funds, goals, riskHistory,
+ *   netWorth, budget, settings }
+ * - Files exported before format/version were added are accepted (they are recognised by user + exportedAt);
+ *   a backup with only `funds` (before named watchlists) restores as one watchlist
+ * - user and riskHistory live on the server and are never restored from a file
+ *
+ * Restore modes per section (SECTIONS):
+ * - merge: keep what is on this device and add the backup; where both have the same item
+ *   (transaction id, watchlist/fund name, setting) the backup's version wins
+ * - replace: the backup's section replaces this device's
+ * - skip: leave this device's section alone
+ * A restored portfolio is replayed through HoldingsTracker.addTransaction, so a ledger that sells more units
+ * than it holds cannot be restored.
+ */
+
+class DataBackup {
+    static FORMAT = 'arthasetu-backup';
+    static VERSION = 1;
+    static MAX_ERRORS = 10;
+
+    static SECTIONS = {
+        portfolio: { label: 'Portfolio (holdings tracker)', modes: ['merge', 'replace', 'skip'] },
+        watchlists: { label: 'Fund watchlists', modes: ['merge', 'replace', 'skip'] },
+        settings: { label: 'Settings', modes: ['merge', 'replace', 'skip'] },
+        goals: { label: 'Goal plan', modes: ['replace', 'skip'] },
+        netWorth: { label: 'Net worth', modes: ['replace', 'skip'] },
+        budget: { label: 'Budget & expenses', modes: ['replace', 'skip'] }
+    };
+
+    // Fund list CSV columns (the score is recalculated on import)
+    static FUND_COLUMNS = [
+        ['name', 'Fund Name'],
+        ['category', 'Category'],
+        ['er', 'Expense Ratio (%)'],
+        ['alpha', 'Alpha (%)'],
+        ['beta', 'Beta'],
+        ['sharpe', 'Sharpe Ratio'],
+        ['volatility', 'Volatility (%)'],
+        ['cagr', 'CAGR (%)'],
+        ['score', 'Score'],
+        ['schemeCode', 'Scheme Code']
+    ];
+
+    // Holdings (transaction ledger) CSV columns
+    static HOLDING_COLUMNS = [
+        ['date', 'Date'],
+        ['fund', 'Fund'],
+        ['type', 'Type'],
+        ['nav', 'NAV'],
+        ['units', 'Units'],
+        ['amount', 'Amount'],
+        ['assetClass', 'Asset Class'],
+        ['taxType', 'Tax Type']
+    ];
+
+    // Ids end up in onclick handlers, so only plain ids (as made by Utils.generateId) are accepted
+    static ID = { type: 'string', pattern: /^[\w-]+$/ };
+    static DATE = { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ };
+
+    static FUND_SCHEMA = {
+        type: 'object',
+        required: ['name'],
+        fields: {
+            id: this.ID,
+            name: { type: 'string' },
+            category: { type: 'string' },
+            er: { type: 'number' },
+            alpha: { type: 'number' },
+            beta: { type: 'number' },
+            sharpe: { type: 'number' },
+            volatility: { type: 'number' },
+            cagr: { type: 'number' },
+            score: { type: 'number' },
+            schemeCode: { type: 'string' },
+            holdings: {
+                type: 'array',
+                items: { type: 'object', required: ['name', 'weight'], fields: { name: { type: 'string' }, weight: { type: 'number' } } }
+            }
+        }
+    };
+
+    /**
+     * Expected shape of a backup; sections that are missing or null are simply not restored
+     * Every item a page reads without checking (dates, amounts, types) is required here, so a restored
+     * section can always be rendered.
+     * Rules: type ('object' | 'array' | 'string' | 'number' | 'boolean'), required keys, fields, items,
+     * entries (rule for every value of a keyed object), values (enum), pattern
+     */
+    static SCHEMA = {
+        type: 'object',
+        fields: {
+            format: { type: 'string' },
+            version: { type: 'number' },
+            exportedAt: { type: 'string' },
+            user: { type: 'object', fields: { email: { type: 'string' } } },
+            portfolio: {
+                type: 'object',
+                required: ['transactions'],
+                fields: {
+                    transactions: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['fund', 'type', 'date', 'nav', 'units', 'amount'],
+                            fields: {
+                                id: this.ID,
+                                fund: { type: 'string' },
+                                type: { type: 'string', values: ['buy', 'sip', 'sell', 'redemption'] },
+                                date: this.DATE,
+                                nav: { type: 'number' },
+                                units: { type: 'number' },
+                                amount: { type: 'number' }
+                            }
+                        }
+                    },
+                    funds: {
+                        type: 'object',
+                        entries: {
+                            type: 'object',
+                            fields: {
+                                assetClass: { type: 'string', values: ['equity', 'debt', 'cash'] },
+                                taxType: { type: 'string', values: ['equity', 'debt', 'hybrid'] },
+                                currentNav: { type: 'number' },
+                                navDate: this.DATE
+                            }
+                        }
+                    },
+                    rebalance: { type: 'object' }
+                }
+            },
+            funds: { type: 'array', items: this.FUND_SCHEMA },
+            watchlists: {
+                type: 'object',
+                required: ['watchlists'],
+                fields: {
+                    watchlists: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['name', 'funds'],
+                            fields: { id: this.ID, name: { type: 'string' }, funds: { type: 'array', items: this.FUND_SCHEMA } }
+                        }
+                    },
+                    activeId: this.ID,
+                    history: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['type', 'at'],
+                            fields: {
+                                id: this.ID,
+                                type: { type: 'string', values: ['added', 'edited', 'removed', 'rescored', 'reordered', 'created', 'renamed', 'deleted'] },
+                                watchlistId: this.ID,
+                                watchlist: { type: 'string' },
+                                fund: { type: 'string' },
+                                details: { type: 'string' },
+                                at: { type: 'string' }
+                            }
+                        }
+                    }
+                }
+            },
+            goals: {
+                type: 'object',
+                fields: {
+                    goals: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['id', 'name', 'targetAmount', 'targetDate'],
+                            fields: {
+                                id: this.ID,
+                                name: { type: 'string' },
+                                targetAmount: { type: 'number' },
+                                targetDate: this.DATE,
+                                priority: { type: 'string', values: ['high', 'medium', 'low'] },
+                                inflationRate: { type: 'number' },
+                                currentSavings: { type: 'number' }
+                            }
+                        }
+                    },
+                    monthlyBudget: { type: 'number' }
+                }
+            },
+            riskHistory: { type: 'array' },
+            netWorth: {
+                type: 'object',
+                fields: {
+                    assets: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['id', 'type', 'name', 'value', 'assetClass'],
+                            fields: {
+                                id: this.ID,
+                                type: { type: 'string' },
+                                name: { type: 'string' },
+                                value: { type: 'number' },
+                                assetClass: { type: 'string', values: ['equity', 'debt', 'cash', 'gold', 'property'] },
+                                source: { type: 'string' }
+                            }
+                        }
+                    },
+                    liabilities: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['id', 'type', 'name', 'value'],
+                            fields: { id: this.ID, type: { type: 'string' }, name: { type: 'string' }, value: { type: 'number' } }
+                        }
+                    },
+                    snapshots: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['month', 'assets', 'liabilities', 'netWorth'],
+                            fields: {
+                                month: { type: 'string', pattern: /^\d{4}-\d{2}$/ },
+                                date: this.DATE,
+                                assets: { type: 'number' },
+                                liabilities: { type: 'number' },
+                                netWorth: { type: 'number' },
+                                byClass: { type: 'object', entries: { type: 'number' } }
+                            }
+                        }
+                    }
+                }
+            },
+            budget: {
+                type: 'object',
+                fields: {
+                    categories: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['id', 'name', 'kind'],
+                            fields: {
+                                id: this.ID,
+                                name: { type: 'string' },
+                                kind: { type: 'string', values: ['income', 'expense', 'savings'] },
+                                planned: { type: 'number' }
+                            }
+                        }
+                    },
+                    transactions: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['id', 'date', 'amount'],
+                            fields: {
+                                id: this.ID,
+                                date: this.DATE,
+                                description: { type: 'string' },
+                                amount: { type: 'number' },
+                                category: { type: 'string' },
+                                manual: { type: 'boolean' }
+                            }
+                        }
+                    },
+                    rules: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['id', 'keyword', 'category'],
+                            fields: { id: this.ID, keyword: { type: 'string' }, category: { type: 'string' } }
+                        }
+                    },
+                    mapping: { type: 'object' },
+                    emergencyFund: { type: 'number' }
+                }
+            },
+            settings: {
+                type: 'object',
+                fields: {
+                    taxRules: {
+                        type: 'object',
+                        fields: {
+                            slabRate: { type: 'number' },
+                            cessRate: { type: 'number' },
+                            regimes: { type: 'array', items: { type: 'object', required: ['from'], fields: { from: this.DATE } } }
+                        }
+                    },
+                    scoringProfiles: {
+                        type: 'object',
+                        entries: {
+                            type: 'object',
+                            fields: {
+                                weights: { type: 'object', entries: { type: 'number' } },
+                                thresholds: { type: 'object', entries: { type: 'array', items: { type: 'number' } } }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+    /**
+     * Check a value against a schema rule
+     * @returns {Array} Error messages ("portfolio.transactions[3].date has an invalid format")
+     */
+    static checkSchema(value, schema, path = 'backup', errors = []) {
+        const actual = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+        if (actual !== schema.type || (schema.type === 'number' && !isFinite(value))) {
+            errors.push(`${path} should be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+            return errors;
+        }
+
+        if (schema.values && !schema.values.includes(value)) {
+            errors.push(`${path} should be one of ${schema.values.join(', ')}`);
+        }
+        if (schema.pattern && !schema.pattern.test(value)) {
+            errors.push(`${path} has an invalid format`);
+        }
+
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined || value[key] === null) errors.push(`${path}.${key} is missing`);
+        });
+        Object.entries(schema.fields || {}).forEach(([key, rule]) => {
+            if (value[key] !== undefined && value[key] !== null) this.checkSchema(value[key], rule, `${path}.${key}`, errors);
+        });
+        if (schema.items) {
+            value.forEach((item, i) => this.checkSchema(item, schema.items, `${path}[${i}]`, errors));
+        }
+        if (schema.entries) {
+            Object.entries(value).forEach(([key, item]) => this.checkSchema(item, schema.entries, `${path}.${key}`, errors));
+        }
+
+        return errors;
+    }
+
+    /**
+     * Parse and validate a backup file
+     * @param {string} text - File contents
+     * @returns {object} { success, backup: { exportedAt, email, portfolio, watchlists, settings, goals, netWorth, budget } }
+     *                   or { success: false, error, details }
+     */
+    static validate(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return { success: false, error: 'This is not a JSON file.', details: [] };
+        }
+
+        const isLegacy = data && typeof data === 'object' && !data.format && data.user && data.exportedAt;
+        if (!data || typeof data !== 'object' || (data.format !== this.FORMAT && !isLegacy)) {
+            return { success: false, error: 'This is not an Arthasetu backup file.', details: [] };
+        }
+        if ((data.version || 0) > this.VERSION) {
+            return { success: false, error: 'This backup was made by a newer version of Arthasetu.', details: [] };
+        }
+
+        const errors = this.checkSchema(data, this.SCHEMA);
+        if (errors.length > 0) {
+            return {
+                success: false,
+                error: `The backup does not match the expected format (${errors.length} problem${errors.length === 1 ? '' : 's'}).`,
+                details: errors.slice(0, this.MAX_ERRORS)
+            };
+        }
+
+        let watchlists = data.watchlists || null;
+        if (!watchlists && Array.isArray(data.funds) && data.funds.length > 0) {
+            watchlists = { watchlists: [{ name: WatchlistManager.DEFAULT_NAME, funds: data.funds }], history: [] };
+        }
+
+        return {
+            success: true,
+            backup: {
+                exportedAt: data.exportedAt || null,
+                email: data.user && data.user.email ? data.user.email : null,
+                portfolio: data.portfolio || null,
+                watchlists: watchlists ? WatchlistManager.normalize(watchlists) : null,
+                settings: data.settings || null,
+                goals: data.goals || null,
+                netWorth: data.netWorth || null,
+                budget: data.budget || null
+            }
+        };
+    }
+
+    /**
+     * Merge a backup's holdings ledger into the current one
+     * The same transaction can carry a different id on each device, so fund + type + date + units also count as a match.
+     */
+    static mergePortfolio(current, incoming) {
+        const base = current && typeof current === 'object' ? current : {};
+        const transactions = Array.isArray(base.transactions) ? base.transactions.slice() : [];
+        const match = t => `${t.fund}|${t.type}|${t.date}|${Number(t.units).toFixed(3)}`;
+
+        incoming.transactions.forEach(t => {
+            const index = transactions.findIndex(existing => (t.id && existing.id === t.id) || match(existing) === match(t));
+            if (index >= 0) {
+                transactions[index] = { ...t, id: transactions[index].id };
+            } else {
+                transactions.push({ ...t, id: t.id || Utils.generateId() });
+            }
+        });
+        transactions.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+        return {
+            ...base,
+            ...incoming,
+            transactions: transactions,
+            funds: { ...(base.funds || {}), ...(incoming.funds || {}) }
+        };
+    }
+
+    /**
+     * Rebuild a ledger through HoldingsTracker.addTransaction (oldest first, purchases before same-day sells),
+     * so a restored ledger passes the same checks as transactions entered by hand
+     * Transaction ids, the funds' latest NAVs and the rebalance settings are kept.
+     * @returns {object} { success, ledger } or { success: false, error }
+     */
+    static replayLedger(ledger) {
+        const source = HoldingsTracker.normalizeLedger(ledger);
+        const inflowFirst = type => (HoldingsTracker.isInflow(type) ? 0 : 1);
+        const transactions = source.transactions.slice()
+            .sort((a, b) => (a.date === b.date ? inflowFirst(a.type) - inflowFirst(b.type) : a.date < b.date ? -1 : 1));
+
+        let rebuilt = { ...source, transactions: [], funds: {} };
+        const ids = new Set();
+        for (const t of transactions) {
+            const info = source.funds[t.fund] || {};
+            const result = HoldingsTracker.addTransaction(rebuilt, {
+                ...t,
+                assetClass: info.assetClass || undefined,
+                taxType: info.taxType || undefined
+            });
+            if (!result.success) {
+                return { success: false, error: `${t.fund} (${t.type} on ${t.date}): ${result.error}` };
+            }
+
+            const added = result.ledger.transactions.find(x => !ids.has(x.id));
+            if (t.id && !ids.has(t.id)) added.id = t.id;
+            ids.add(added.id);
+            rebuilt = result.ledger;
+        }
+
+        Object.keys(rebuilt.funds).forEach(name => {
+            rebuilt.funds[name] = { ...rebuilt.funds[name], ...(source.funds[name] || {}) };
+        });
+
+        return { success: true, ledger: rebuilt };
+    }
+
+    /**
+     * Merge a backup's watchlists into the current ones (watchlists and funds are matched by name)
+     */
+    static mergeWatchlists(current, incoming) {
+        const merged = WatchlistManager.normalize(Utils.deepCopy(current));
+        const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+        incoming.watchlists.forEach(list => {
+            const existing = merged.watchlists.find(w => sameName(w.name, list.name));
+            if (!existing) {
+                merged.watchlists.push({ ...list, id: merged.watchlists.some(w => w.id === list.id) ? Utils.generateId() : list.id });
+                return;
+            }
+
+            list.funds.forEach(fund => {
+                const index = existing.funds.findIndex(f => sameName(f.name, fund.name));
+                if (index >= 0) {
+                    existing.funds[index] = { ...fund, id: existing.funds[index].id };
+                } else {
+                    existing.funds.push({ ...fund, id: existing.funds.some(f => f.id === fund.id) ? Utils.generateId() : fund.id });
+                }
+            });
+            existing.updatedAt = new Date().toISOString();
+        });
+
+        const seen = new Set(merged.history.map(entry => entry.id));
+        merged.history = merged.history
+            .concat(incoming.history.filter(entry => !seen.has(entry.id)))
+            .sort((a, b) => (a.at < b.at ? 1 : -1))
+            .slice(0, WatchlistManager.HISTORY_LIMIT);
+
+        return merged;
+    }
+
+    /**
+     * Resulting data of one section for a restore mode
+     */
+    static resolve(key, mode, current, incoming) {
+        if (mode === 'replace') return incoming;
+        if (mode !== 'merge') return current;
+
+        if (key === 'portfolio') return this.mergePortfolio(current, incoming);
+        if (key === 'watchlists') return this.mergeWatchlists(current, incoming);
+        if (key === 'settings') return { ...(current || {}), ...incoming };
+        return incoming;
+    }
+
+    /**
+     * One-line summary of a section ("12 transactions in 3 funds")
+     */
+    static describe(key, data) {
+        if (!data) return 'Nothing saved';
+
+        const count = (list, noun, plural = `${noun}s`) => `${(list || []).length} ${(list || []).length === 1 ? noun : plural}`;
+        switch (key) {
+            case 'portfolio':
+                return `${count(data.transactions, 'transaction')} in ${count(Object.keys(data.funds || {}), 'fund')}`;
+            case 'watchlists':
+                return `${count(data.watchlists, 'watchlist')}, ${count([].concat(...data.watchlists.map(w => w.funds)), 'fund')}`;
+            case 'settings':
+                return count(Object.keys(data), 'setting');
+            case 'goals':
+                return count(data.goals, 'goal');
+            case 'netWorth':
+                return `${count(data.assets, 'asset')}, ${count(data.liabilities, 'liability', 'liabilities')}, ${count(data.snapshots, 'snapshot')}`;
+            case 'budget':
+                return `${count(data.transactions, 'transaction')}, ${count(data.categories, 'category', 'categories')}`;
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * What a restore would do, section by section
+     * @param {object} current - This device's data ({ portfolio, watchlists, settings, goals, netWorth, budget })
+     * @param {object} backup - From validate()
+     * @param {object} modes - { [section]: 'merge' | 'replace' | 'skip' } (defaults to the first mode of each section)
+     * @returns {Array} [{ key, label, modes, mode, before, after, changed, result, error }]
+     * - error: the section cannot be restored in this mode (e.g. the ledger sells more units than it holds)
+     */
+    static preview(current, backup, modes = {}) {
+        return Object.entries(this.SECTIONS)
+            .filter(([key]) => backup[key])
+            .map(([key, section]) => {
+                const mode = section.modes.includes(modes[key]) ? modes[key] : section.modes[0];
+                let result = this.resolve(key, mode, current[key] || null, backup[key]);
+                let error = null;
+
+                if (key === 'portfolio' && mode !== 'skip') {
+                    const replayed = this.replayLedger(result);
+                    error = replayed.success ? null : replayed.error;
+                    result = replayed.success ? replayed.ledger : current[key] || null;
+                }
+
+                return {
+                    key: key,
+                    label: section.label,
+                    modes: section.modes,
+                    mode: mode,
+                    before: this.describe(key, current[key]),
+                    after: this.describe(key, result),
+                    changed: !error && mode !== 'skip' && JSON.stringify(result) !== JSON.stringify(current[key] || null),
+                    result: result,
+                    error: error
+                };
+            });
+    }
+
+    /**
+     * Rows of cells as CSV text
+     */
+    static toCSV(rows) {
+        const quote = value => `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+        return rows.map(row => row.map(quote).join(',')).join('\n');
+    }
+
+    /**
+     * Header row + data rows of a CSV text, with columns matched to `columns` by key or label
+     * @returns {object} { rows: [{ [key]: cell }], missing: [required keys not found] }
+     */
+    static readCSV(text, columns, required) {
+        const lines = (text || '').split(/\r?\n/).filter(line => line.trim());
+        const delimiter = Utils.detectDelimiter(text || '');
+        const simplify = value => String(value).toLowerCase().replace(/\(.*?\)/g, '').replace(/[^a-z]/g, '');
+        const header = lines.length ? Utils.parseCSVLine(lines[0], delimiter).map(simplify) : [];
+
+        const indexes = {};
+        columns.forEach(([key, label]) => {
+            const index = header.findIndex(cell => cell === simplify(key) || cell === simplify(label));
+            if (index >= 0) indexes[key] = index;
+        });
+
+        const missing = required.filter(key => !(key in indexes));
+        const rows = missing.length ? [] : lines.slice(1).map(line => {
+            const cells = Utils.parseCSVLine(line, delimiter);
+            const row = {};
+            Object.entries(indexes).forEach(([key, index]) => { row[key] = (cells[index] || '').trim(); });
+            return row;
+        });
+
+        return { rows, missing };
+    }
+
+    /**
+     * Fund list as CSV rows
+     */
+    static fundsToRows(funds) {
+        return [this.FUND_COLUMNS.map(([, label]) => label)]
+            .concat(funds.map(fund => this.FUND_COLUMNS.map(([key]) => fund[key])));
+    }
+
+    /**
+     * Read funds from a CSV (an exported fund list, or any file with at least a fund name column)
+     * Missing numbers default like the fund form: beta 1, everything else 0.
+     * @returns {object} { success, funds, skipped } or { success: false, error }
+     */
+    static parseFundsCSV(text) {
+        const { rows, missing } = this.readCSV(text, this.FUND_COLUMNS, ['name']);
+        if (missing.length > 0) {
+            return { success: false, error: 'No "Fund Name" column found in the CSV.' };
+        }
+
+        const number = (value, fallback) => (isFinite(parseFloat(value)) ? parseFloat(value) : fallback);
+        const funds = rows.filter(row => row.name).map(row => {
+            const fund = {
+                name: row.name,
+                category: row.category || 'Equity Growth',
+                er: number(row.er, 0),
+                alpha: number(row.alpha, 0),
+                beta: number(row.beta, 1),
+                sharpe: number(row.sharpe, 0),
+                volatility: number(row.volatility, 0),
+                cagr: number(row.cagr, 0)
+            };
+            if (row.schemeCode) fund.schemeCode = row.schemeCode;
+            return fund;
+        });
+
+        return { success: true, funds, skipped: rows.length - funds.length };
+    }
+
+    /**
+     * Holdings ledger transactions as CSV rows
+     */
+    static holdingsToRows(ledger) {
+        const funds = ledger.funds || {};
+        return [this.HOLDING_COLUMNS.map(([, label]) => label)].concat(ledger.transactions.map(t => [
+            t.date, t.fund, t.type, t.nav, parseFloat(t.units.toFixed(4)), parseFloat(t.amount.toFixed(2)),
+            (funds[t.fund] || {}).assetClass || '', (funds[t.fund] || {}).taxType || ''
+        ]));
+    }
+
+    /**
+     * ISO date from YYYY-MM-DD, DD-MM-YYYY or DD/MM/YYYY (null if not a date)
+     */
+    static toISODate(value) {
+        const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        const indian = /^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/.exec(value);
+        const date = iso ? `${iso[1]}-${iso[2]}-${iso[3]}`
+            : indian ? `${indian[3]}-${indian[2].padStart(2, '0')}-${indian[1].padStart(2, '0')}` : null;
+        return date && !isNaN(new Date(date).getTime()) ? date : null;
+    }
+
+    /**
+     * Add the transactions of a holdings CSV to a ledger (via HoldingsTracker.addTransaction, oldest first)
+     * Rows already in the ledger (same fund, type, date and units) are skipped; rows with a date toISODate cannot
+     * read are reported, not stored as typed (tax and XIRR calculations need real dates).
+     * @returns {object} { success, ledger, added, duplicates, errors: ['Line 4: ...'] } or { success: false, error }
+     */
+    static importHoldings(ledger, text) {
+        const { rows, missing } = this.readCSV(text, this.HOLDING_COLUMNS, ['date', 'fund', 'type', 'nav']);
+        if (missing.length > 0) {
+            return { success: false, error: `Missing column${missing.length === 1 ? '' : 's'}: ${missing.join(', ')}` };
+        }
+
+        const inflowFirst = type => (HoldingsTracker.isInflow(type) ? 0 : 1);
+        const errors = [];
+        const entries = rows
+            .map((row, i) => ({ ...row, line: i + 2, type: row.type.toLowerCase(), typedDate: row.date, date: this.toISODate(row.date) }))
+            .filter(row => {
+                if (!row.date) errors.push(`Line ${row.line}: Unrecognised date "${row.typedDate}" (use YYYY-MM-DD or DD-MM-YYYY)`);
+                return row.date;
+            })
+            .sort((a, b) => (a.date === b.date ? inflowFirst(a.type) - inflowFirst(b.type) : a.date < b.date ? -1 : 1));
+
+        let updated = HoldingsTracker.normalizeLedger(ledger);
+        let added = 0;
+        let duplicates = 0;
+
+        entries.forEach(row => {
+            const units = parseFloat(row.units) || parseFloat(row.amount) / parseFloat(row.nav);
+            if (updated.transactions.some(t => t.fund === row.fund && t.type === row.type && t.date === row.date && Math.abs(t.units - units) < 0.001)) {
+                duplicates++;
+                return;
+            }
+
+            const result = HoldingsTracker.addTransaction(updated, {
+                ...row,
+                assetClass: HoldingsTracker.ASSET_CLASSES.includes(row.assetClass) ? row.assetClass : undefined,
+                taxType: HoldingsTracker.TAX_TYPES.includes((row.taxType || '').toLowerCase()) ? row.taxType.toLowerCase() : undefined
+            });
+            if (!result.success) {
+                errors.push(`Line ${row.line}: ${result.error}`);
+                return;
+            }
+            updated = result.ledger;
+            added++;
+        });
+
+        return { success: true, ledger: updated, added, duplicates, errors };
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.DataBackup = DataBackup;
+}
+
+// For Node.js/SSR
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataBackup;
+}
@@ -0,0 +1,275 @@
+/**
+ * FIXED-INCOME.JS
+ * FD, RD, PPF, EPF, NPS and Sukanya Samriddhi (SSY) calculators
+ * Every calculator returns the same shape as SIPCalculator.calculateForwardSIP
+ * ({ futureValue, principal, gains, gainPercent, realValue, months }) plus:
+ * - type, label
+ * - schedule: [{ year, deposit, interest, balance }] - one row per year, for side-by-side and net-worth projections
+ * - product-specific extras (TDS, pension, maturity age, ...)
+ *
+ * Rates below are the defaults shown in the forms; small-savings rates are revised every quarter,
+ * so callers can pass their own `rate`.
+ */
+
+class FixedIncomeCalculator {
+    static DEFAULT_RATES = {
+        fd: 7,
+        rd: 6.8,
+        ppf: 7.1,
+        epf: 8.25,
+        nps: 10,
+        ssy: 8.2
+    };
+
+    static COMPOUNDING = { monthly: 12, quarterly: 4, 'half-yearly': 2, yearly: 1 };
+
+    static LIMITS = {
+        ppfYearlyMax: 150000,
+        ppfYearlyMin: 500,
+        ppfLockInYears: 15,
+        ppfExtensionYears: 5,
+        ssyYearlyMax: 150000,
+        ssyYearlyMin: 250,
+        ssyDepositYears: 15,
+        ssyMaturityYears: 21,
+        ssyMaxOpeningAge: 10,
+        fdTdsThreshold: 50000,
+        fdTdsThresholdSenior: 100000,
+        epsWageCeiling: 15000,
+        epsRate: 8.33,
+        npsMinAnnuityPercent: 40
+    };
+
+    static PRODUCTS = {
+        fd: { label: 'Fixed Deposit', method: 'calculateFD' },
+        rd: { label: 'Recurring Deposit', method: 'calculateRD' },
+        ppf: { label: 'Public Provident Fund', method: 'calculatePPF' },
+        epf: { label: 'Employees\' Provident Fund', method: 'calculateEPF' },
+        nps: { label: 'National Pension System', method: 'calculateNPS' },
+        ssy: { label: 'Sukanya Samriddhi Yojana', method: 'calculateSSY' }
+    };
+
+    /**
+     * Run a calculator by product key (see PRODUCTS)
+     */
+    static calculate(type, input = {}) {
+        const product = this.PRODUCTS[type];
+        if (!product) throw new Error(`Unknown product "${type}"`);
+        return this[product.method](input);
+    }
+
+    /**
+     * Common result shape from a yearly schedule
+     */
+    static buildResult(type, schedule, years, inflationRate, extra = {}) {
+        const last = schedule[schedule.length - 1] || { balance: 0 };
+        const principal = schedule.reduce((sum, row) => sum + row.deposit, 0);
+        const futureValue = last.balance;
+        const gains = futureValue - principal;
+
+        return {
+            type: type,
+            label: this.PRODUCTS[type].label,
+            futureValue: Math.round(futureValue),
+            principal: Math.round(principal),
+            gains: Math.round(gains),
+            gainPercent: (futureValue > 0 ? (gains / futureValue) * 100 : 0).toFixed(1),
+            realValue: Math.round(SIPCalculator.toRealValue(futureValue, years, inflationRate || 0)),
+            months: Math.round(years * 12),
+            schedule: schedule.map(row => ({
+                year: row.year,
+                deposit: Math.round(row.deposit),
+                interest: Math.round(row.interest),
+                balance: Math.round(row.balance)
+            })),
+            ...extra
+        };
+    }
+
+    /**
+     * Fixed deposit with compounding frequency and TDS
+     * TDS is cut at the end of each year whose interest crosses the threshold, which also reduces compounding.
+     * @param {object} input - { principal, years, rate, compounding, tdsRate, senior, inflationRate }
+     */
+    static calculateFD({ principal = 100000, years = 5, rate = this.DEFAULT_RATES.fd, compounding = 'quarterly', tdsRate = 10, senior = false, inflationRate = 0 } = {}) {
+        const perYear = this.COMPOUNDING[compounding] || this.COMPOUNDING.quarterly;
+        const threshold = senior ? this.LIMITS.fdTdsThresholdSenior : this.LIMITS.fdTdsThreshold;
+        const schedule = [];
+        let balance = principal;
+        let tdsDeducted = 0;
+        let grossInterest = 0;
+
+        for (let y = 0; y < Math.ceil(years); y++) {
+            const fraction = Math.min(1, years - y);
+            const interest = balance * (Math.pow(1 + rate / 100 / perYear, perYear * fraction) - 1);
+            const tds = interest > threshold ? interest * tdsRate / 100 : 0;
+
+            balance += interest - tds;
+            grossInterest += interest;
+            tdsDeducted += tds;
+            schedule.push({ year: y + 1, deposit: y === 0 ? principal : 0, interest: interest - tds, balance });
+        }
+
+        return this.buildResult('fd', schedule, years, inflationRate, {
+            compounding: compounding,
+            effectiveRate: (Math.pow(1 + rate / 100 / perYear, perYear) - 1) * 100,
+            grossInterest: Math.round(grossInterest),
+            tdsDeducted: Math.round(tdsDeducted)
+        });
+    }
+
+    /**
+     * Recurring deposit: monthly instalments, quarterly compounding (bank convention)
+     * Each instalment earns (1 + r/4)^(months left / 3).
+     * @param {object} input - { monthly, years, rate, inflationRate }
+     */
+    static calculateRD({ monthly = 5000, years = 5, rate = this.DEFAULT_RATES.rd, inflationRate = 0 } = {}) {
+        const quarterly = rate / 4 / 100;
+        const months = Math.round(years * 12);
+        const valueAt = month => {
+            let value = 0;
+            for (let i = 1; i <= month; i++) {
+                value += monthly * Math.pow(1 + quarterly, (month - i + 1) / 3);
+            }
+            return value;
+        };
+
+        const schedule = [];
+        let previous = 0;
+        for (let y = 1; y <= Math.ceil(months / 12); y++) {
+            const month = Math.min(months, y * 12);
+            const deposit = monthly * (month - (y - 1) * 12);
+            const balance = valueAt(month);
+            schedule.push({ year: y, deposit, interest: balance - previous - deposit, balance });
+            previous = balance;
+        }
+
+        return this.buildResult('rd', schedule, years, inflationRate, { monthly: monthly });
+    }
+
+    /**
+     * PPF: 15-year lock-in, yearly deposit capped at ₹1.5 lakh, optional 5-year extensions
+     * Deposits are assumed made by 5 April, so they earn the full year's interest (compounded yearly).
+     * @param {object} input - { yearly, rate, extensions, contributeDuringExtension, inflationRate }
+     */
+    static calculatePPF({ yearly = 150000, rate = this.DEFAULT_RATES.ppf, extensions = 0, contributeDuringExtension = true, inflationRate = 0 } = {}) {
+        const deposit = Math.min(this.LIMITS.ppfYearlyMax, Math.max(this.LIMITS.ppfYearlyMin, yearly));
+        const years = this.LIMITS.ppfLockInYears + this.LIMITS.ppfExtensionYears * Math.max(0, Math.floor(extensions));
+        const schedule = [];
+        let balance = 0;
+
+        for (let y = 1; y <= years; y++) {
+            const paid = y <= this.LIMITS.ppfLockInYears || contributeDuringExtension ? deposit : 0;
+            const interest = (balance + paid) * rate / 100;
+            balance += paid + interest;
+            schedule.push({ year: y, deposit: paid, interest, balance });
+        }
+
+        return this.buildResult('ppf', schedule, years, inflationRate, {
+            yearlyDeposit: deposit,
+            cappedAt: yearly > this.LIMITS.ppfYearlyMax ? this.LIMITS.ppfYearlyMax : null,
+            years: years,
+            taxFree: true
+        });
+    }
+
+    /**
+     * EPF: 12% of basic + DA from the employee, 12% from the employer less the EPS (pension) share
+     * EPS gets 8.33% of basic up to the ₹15,000 wage ceiling (max ₹1,250/month) and is not part of this balance.
+     * Interest is worked out on monthly running balances and credited at the end of each year.
+     * @param {object} input - { monthlyBasic, years, rate, salaryGrowth, employeeRate, currentBalance, inflationRate }
+     */
+    static calculateEPF({ monthlyBasic = 30000, years = 25, rate = this.DEFAULT_RATES.epf, salaryGrowth = 5, employeeRate = 12, currentBalance = 0, inflationRate = 0 } = {}) {
+        const schedule = [];
+        let balance = currentBalance;
+        let employerTotal = 0;
+
+        for (let y = 0; y < Math.round(years); y++) {
+            const basic = monthlyBasic * Math.pow(1 + salaryGrowth / 100, y);
+            const eps = Math.min(basic, this.LIMITS.epsWageCeiling) * this.LIMITS.epsRate / 100;
+            const monthlyDeposit = basic * employeeRate / 100 + Math.max(0, basic * 0.12 - eps);
+            let interest = 0;
+
+            for (let m = 0; m < 12; m++) {
+                balance += monthlyDeposit;
+                interest += balance * rate / 12 / 100;
+            }
+            balance += interest;
+            employerTotal += Math.max(0, basic * 0.12 - eps) * 12;
+            schedule.push({ year: y + 1, deposit: monthlyDeposit * 12 + (y === 0 ? currentBalance : 0), interest, balance });
+        }
+
+        return this.buildResult('epf', schedule, years, inflationRate, {
+            employerContribution: Math.round(employerTotal),
+            finalMonthlyBasic: Math.round(monthlyBasic * Math.pow(1 + salaryGrowth / 100, Math.max(0, Math.round(years) - 1)))
+        });
+    }
+
+    /**
+     * NPS: market-linked monthly contributions (grown with SIPCalculator), at least 40% of the
+     * corpus buys an annuity at retirement and the rest can be withdrawn tax-free
+     * @param {object} input - { monthly, years, rate, stepUp, annuityPercent, annuityRate, inflationRate }
+     */
+    static calculateNPS({ monthly = 5000, years = 25, rate = this.DEFAULT_RATES.nps, stepUp = 0, annuityPercent = 40, annuityRate = 6, inflationRate = 0 } = {}) {
+        const growth = SIPCalculator.simulateGrowth(monthly, years, rate, { stepUp, stepUpType: 'percent' });
+        const schedule = [];
+        let previous = { principal: 0, futureValue: 0 };
+
+        for (let m = 12; m <= growth.length + 11; m += 12) {
+            const row = growth[Math.min(m, growth.length) - 1];
+            const deposit = row.principal - previous.principal;
+            schedule.push({ year: m / 12, deposit, interest: row.futureValue - previous.futureValue - deposit, balance: row.futureValue });
+            previous = row;
+        }
+
+        const result = this.buildResult('nps', schedule, years, inflationRate);
+        const annuityShare = Math.min(100, Math.max(this.LIMITS.npsMinAnnuityPercent, annuityPercent));
+        const annuityCorpus = result.futureValue * annuityShare / 100;
+
+        return {
+            ...result,
+            annuityPercent: annuityShare,
+            annuityCorpus: Math.round(annuityCorpus),
+            lumpSumWithdrawal: Math.round(result.futureValue - annuityCorpus),
+            monthlyPension: Math.round(annuityCorpus * annuityRate / 12 / 100)
+        };
+    }
+
+    /**
+     * Sukanya Samriddhi: account for a girl under 10, deposits for 15 years, matures 21 years after opening
+     * Yearly deposits of ₹250 to ₹1.5 lakh, compounded yearly and tax-free.
+     * @param {object} input - { yearly, girlAge, rate, inflationRate }
+     */
+    static calculateSSY({ yearly = 150000, girlAge = 1, rate = this.DEFAULT_RATES.ssy, inflationRate = 0 } = {}) {
+        if (girlAge >= this.LIMITS.ssyMaxOpeningAge) {
+            throw new Error(`SSY accounts can only be opened for girls under ${this.LIMITS.ssyMaxOpeningAge}`);
+        }
+
+        const deposit = Math.min(this.LIMITS.ssyYearlyMax, Math.max(this.LIMITS.ssyYearlyMin, yearly));
+        const schedule = [];
+        let balance = 0;
+
+        for (let y = 1; y <= this.LIMITS.ssyMaturityYears; y++) {
+            const paid = y <= this.LIMITS.ssyDepositYears ? deposit : 0;
+            const interest = (balance + paid) * rate / 100;
+            balance += paid + interest;
+            schedule.push({ year: y, deposit: paid, interest, balance });
+        }
+
+        return this.buildResult('ssy', schedule, this.LIMITS.ssyMaturityYears, inflationRate, {
+            yearlyDeposit: deposit,
+            maturityAge: girlAge + this.LIMITS.ssyMaturityYears,
+            taxFree: true
+        });
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.FixedIncomeCalculator = FixedIncomeCalculator;
+}
+
+// For Node.js/SSR
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FixedIncomeCalculator;
+}
@@ -0,0 +1,217 @@
+/**
+ * FUND-COMPARATOR.JS
+ * Side-by-side comparison of 2-4 funds from the fund list, with portfolio overlap
+ * Works with fund-scorer.js (metric directions and scores) and utils.js (CSV helpers)
+ *
+ * Fund Structure (as saved by fund-choosing.html):
+ * { name, category, er, alpha, beta, sharpe, volatility, cagr, score, metrics?, holdings? }
+ * - metrics: { window, sortino, maxDrawdown, rollingAverage } when calculated from NAV history
+ * - holdings: [{ name, weight }] (weight in % of the fund), optional, pasted from the factsheet
+ *
+ * Overlap between two funds = sum over shared stocks of the smaller weight
+ * (0% = nothing in common, 100% = identical portfolios).
+ */
+
+class FundComparator {
+    static MIN_FUNDS = 2;
+    static MAX_FUNDS = 4;
+
+    /**
+     * Compared metrics: FundScorer's metrics plus the score and NAV-history extras
+     */
+    static METRICS = [
+        { key: 'score', label: 'Overall Score', unit: '/100', better: 'higher' },
+        ...Object.entries(FundScorer.METRICS).map(([key, info]) => ({ key, ...info })),
+        { key: 'sortino', label: 'Sortino Ratio', unit: '', better: 'higher' },
+        { key: 'maxDrawdown', label: 'Max Drawdown', unit: '%', better: 'higher' },
+        { key: 'rollingAverage', label: '1Y Rolling Return (avg)', unit: '%', better: 'higher' }
+    ];
+
+    /**
+     * Metric value of a fund (null when not available)
+     */
+    static getValue(fund, key) {
+        const value = fund.metrics && key in fund.metrics ? fund.metrics[key] : fund[key];
+        return typeof value === 'number' && isFinite(value) ? value : null;
+    }
+
+    /**
+     * Filtered and sorted view of the fund list; each entry keeps its index in `funds`
+     * @param {object} options - { category ('' = all), minScore, sortBy (metric key or 'name'), direction: 'asc' | 'desc' }
+     * @returns {Array} [{ fund, index }]
+     */
+    static getView(funds, { category = '', minScore = 0, sortBy = '', direction = 'desc' } = {}) {
+        const view = funds
+            .map((fund, index) => ({ fund, index }))
+            .filter(({ fund }) => (!category || fund.category === category) && (fund.score || 0) >= (parseFloat(minScore) || 0));
+
+        if (!sortBy) return view;
+
+        const sign = direction === 'asc' ? 1 : -1;
+        return view.sort((a, b) => {
+            if (sortBy === 'name') return sign * a.fund.name.localeCompare(b.fund.name);
+
+            const x = this.getValue(a.fund, sortBy);
+            const y = this.getValue(b.fund, sortBy);
+            // Funds without the metric always go last
+            if (x === null || y === null) return (x === null) - (y === null);
+            return sign * (x - y);
+        });
+    }
+
+    /**
+     * Categories present in the list (for the filter)
+     */
+    static getCategories(funds) {
+        return [...new Set(funds.map(f => f.category).filter(Boolean))].sort();
+    }
+
+    /**
+     * Compare funds side by side
+     * Deltas are measured against the first fund; `best` holds the indexes of the best value in each row
+     * (empty when every fund has the same value).
+     * @returns {object} { funds, metrics: [{ key, label, unit, better, values, deltas, best }], overlap }
+     */
+    static compare(funds) {
+        if (funds.length < this.MIN_FUNDS || funds.length > this.MAX_FUNDS) {
+            return { success: false, error: `Pick ${this.MIN_FUNDS} to ${this.MAX_FUNDS} funds to compare` };
+        }
+
+        const metrics = this.METRICS.map(metric => {
+            const values = funds.map(f => this.getValue(f, metric.key));
+            const known = values.filter(v => v !== null);
+            if (known.length === 0) return null;
+
+            const target = metric.better === 'lower' ? Math.min(...known) : Math.max(...known);
+            const best = known.length > 1 && known.some(v => v !== target)
+                ? values.map((v, i) => (v === target ? i : -1)).filter(i => i >= 0)
+                : [];
+
+            return {
+                ...metric,
+                values: values,
+                deltas: values.map((v, i) => (i === 0 || v === null || values[0] === null ? null : v - values[0])),
+                best: best
+            };
+        }).filter(Boolean);
+
+        return { success: true, funds, metrics, overlap: this.getOverlapMatrix(funds) };
+    }
+
+    /**
+     * Parse pasted or uploaded holdings ("HDFC Bank Ltd, 9.8%" per line; extra columns are ignored)
+     * The last number on a line is taken as the weight; lines without one (headers, totals) are skipped.
+     * @returns {object} { holdings: [{ name, weight }], skipped }
+     */
+    static parseHoldings(text) {
+        const delimiter = Utils.detectDelimiter(text || '');
+        const byName = new Map();
+        let skipped = 0;
+
+        (text || '').split(/\r?\n/).forEach(line => {
+            if (!line.trim()) return;
+
+            let cells = Utils.parseCSVLine(line, delimiter).filter(Boolean);
+            // Copied from a web page: "HDFC Bank Ltd 9.8%" with no delimiter
+            const spaced = cells.length === 1 ? /^(.*?)[\s:]+(\d+(?:\.\d+)?\s*%?)$/.exec(cells[0]) : null;
+            if (spaced) cells = [spaced[1], spaced[2]];
+
+            const weightIndex = cells.map(c => /^-?\d+(\.\d+)?\s*%?$/.test(c)).lastIndexOf(true);
+            const name = cells.find((c, i) => i !== weightIndex && /[a-z]/i.test(c));
+            const weight = weightIndex >= 0 ? parseFloat(cells[weightIndex]) : NaN;
+
+            if (!name || !(weight > 0) || /^total/i.test(name)) {
+                skipped++;
+                return;
+            }
+
+            const key = this.normalizeHoldingName(name);
+            const existing = byName.get(key);
+            byName.set(key, { name: existing ? existing.name : name, weight: (existing ? existing.weight : 0) + weight });
+        });
+
+        const holdings = [...byName.values()].sort((a, b) => b.weight - a.weight);
+        return { holdings, skipped };
+    }
+
+    /**
+     * Match key for a stock name ("HDFC Bank Ltd." and "HDFC BANK LIMITED" are the same holding)
+     */
+    static normalizeHoldingName(name) {
+        return name.toLowerCase()
+            .replace(/\b(ltd|limited|inc|corp|corporation|co)\b\.?/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Portfolio overlap between two holdings lists
+     * @returns {object} { overlap, common: [{ name, weightA, weightB }] }
+     */
+    static getOverlap(holdingsA, holdingsB) {
+        const weightsB = new Map(holdingsB.map(h => [this.normalizeHoldingName(h.name), h.weight]));
+        const common = holdingsA
+            .filter(h => weightsB.has(this.normalizeHoldingName(h.name)))
+            .map(h => ({ name: h.name, weightA: h.weight, weightB: weightsB.get(this.normalizeHoldingName(h.name)) }))
+            .sort((a, b) => Math.min(b.weightA, b.weightB) - Math.min(a.weightA, a.weightB));
+
+        return {
+            overlap: Math.min(100, common.reduce((sum, h) => sum + Math.min(h.weightA, h.weightB), 0)),
+            common: common
+        };
+    }
+
+    /**
+     * Overlap for every pair of funds that both have holdings
+     * @returns {Array} [{ a, b, overlap, common }] with a, b as indexes into `funds`
+     */
+    static getOverlapMatrix(funds) {
+        const pairs = [];
+        funds.forEach((fundA, a) => {
+            funds.slice(a + 1).forEach((fundB, offset) => {
+                if (!(fundA.holdings && fundA.holdings.length && fundB.holdings && fundB.holdings.length)) return;
+                pairs.push({ a, b: a + offset + 1, ...this.getOverlap(fundA.holdings, fundB.holdings) });
+            });
+        });
+        return pairs;
+    }
+
+    /**
+     * Comparison as rows of cells (for the CSV export and the printable report)
+     * Columns: Metric, Better, then each fund and, after the first, its difference from the first fund.
+     */
+    static toRows(comparison) {
+        const fmt = value => (value === null ? '' : parseFloat(value.toFixed(2)));
+        const header = ['Metric', 'Better'];
+        comparison.funds.forEach((fund, i) => {
+            header.push(fund.name);
+            if (i > 0) header.push(`${fund.name} vs ${comparison.funds[0].name}`);
+        });
+
+        const rows = [header, ['Category', ''].concat(...comparison.funds.map((f, i) => (i > 0 ? [f.category, ''] : [f.category])))];
+        comparison.metrics.forEach(metric => {
+            const cells = [`${metric.label}${metric.unit && metric.unit !== '/100' ? ` (${metric.unit})` : ''}`, metric.better];
+            metric.values.forEach((value, i) => {
+                cells.push(fmt(value));
+                if (i > 0) cells.push(fmt(metric.deltas[i]));
+            });
+            rows.push(cells);
+        });
+
+        comparison.overlap.forEach(pair => {
+            rows.push([`Overlap: ${comparison.funds[pair.a].name} / ${comparison.funds[pair.b].name} (%)`, 'lower', fmt(pair.overlap)]);
+        });
+
+        return rows;
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.FundComparator = FundComparator;
+}
+
+// For Node.js/SSR
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FundComparator;
+}
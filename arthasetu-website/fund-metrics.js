@@ -0,0 +1,260 @@
+/**
+ * FUND-METRICS.JS
+ * Risk/return metrics from a fund's NAV history and a benchmark index series
+ * Series format matches the scheme master in nav-importer.js: [[isoDate, value], ...] sorted by date
+ *
+ * Returns are measured on month-end values by default (12 periods a year), which smooths
+ * out holiday gaps between fund and index data. Pass frequency 'daily' for 252 periods a year.
+ */
+
+class FundMetrics {
+    static WINDOWS = { '1Y': 1, '3Y': 3, '5Y': 5 };
+    static PERIODS_PER_YEAR = { monthly: 12, daily: 252 };
+    static DEFAULT_RISK_FREE_RATE = 6.5;
+
+    /**
+     * Keep only points inside the last `years` years (ending at the series' last date)
+     */
+    static sliceWindow(series, years) {
+        if (series.length === 0) return [];
+
+        const end = new Date(series[series.length - 1][0]);
+        const start = new Date(end);
+        start.setFullYear(start.getFullYear() - years);
+
+        return series.filter(([date]) => new Date(date) >= start);
+    }
+
+    /**
+     * Reduce daily values to the last value of each month
+     */
+    static toMonthEnd(series) {
+        const byMonth = new Map();
+        series.forEach(([date, value]) => byMonth.set(date.slice(0, 7), [date, value]));
+        return [...byMonth.values()];
+    }
+
+    /**
+     * Period returns as decimals: [{ key, value }] where key is the date (daily) or month (monthly)
+     */
+    static toReturns(series, frequency = 'monthly') {
+        const points = frequency === 'monthly' ? this.toMonthEnd(series) : series;
+        const returns = [];
+
+        for (let i = 1; i < points.length; i++) {
+            returns.push({
+                key: frequency === 'monthly' ? points[i][0].slice(0, 7) : points[i][0],
+                value: points[i][1] / points[i - 1][1] - 1
+            });
+        }
+
+        return returns;
+    }
+
+    static mean(values) {
+        return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+    }
+
+    /**
+     * Sample standard deviation
+     */
+    static stdDev(values) {
+        if (values.length < 2) return 0;
+        const avg = this.mean(values);
+        return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+    }
+
+    /**
+     * CAGR (%) between the first and last point of a series
+     */
+    static seriesCAGR(series) {
+        if (series.length < 2) return null;
+        const years = Utils.daysBetween(new Date(series[series.length - 1][0]), new Date(series[0][0])) / 365;
+        return years > 0 ? Utils.calculateCAGR(series[0][1], series[series.length - 1][1], years) : null;
+    }
+
+    /**
+     * Rolling returns: CAGR over every `windowYears` period ending at each month-end
+     * @returns {object} { average, min, max, positivePercent, count }
+     */
+    static rollingReturns(series, windowYears = 1) {
+        const points = this.toMonthEnd(series);
+        const span = windowYears * 12;
+        const values = [];
+
+        for (let i = span; i < points.length; i++) {
+            values.push(Utils.calculateCAGR(points[i - span][1], points[i][1], windowYears));
+        }
+
+        if (values.length === 0) {
+            return { average: null, min: null, max: null, positivePercent: null, count: 0 };
+        }
+
+        return {
+            average: this.mean(values),
+            min: Math.min(...values),
+            max: Math.max(...values),
+            positivePercent: (values.filter(v => v > 0).length / values.length) * 100,
+            count: values.length
+        };
+    }
+
+    /**
+     * Largest peak-to-trough fall (%) in a series
+     */
+    static maxDrawdown(series) {
+        let peak = -Infinity;
+        let worst = 0;
+
+        series.forEach(([, value]) => {
+            peak = Math.max(peak, value);
+            worst = Math.min(worst, value / peak - 1);
+        });
+
+        return worst * 100;
+    }
+
+    /**
+     * Regression of fund excess returns on benchmark excess returns
+     * @returns {object} { alpha (% p.a.), beta, points }
+     */
+    static regression(fundReturns, benchmarkReturns, periodRiskFree, periodsPerYear) {
+        const benchByKey = new Map(benchmarkReturns.map(r => [r.key, r.value]));
+        const pairs = fundReturns
+            .filter(r => benchByKey.has(r.key))
+            .map(r => [benchByKey.get(r.key) - periodRiskFree, r.value - periodRiskFree]);
+
+        if (pairs.length < 3) {
+            return { alpha: null, beta: null, points: pairs.length };
+        }
+
+        const meanX = this.mean(pairs.map(p => p[0]));
+        const meanY = this.mean(pairs.map(p => p[1]));
+        const covariance = pairs.reduce((sum, [x, y]) => sum + (x - meanX) * (y - meanY), 0);
+        const variance = pairs.reduce((sum, [x]) => sum + (x - meanX) ** 2, 0);
+
+        if (variance === 0) {
+            return { alpha: null, beta: null, points: pairs.length };
+        }
+
+        const beta = covariance / variance;
+        const alphaPerPeriod = meanY - beta * meanX;
+
+        return { alpha: alphaPerPeriod * periodsPerYear * 100, beta: beta, points: pairs.length };
+    }
+
+    /**
+     * Compute all metrics for a fund over a window
+     * @param {Array} navHistory - Fund NAVs [[isoDate, nav]]
+     * @param {Array} benchmarkHistory - Index values [[isoDate, value]] (optional; needed for alpha/beta)
+     * @param {object} options - { window: '1Y' | '3Y' | '5Y', riskFreeRate (% p.a.), frequency: 'monthly' | 'daily' }
+     * @returns {object} { success, cagr, volatility, sharpe, sortino, alpha, beta, maxDrawdown, rolling, ... }
+     */
+    static calculate(navHistory, benchmarkHistory = [], options = {}) {
+        const windowKey = this.WINDOWS[options.window] ? options.window : '3Y';
+        const years = this.WINDOWS[windowKey];
+        const frequency = options.frequency === 'daily' ? 'daily' : 'monthly';
+        const periodsPerYear = this.PERIODS_PER_YEAR[frequency];
+        const riskFreeRate = options.riskFreeRate !== undefined && options.riskFreeRate !== ''
+            ? parseFloat(options.riskFreeRate)
+            : this.DEFAULT_RISK_FREE_RATE;
+
+        const fund = this.sliceWindow(navHistory || [], years);
+        const returns = this.toReturns(fund, frequency);
+        if (returns.length < (frequency === 'monthly' ? 3 : 20)) {
+            return { success: false, error: `Not enough NAV history for a ${windowKey} window` };
+        }
+
+        const coveredYears = Utils.daysBetween(new Date(fund[fund.length - 1][0]), new Date(fund[0][0])) / 365;
+        const periodRiskFree = Math.pow(1 + riskFreeRate / 100, 1 / periodsPerYear) - 1;
+        const values = returns.map(r => r.value);
+
+        const cagr = this.seriesCAGR(fund);
+        const volatility = this.stdDev(values) * Math.sqrt(periodsPerYear) * 100;
+
+        const downside = values.map(v => Math.min(0, v - periodRiskFree));
+        const downsideDeviation = Math.sqrt(this.mean(downside.map(v => v * v))) * Math.sqrt(periodsPerYear) * 100;
+
+        const benchmark = this.sliceWindow(benchmarkHistory || [], years);
+        const regression = benchmark.length > 1
+            ? this.regression(returns, this.toReturns(benchmark, frequency), periodRiskFree, periodsPerYear)
+            : { alpha: null, beta: null, points: 0 };
+
+        return {
+            success: true,
+            window: windowKey,
+            coveredYears: parseFloat(coveredYears.toFixed(2)),
+            isPartialWindow: coveredYears < years - 0.1,
+            frequency: frequency,
+            riskFreeRate: riskFreeRate,
+            cagr: cagr,
+            volatility: volatility,
+            sharpe: volatility > 0 ? (cagr - riskFreeRate) / volatility : null,
+            sortino: downsideDeviation > 0 ? (cagr - riskFreeRate) / downsideDeviation : null,
+            alpha: regression.alpha,
+            beta: regression.beta,
+            regressionPoints: regression.points,
+            maxDrawdown: this.maxDrawdown(fund),
+            rolling: this.rollingReturns(fund, 1),
+            benchmarkCAGR: benchmark.length > 1 ? this.seriesCAGR(benchmark) : null
+        };
+    }
+
+    /**
+     * Shape metrics for Utils.scoreFund / the fund form
+     * Missing values fall back to neutral figures (alpha 0, beta 1).
+     */
+    static toScoreInputs(metrics, er = 0) {
+        const round = (value, digits) => parseFloat(value.toFixed(digits));
+        return {
+            er: er,
+            alpha: metrics.alpha !== null ? round(metrics.alpha, 2) : 0,
+            beta: metrics.beta !== null ? round(metrics.beta, 2) : 1,
+            sharpe: metrics.sharpe !== null ? round(metrics.sharpe, 2) : 0,
+            volatility: round(metrics.volatility, 2),
+            cagr: metrics.cagr !== null ? round(metrics.cagr, 2) : 0
+        };
+    }
+
+    /**
+     * Parse a simple "date,value" CSV (e.g., a benchmark index export) into a series
+     * Accepts ISO (2025-10-17), DD-MM-YYYY and AMFI-style (17-Oct-2025) dates.
+     */
+    static parseSeriesCSV(text) {
+        const series = [];
+        const delimiter = Utils.detectDelimiter(text);
+
+        text.split(/\r?\n/).forEach(line => {
+            const cells = Utils.parseCSVLine(line, delimiter);
+            if (cells.length < 2) return;
+
+            const value = parseFloat(cells[cells.length - 1].replace(/,/g, ''));
+            const date = this.parseAnyDate(cells[0]);
+            if (date && value > 0) series.push([date, value]);
+        });
+
+        return series.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    }
+
+    /**
+     * Convert common date formats to ISO (null if unrecognised)
+     */
+    static parseAnyDate(value) {
+        if (/^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+
+        const dmy = /^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/.exec(value);
+        if (dmy) return `${dmy[3]}-${dmy[2].padStart(2, '0')}-${dmy[1].padStart(2, '0')}`;
+
+        return typeof NavImporter !== 'undefined' ? NavImporter.parseDate(value) : null;
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.FundMetrics = FundMetrics;
+}
+
+// For Node.js/SSR
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FundMetrics;
+}
@@ -0,0 +1,251 @@
+/**
+ * FUND-SCORER.JS
+ * Category-aware fund scoring (0-100) with a per-metric breakdown
+ * Single scoring implementation used by Utils.scoreFund and the fund comparison page
+ *
+ * Each category has its own metric weights (summing to 100) and thresholds.
+ * - With enough same-category peers in the comparison list, each metric is scored by
+ *   percentile rank against those peers, mapped onto the same 40-100% range as the bands.
+ * - Otherwise the category thresholds are used (excellent / good / fair / weak).
+ */
+
+class FundScorer {
+    static MIN_PEERS = 3;
+    static DEFAULT_CATEGORY = 'Equity Growth';
+
+    /**
+     * Metric definitions; `better` is the direction that earns more points
+     */
+    static METRICS = {
+        er: { label: 'Expense Ratio', unit: '%', better: 'lower' },
+        alpha: { label: 'Alpha', unit: '%', better: 'higher' },
+        beta: { label: 'Beta', unit: '', better: 'lower' },
+        sharpe: { label: 'Sharpe Ratio', unit: '', better: 'higher' },
+        volatility: { label: 'Volatility', unit: '%', better: 'lower' },
+        cagr: { label: 'CAGR', unit: '%', better: 'higher' }
+    };
+
+    /**
+     * Share of a metric's weight earned in each threshold band
+     */
+    static BAND_POINTS = { excellent: 1, good: 0.8, fair: 0.6, weak: 0.4 };
+
+    /**
+     * Weights and [excellent, good, fair] thresholds by fund category
+     * Keys match the Category select on fund-choosing.html.
+     */
+    static PROFILES = {
+        'Equity Growth': {
+            weights: { er: 20, alpha: 20, beta: 10, sharpe: 20, volatility: 10, cagr: 20 },
+            thresholds: {
+                er: [0.5, 1.0, 1.5],
+                alpha: [3, 2, 1],
+                beta: [0.9, 1.0, 1.1],
+                sharpe: [2.0, 1.5, 1.0],
+                volatility: [12, 16, 20],
+                cagr: [18, 15, 12]
+            }
+        },
+        'Balanced Advantage': {
+            weights: { er: 20, alpha: 10, beta: 10, sharpe: 25, volatility: 20, cagr: 15 },
+            thresholds: {
+                er: [0.6, 1.0, 1.5],
+                alpha: [2, 1, 0.5],
+                beta: [0.6, 0.7, 0.85],
+                sharpe: [1.5, 1.2, 0.9],
+                volatility: [8, 10, 13],
+                cagr: [13, 11, 9]
+            }
+        },
+        'Hybrid': {
+            weights: { er: 20, alpha: 15, beta: 5, sharpe: 25, volatility: 15, cagr: 20 },
+            thresholds: {
+                er: [0.6, 1.0, 1.5],
+                alpha: [2, 1, 0.5],
+                beta: [0.7, 0.8, 0.95],
+                sharpe: [1.5, 1.2, 0.9],
+                volatility: [9, 12, 15],
+                cagr: [14, 12, 10]
+            }
+        },
+        'Debt/Bond': {
+            weights: { er: 30, alpha: 10, beta: 0, sharpe: 20, volatility: 20, cagr: 20 },
+            thresholds: {
+                er: [0.3, 0.6, 1.0],
+                alpha: [1, 0.5, 0],
+                beta: [0.2, 0.4, 0.6],
+                sharpe: [1.2, 0.8, 0.5],
+                volatility: [2, 3.5, 5],
+                cagr: [8, 7, 6]
+            }
+        },
+        'Liquid': {
+            weights: { er: 40, alpha: 0, beta: 0, sharpe: 10, volatility: 20, cagr: 30 },
+            thresholds: {
+                er: [0.15, 0.25, 0.4],
+                alpha: [0.3, 0.1, 0],
+                beta: [0.05, 0.1, 0.2],
+                sharpe: [3, 2, 1],
+                volatility: [0.5, 1, 1.5],
+                cagr: [7, 6.5, 6]
+            }
+        }
+    };
+
+    // User overrides, e.g. from auth.getSettings().scoringProfiles
+    static overrides = {};
+
+    /**
+     * Replace weights/thresholds for some categories
+     * Custom weights are merged with the category's defaults and scaled to sum to 100, so scores stay within 0-100.
+     * @param {object} overrides - { [category]: { weights?, thresholds? } }
+     */
+    static configure(overrides = {}) {
+        this.overrides = {};
+        Object.entries(overrides || {}).forEach(([category, custom]) => {
+            if (!this.PROFILES[category] || !custom || typeof custom !== 'object') return;
+
+            const { weights, ...rest } = custom;
+            const normalized = weights ? this.normalizeWeights({ ...this.PROFILES[category].weights, ...weights }) : null;
+            this.overrides[category] = normalized ? { ...rest, weights: normalized } : rest;
+        });
+    }
+
+    /**
+     * Weights scaled to sum to 100; negative or non-numeric weights count as 0
+     * @returns {object|null} null when no metric has any weight
+     */
+    static normalizeWeights(weights) {
+        const clean = {};
+        Object.keys(this.METRICS).forEach(metric => {
+            const weight = parseFloat(weights[metric]);
+            clean[metric] = weight > 0 ? weight : 0;
+        });
+
+        const total = Object.values(clean).reduce((sum, w) => sum + w, 0);
+        if (total === 0) return null;
+
+        Object.keys(clean).forEach(metric => { clean[metric] = (clean[metric] / total) * 100; });
+        return clean;
+    }
+
+    /**
+     * Effective profile for a category (defaults merged with overrides)
+     */
+    static getProfile(category) {
+        const key = this.PROFILES[category] ? category : this.DEFAULT_CATEGORY;
+        const base = this.PROFILES[key];
+        const custom = this.overrides[key] || {};
+
+        return {
+            category: key,
+            weights: { ...base.weights, ...(custom.weights || {}) },
+            thresholds: { ...base.thresholds, ...(custom.thresholds || {}) }
+        };
+    }
+
+    /**
+     * Band for a value against [excellent, good, fair] thresholds
+     */
+    static getBand(metric, value, thresholds) {
+        const [excellent, good, fair] = thresholds;
+        const lowerIsBetter = this.METRICS[metric].better === 'lower';
+        const passes = limit => (lowerIsBetter ? value <= limit : value >= limit);
+
+        if (passes(excellent)) return 'excellent';
+        if (passes(good)) return 'good';
+        if (passes(fair)) return 'fair';
+        return 'weak';
+    }
+
+    /**
+     * Percentile rank (0-1) of a value among peer values, oriented so 1 is best
+     * Ties share the midpoint rank.
+     */
+    static getPercentile(metric, value, peerValues) {
+        if (peerValues.length < 2) return 1;
+
+        const lowerIsBetter = this.METRICS[metric].better === 'lower';
+        const worse = peerValues.filter(v => (lowerIsBetter ? v > value : v < value)).length;
+        const ties = peerValues.filter(v => v === value).length - 1;
+
+        return (worse + ties / 2) / (peerValues.length - 1);
+    }
+
+    /**
+     * Score one fund
+     * @param {object} fund - { category, er, alpha, beta, sharpe, volatility, cagr }
+     * @param {Array} peers - Other funds in the comparison list (any category; the fund itself may be included)
+     * @returns {object} { score, category, method, peerCount, breakdown: [{ metric, label, value, weight, points, method, detail }] }
+     */
+    static scoreFund(fund, peers = []) {
+        const profile = this.getProfile(fund.category);
+        const group = peers.filter(p => p !== fund && this.getProfile(p.category).category === profile.category);
+        const usePercentile = group.length + 1 >= this.MIN_PEERS;
+
+        const breakdown = Object.keys(this.METRICS).map(metric => {
+            const weight = profile.weights[metric] || 0;
+            const value = parseFloat(fund[metric]) || 0;
+            const info = this.METRICS[metric];
+            const entry = { metric, label: info.label, value, weight, points: 0 };
+
+            if (weight === 0) {
+                return { ...entry, method: 'ignored', detail: `Not weighted for ${profile.category} funds` };
+            }
+
+            if (usePercentile) {
+                const peerValues = [value, ...group.map(p => parseFloat(p[metric]) || 0)];
+                const percentile = this.getPercentile(metric, value, peerValues);
+                return {
+                    ...entry,
+                    method: 'percentile',
+                    percentile: Math.round(percentile * 100),
+                    points: weight * (this.BAND_POINTS.weak + (1 - this.BAND_POINTS.weak) * percentile),
+                    detail: `Better than ${Math.round(percentile * 100)}% of ${peerValues.length - 1} ${profile.category} peer(s) (${info.better} is better)`
+                };
+            }
+
+            const band = this.getBand(metric, value, profile.thresholds[metric]);
+            const [excellent, good, fair] = profile.thresholds[metric];
+            const sign = info.better === 'lower' ? '≤' : '≥';
+            return {
+                ...entry,
+                method: 'threshold',
+                band: band,
+                points: weight * this.BAND_POINTS[band],
+                detail: `${band} for ${profile.category} (excellent ${sign} ${excellent}${info.unit}, good ${sign} ${good}${info.unit}, fair ${sign} ${fair}${info.unit})`
+            };
+        });
+
+        const score = Math.round(breakdown.reduce((sum, b) => sum + b.points, 0));
+
+        return {
+            score: score,
+            category: profile.category,
+            method: usePercentile ? 'percentile' : 'threshold',
+            peerCount: group.length,
+            breakdown: breakdown.map(b => ({ ...b, points: parseFloat(b.points.toFixed(1)), weight: parseFloat(b.weight.toFixed(1)) }))
+        };
+    }
+
+    /**
+     * Score every fund in a comparison list against its same-category peers
+     * @returns {Array} Funds with `score` and `scoreBreakdown` set
+     */
+    static scoreList(funds) {
+        return funds.map(fund => {
+            const result = this.scoreFund(fund, funds);
+            return { ...fund, score: result.score, scoreMethod: result.method, scoreBreakdown: result.breakdown };
+        });
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.FundScorer = FundScorer;
+}
+
+// For Node.js/SSR
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FundScorer;
+}
@@ -0,0 +1,210 @@
+/**
+ * GOAL-PLANNER.JS
+ * Multi-goal planning: required SIP per goal, glide-path asset mix and a funded SIP plan
+ * Works with sip-calculator-accurate.js, utils.js, risk-profiler.js and auth.js
+ *
+ * Goal Structure:
+ * { id, name, targetAmount, targetDate, priority, inflationRate, currentSavings }
+ * - targetAmount is in today's money; it is inflated to the target date
+ * - priority: 'high' | 'medium' | 'low' (higher priority goals are funded first)
+ */
+
+class GoalPlanner {
+    /**
+     * Long-term expected returns (% p.a.) per asset class, used to blend a goal's return
+     */
+    static ASSET_RETURNS = { equity: 12, debt: 7, cash: 4 };
+
+    static PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+    /**
+     * Common goal templates for the planner form
+     */
+    static GOAL_TEMPLATES = [
+        { name: 'Retirement', inflationRate: 6 },
+        { name: 'Home Down Payment', inflationRate: 7 },
+        { name: "Child's Education", inflationRate: 10 },
+        { name: 'Emergency Fund', inflationRate: 6 },
+        { name: 'Other', inflationRate: 6 }
+    ];
+
+    /**
+     * Create a goal object with defaults
+     */
+    static createGoal({ name, targetAmount, targetDate, priority = 'medium', inflationRate = 6, currentSavings = 0 }) {
+        return {
+            id: Utils.generateId(),
+            name: name,
+            targetAmount: parseFloat(targetAmount) || 0,
+            targetDate: targetDate,
+            priority: this.PRIORITY_ORDER[priority] !== undefined ? priority : 'medium',
+            inflationRate: parseFloat(inflationRate) || 0,
+            currentSavings: parseFloat(currentSavings) || 0,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Validate goal fields
+     */
+    static validateGoal(goal, today = new Date()) {
+        if (!goal.name || !goal.name.trim()) {
+            return { isValid: false, error: 'Goal name required' };
+        }
+        if (!(goal.targetAmount > 0)) {
+            return { isValid: false, error: 'Target amount must be greater than 0' };
+        }
+        if (this.getMonthsToGoal(goal, today) < 1) {
+            return { isValid: false, error: 'Target date must be at least one month away' };
+        }
+        return { isValid: true };
+    }
+
+    /**
+     * Whole months between today and the goal's target date
+     */
+    static getMonthsToGoal(goal, today = new Date()) {
+        const target = new Date(goal.targetDate);
+        if (isNaN(target.getTime())) return 0;
+        return (target.getFullYear() - today.getFullYear()) * 12 + (target.getMonth() - today.getMonth());
+    }
+
+    /**
+     * Map time horizon to a risk profile (glide path)
+     * Long horizons can hold more equity; money needed soon moves to debt and cash.
+     */
+    static getProfileForHorizon(years) {
+        if (years >= 15) return 'aggressive';
+        if (years >= 10) return 'growth';
+        if (years >= 5) return 'moderate';
+        return 'conservative';
+    }
+
+    /**
+     * Glide-path profile, never riskier than the user's assessed risk profile
+     */
+    static getProfileForGoal(years, riskProfile = null) {
+        return RiskProfiler.capProfile(this.getProfileForHorizon(years), riskProfile);
+    }
+
+    /**
+     * Asset mix for a given horizon using Utils.getAssetAllocation
+     */
+    static getAllocationForHorizon(years, riskProfile = null) {
+        return Utils.getAssetAllocation(this.getProfileForGoal(years, riskProfile));
+    }
+
+    /**
+     * Blended expected return (% p.a.) for an asset mix
+     */
+    static getExpectedReturn(allocation) {
+        return Object.entries(allocation).reduce((sum, [asset, percent]) => {
+            return sum + (percent / 100) * (this.ASSET_RETURNS[asset] || 0);
+        }, 0);
+    }
+
+    /**
+     * Year-by-year glide path: allocation shifts to safer assets as the goal approaches
+     */
+    static getGlidePath(goal, today = new Date(), riskProfile = null) {
+        const years = Math.ceil(this.getMonthsToGoal(goal, today) / 12);
+        const path = [];
+
+        for (let remaining = years; remaining >= 1; remaining--) {
+            path.push({
+                yearsToGoal: remaining,
+                profile: this.getProfileForGoal(remaining, riskProfile),
+                allocation: this.getAllocationForHorizon(remaining, riskProfile)
+            });
+        }
+
+        return path;
+    }
+
+    /**
+     * Required SIP and asset mix for one goal
+     */
+    static calculateGoal(goal, today = new Date(), riskProfile = null) {
+        const months = this.getMonthsToGoal(goal, today);
+        const years = months / 12;
+        const profile = this.getProfileForGoal(years, riskProfile);
+        const allocation = Utils.getAssetAllocation(profile);
+        const expectedReturn = this.getExpectedReturn(allocation);
+
+        const result = SIPCalculator.calculateReverseSIP(goal.targetAmount, years, expectedReturn, {
+            inflationRate: goal.inflationRate,
+            lumpSum: goal.currentSavings
+        });
+
+        return {
+            goal: goal,
+            months: months,
+            years: parseFloat(years.toFixed(1)),
+            profile: profile,
+            allocation: allocation,
+            expectedReturn: parseFloat(expectedReturn.toFixed(2)),
+            futureTarget: result.nominalGoal,
+            requiredSIP: result.monthlySIP,
+            totalInvested: result.totalInvested
+        };
+    }
+
+    /**
+     * Sort goals by priority, then by nearest target date
+     */
+    static sortGoals(goals) {
+        return [...goals].sort((a, b) => {
+            const byPriority = this.PRIORITY_ORDER[a.priority] - this.PRIORITY_ORDER[b.priority];
+            if (byPriority !== 0) return byPriority;
+            return new Date(a.targetDate) - new Date(b.targetDate);
+        });
+    }
+
+    /**
+     * Build a funded SIP plan for all goals
+     * @param {Array} goals - Goal objects
+     * @param {number} monthlyBudget - Total SIP the user can invest each month (0 = no limit)
+     * @param {Date} today - Planning date
+     * @param {string} riskProfile - User's saved risk profile; caps each goal's asset mix
+     * @returns {object} { goals, totalRequiredSIP, totalFundedSIP, shortfall, isFullyFunded }
+     */
+    static buildPlan(goals, monthlyBudget = 0, today = new Date(), riskProfile = null) {
+        let remaining = monthlyBudget > 0 ? monthlyBudget : Infinity;
+
+        const planned = this.sortGoals(goals).map(goal => {
+            const calc = this.calculateGoal(goal, today, riskProfile);
+            const fundedSIP = Math.min(calc.requiredSIP, remaining);
+            remaining -= fundedSIP;
+
+            return {
+                ...calc,
+                fundedSIP: Math.round(fundedSIP),
+                fundedPercent: calc.requiredSIP > 0 ? Math.round((fundedSIP / calc.requiredSIP) * 100) : 100
+            };
+        });
+
+        const totalRequiredSIP = planned.reduce((sum, g) => sum + g.requiredSIP, 0);
+        const totalFundedSIP = planned.reduce((sum, g) => sum + g.fundedSIP, 0);
+
+        return {
+            goals: planned,
+            monthlyBudget: monthlyBudget,
+            riskProfile: riskProfile,
+            totalRequiredSIP: totalRequiredSIP,
+            totalFundedSIP: totalFundedSIP,
+            shortfall: Math.max(0, totalRequiredSIP - totalFundedSIP),
+            isFullyFunded: totalFundedSIP >= totalRequiredSIP,
+            createdAt: today.toISOString()
+        };
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.GoalPlanner = GoalPlanner;
+}
+
+// For Node.js/SSR
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GoalPlanner;
+}
@@ -0,0 +1,307 @@
+/**
+ * HOLDINGS-TRACKER.JS
+ * Transaction ledger for mutual fund holdings with FIFO cost basis and XIRR returns
+ * Works with utils.js (calculateXIRR) and auth.js (savePortfolioData / getPortfolioData)
+ *
+ * Ledger Structure (saved as the user's portfolio data):
+ * {
+ *   transactions: [{ id, fund, type, date, nav, units, amount }],
+ *   funds: { [fundName]: { assetClass, taxType, currentNav, navDate } },
+ *   rebalance: { ... } (rebalancer.js settings)
+ * }
+ * - type: 'buy' | 'sip' (money in) or 'sell' | 'redemption' (money out)
+ * - assetClass: 'equity' | 'debt' | 'cash' (matches Utils.getAssetAllocation keys)
+ * - taxType: 'equity' | 'debt' | 'hybrid' (optional; see tax-engine.js, defaults from assetClass)
+ */
+
+class HoldingsTracker {
+    static INFLOW_TYPES = ['buy', 'sip'];
+    static OUTFLOW_TYPES = ['sell', 'redemption'];
+    static ASSET_CLASSES = ['equity', 'debt', 'cash'];
+    static TAX_TYPES = ['equity', 'debt', 'hybrid'];
+
+    /**
+     * Empty ledger
+     */
+    static createLedger() {
+        return { transactions: [], funds: {} };
+    }
+
+    /**
+     * Make sure saved portfolio data has the ledger shape
+     */
+    static normalizeLedger(data) {
+        const ledger = data && typeof data === 'object' ? data : {};
+        return {
+            ...ledger,
+            transactions: Array.isArray(ledger.transactions) ? ledger.transactions : [],
+            funds: ledger.funds && typeof ledger.funds === 'object' ? ledger.funds : {}
+        };
+    }
+
+    /**
+     * Check whether a transaction type adds units
+     */
+    static isInflow(type) {
+        return this.INFLOW_TYPES.includes(type);
+    }
+
+    /**
+     * Add a transaction to the ledger
+     * Units are derived from amount / NAV when not given (and vice versa).
+     * @returns {object} { success, ledger } or { success: false, error }
+     */
+    static addTransaction(ledger, { fund, type, date, nav, amount, units, assetClass, taxType }) {
+        const name = (fund || '').trim();
+        const navValue = parseFloat(nav);
+        let unitValue = parseFloat(units);
+        let amountValue = parseFloat(amount);
+
+        if (!name) {
+            return { success: false, error: 'Fund name required' };
+        }
+        if (![...this.INFLOW_TYPES, ...this.OUTFLOW_TYPES].includes(type)) {
+            return { success: false, error: 'Invalid transaction type' };
+        }
+        if (!date || isNaN(new Date(date).getTime())) {
+            return { success: false, error: 'Valid date required' };
+        }
+        if (!(navValue > 0)) {
+            return { success: false, error: 'NAV must be greater than 0' };
+        }
+
+        if (!(unitValue > 0) && amountValue > 0) unitValue = amountValue / navValue;
+        if (!(amountValue > 0) && unitValue > 0) amountValue = unitValue * navValue;
+
+        if (!(unitValue > 0)) {
+            return { success: false, error: 'Enter an amount or units' };
+        }
+
+        if (!this.isInflow(type)) {
+            const held = this.getUnitsHeld(ledger, name, date);
+            if (unitValue > held + 1e-6) {
+                return { success: false, error: `Only ${held.toFixed(3)} units held on that date` };
+            }
+        }
+
+        const updated = this.normalizeLedger(Utils.deepCopy(ledger));
+        updated.transactions.push({
+            id: Utils.generateId(),
+            fund: name,
+            type: type,
+            date: date,
+            nav: navValue,
+            units: unitValue,
+            amount: amountValue
+        });
+        updated.transactions.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+        // A backdated sell can also break sells that come after it
+        const balanceError = this.checkBalance(updated, name);
+        if (balanceError) {
+            return { success: false, error: balanceError };
+        }
+
+        const existing = updated.funds[name] || {};
+        const isLatest = !existing.navDate || new Date(date) >= new Date(existing.navDate);
+        updated.funds[name] = {
+            ...existing,
+            assetClass: assetClass || existing.assetClass || 'equity',
+            taxType: taxType || existing.taxType || null,
+            currentNav: isLatest ? navValue : existing.currentNav,
+            navDate: isLatest ? date : existing.navDate
+        };
+
+        return { success: true, ledger: updated };
+    }
+
+    /**
+     * Remove a transaction by id (a purchase cannot be removed while later sells need its units)
+     * @returns {object} { success, ledger } or { success: false, error }
+     */
+    static removeTransaction(ledger, id) {
+        const updated = this.normalizeLedger(Utils.deepCopy(ledger));
+        const removed = updated.transactions.find(t => t.id === id);
+        updated.transactions = updated.transactions.filter(t => t.id !== id);
+
+        const balanceError = removed ? this.checkBalance(updated, removed.fund) : null;
+        if (balanceError) {
+            return { success: false, error: `${balanceError}. Remove the later sells first.` };
+        }
+
+        // Drop fund info once no transactions reference it
+        Object.keys(updated.funds).forEach(name => {
+            if (!updated.transactions.some(t => t.fund === name)) {
+                delete updated.funds[name];
+            }
+        });
+
+        return { success: true, ledger: updated };
+    }
+
+    /**
+     * Check that a fund's units never go below zero at any date (not just the date of a new sell)
+     * Transactions on the same date settle together.
+     * @returns {string|null} error message, or null when the balance stays at or above zero
+     */
+    static checkBalance(ledger, fund) {
+        const transactions = this.normalizeLedger(ledger).transactions
+            .filter(t => t.fund === fund)
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+        let held = 0;
+        for (let i = 0; i < transactions.length; i++) {
+            const t = transactions[i];
+            held += this.isInflow(t.type) ? t.units : -t.units;
+
+            const next = transactions[i + 1];
+            if (held < -1e-6 && (!next || next.date !== t.date)) {
+                return `Units of ${fund} would go below zero on ${t.date}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Update the latest NAV for a fund (used for current value)
+     */
+    static updateNav(ledger, fund, nav, date = new Date().toISOString().slice(0, 10)) {
+        const updated = this.normalizeLedger(Utils.deepCopy(ledger));
+        if (!updated.funds[fund] || !(parseFloat(nav) > 0)) return updated;
+
+        updated.funds[fund].currentNav = parseFloat(nav);
+        updated.funds[fund].navDate = date;
+        return updated;
+    }
+
+    /**
+     * Units held for a fund, optionally as of a date
+     */
+    static getUnitsHeld(ledger, fund, asOf = null) {
+        const limit = asOf ? new Date(asOf) : null;
+        return this.normalizeLedger(ledger).transactions
+            .filter(t => t.fund === fund && (!limit || new Date(t.date) <= limit))
+            .reduce((sum, t) => sum + (this.isInflow(t.type) ? t.units : -t.units), 0);
+    }
+
+    /**
+     * Match sells to purchases first-in, first-out
+     * @returns {object} { openLots: [{ id, date, nav, units }], realized: [{ saleId, sellDate, sellNav, lotId, buyDate, buyNav, units }] }
+     */
+    static matchLots(ledger, fund) {
+        const lots = [];
+        const realized = [];
+
+        this.normalizeLedger(ledger).transactions
+            .filter(t => t.fund === fund)
+            .forEach(t => {
+                if (this.isInflow(t.type)) {
+                    lots.push({ id: t.id, date: t.date, nav: t.nav, units: t.units });
+                    return;
+                }
+
+                let toSell = t.units;
+                while (toSell > 1e-9 && lots.length) {
+                    const used = Math.min(lots[0].units, toSell);
+                    realized.push({
+                        saleId: t.id,
+                        sellDate: t.date,
+                        sellNav: t.nav,
+                        lotId: lots[0].id,
+                        buyDate: lots[0].date,
+                        buyNav: lots[0].nav,
+                        units: used
+                    });
+                    lots[0].units -= used;
+                    toSell -= used;
+                    if (lots[0].units <= 1e-9) lots.shift();
+                }
+            });
+
+        return { openLots: lots, realized: realized };
+    }
+
+    /**
+     * Open purchase lots for a fund after matching sells first-in, first-out
+     * @returns {Array} [{ id, date, nav, units }] - remaining units per purchase
+     */
+    static getOpenLots(ledger, fund) {
+        return this.matchLots(ledger, fund).openLots;
+    }
+
+    /**
+     * Summary for one fund: value, cost basis, absolute return and XIRR
+     */
+    static getHoldingSummary(ledger, fund, valuationDate = new Date()) {
+        const data = this.normalizeLedger(ledger);
+        const transactions = data.transactions.filter(t => t.fund === fund);
+        const info = data.funds[fund] || {};
+        const lastNav = transactions.length ? transactions[transactions.length - 1].nav : 0;
+        const currentNav = info.currentNav || lastNav;
+
+        const units = this.getUnitsHeld(data, fund);
+        const invested = this.getOpenLots(data, fund).reduce((sum, lot) => sum + lot.units * lot.nav, 0);
+        const currentValue = units * currentNav;
+        const absoluteReturn = invested > 0 ? ((currentValue - invested) / invested) * 100 : 0;
+
+        return {
+            fund: fund,
+            assetClass: info.assetClass || 'equity',
+            units: units,
+            currentNav: currentNav,
+            navDate: info.navDate || null,
+            invested: invested,
+            currentValue: currentValue,
+            gain: currentValue - invested,
+            absoluteReturn: absoluteReturn,
+            xirr: Utils.calculateXIRR(this.getCashflows(transactions, currentValue, valuationDate))
+        };
+    }
+
+    /**
+     * XIRR cash flows: purchases negative, redemptions positive, current value positive today
+     */
+    static getCashflows(transactions, currentValue, valuationDate = new Date()) {
+        const flows = transactions.map(t => ({
+            amount: this.isInflow(t.type) ? -t.amount : t.amount,
+            date: t.date
+        }));
+        if (currentValue > 0) {
+            flows.push({ amount: currentValue, date: valuationDate });
+        }
+        return flows;
+    }
+
+    /**
+     * Summary for every fund plus portfolio totals
+     */
+    static getPortfolioSummary(ledger, valuationDate = new Date()) {
+        const data = this.normalizeLedger(ledger);
+        const fundNames = [...new Set(data.transactions.map(t => t.fund))];
+        const holdings = fundNames.map(fund => this.getHoldingSummary(data, fund, valuationDate));
+
+        const invested = holdings.reduce((sum, h) => sum + h.invested, 0);
+        const currentValue = holdings.reduce((sum, h) => sum + h.currentValue, 0);
+
+        return {
+            holdings: holdings,
+            totals: {
+                invested: invested,
+                currentValue: currentValue,
+                gain: currentValue - invested,
+                absoluteReturn: invested > 0 ? ((currentValue - invested) / invested) * 100 : 0,
+                xirr: Utils.calculateXIRR(this.getCashflows(data.transactions, currentValue, valuationDate))
+            }
+        };
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.HoldingsTracker = HoldingsTracker;
+}
+
+// For Node.js/SSR
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HoldingsTracker;
+}
@@ -0,0 +1,206 @@
+/**
+ * LESSON-PLAYER.JS
+ * Lesson viewer for courses.json: text, embedded video and quiz lessons
+ * Progress is saved on the user's account through auth.js (openLesson, completeLesson, submitQuiz);
+ * quizzes are graded by the server, which never sends the answers before a pass.
+ *
+ * Lesson content fields (in addition to id, title, type, minutes):
+ * - text:  { body: [paragraph, ...] }
+ * - video: { videoUrl (YouTube/Vimeo/https embed), body: [notes, ...] }
+ * - quiz:  { passPercent, questions: [{ question, options: [string] }] }
+ */
+
+class LessonPlayer {
+    static TYPE_ICONS = { text: '📖', video: '🎬', quiz: '📝' };
+
+    /**
+     * All lessons in course order, each tagged with its module
+     */
+    static flattenLessons(course) {
+        return course.modules.flatMap(module =>
+            (module.lessons || []).map(lesson => ({ ...lesson, moduleId: module.id, moduleTitle: module.title }))
+        );
+    }
+
+    /**
+     * Completion summary from a saved progress record (record may be null)
+     */
+    static getProgress(course, record) {
+        const lessons = this.flattenLessons(course);
+        const completed = record && record.completedLessons ? record.completedLessons : {};
+        const completedCount = lessons.filter(l => completed[l.id]).length;
+
+        return {
+            completedCount: completedCount,
+            total: lessons.length,
+            percent: lessons.length ? Math.round((completedCount / lessons.length) * 100) : 0,
+            isComplete: lessons.length > 0 && completedCount === lessons.length,
+            isLessonComplete: lessonId => !!completed[lessonId]
+        };
+    }
+
+    /**
+     * Lesson to open when the user comes back: the last one viewed, else the first unfinished one
+     */
+    static getResumeLesson(course, record) {
+        const lessons = this.flattenLessons(course);
+        if (lessons.length === 0) return null;
+
+        const last = record && record.lastLessonId ? lessons.find(l => l.id === record.lastLessonId) : null;
+        if (last) return last;
+
+        const completed = record && record.completedLessons ? record.completedLessons : {};
+        return lessons.find(l => !completed[l.id]) || lessons[0];
+    }
+
+    /**
+     * Previous and next lessons around a lesson id
+     */
+    static getAdjacent(course, lessonId) {
+        const lessons = this.flattenLessons(course);
+        const index = lessons.findIndex(l => l.id === lessonId);
+        return {
+            previous: index > 0 ? lessons[index - 1] : null,
+            next: index >= 0 && index < lessons.length - 1 ? lessons[index + 1] : null
+        };
+    }
+
+    /**
+     * Convert a YouTube/Vimeo page URL to its embed URL (other https URLs are used as-is)
+     */
+    static toEmbedUrl(url) {
+        if (!url) return null;
+
+        const youtube = /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([\w-]{6,})/.exec(url);
+        if (youtube) return `https://www.youtube-nocookie.com/embed/${youtube[1]}`;
+
+        const vimeo = /vimeo\.com\/(?:video\/)?(\d+)/.exec(url);
+        if (vimeo) return `https://player.vimeo.com/video/${vimeo[1]}`;
+
+        return /^https:\/\//.test(url) ? url : null;
+    }
+
+    /**
+     * Sidebar outline with completion ticks
+     */
+    static renderOutline(course, record, currentLessonId) {
+        const progress = this.getProgress(course, record);
+
+        return course.modules.map(module => `
+            <div class="outline-module">
+                <h4>${Utils.escapeHtml(module.title)}</h4>
+                <ul>
+                    ${(module.lessons || []).map(lesson => `
+                        <li class="${lesson.id === currentLessonId ? 'current' : ''} ${progress.isLessonComplete(lesson.id) ? 'done' : ''}">
+                            <a href="#" onclick="showLesson('${lesson.id}'); return false;">
+                                <span>${progress.isLessonComplete(lesson.id) ? '✓' : this.TYPE_ICONS[lesson.type]}</span>
+                                ${Utils.escapeHtml(lesson.title)}
+                            </a>
+                        </li>`).join('')}
+                </ul>
+            </div>`).join('');
+    }
+
+    static renderParagraphs(body) {
+        return (body || []).map(p => `<p>${Utils.escapeHtml(p)}</p>`).join('');
+    }
+
+    /**
+     * Main lesson body for any lesson type
+     */
+    static renderLesson(lesson, record) {
+        const header = `
+            <p class="lesson-module">${Utils.escapeHtml(lesson.moduleTitle)}</p>
+            <h2>${this.TYPE_ICONS[lesson.type]} ${Utils.escapeHtml(lesson.title)}</h2>
+            ${lesson.minutes ? `<p class="lesson-meta">~${lesson.minutes} min</p>` : ''}`;
+
+        if (lesson.type === 'quiz') {
+            return header + this.renderQuiz(lesson, record);
+        }
+
+        if (lesson.type === 'video') {
+            const embedUrl = this.toEmbedUrl(lesson.videoUrl);
+            const video = embedUrl
+                ? `<div class="video-frame"><iframe src="${Utils.escapeHtml(embedUrl)}" title="${Utils.escapeHtml(lesson.title)}" allow="encrypted-media; picture-in-picture" allowfullscreen></iframe></div>`
+                : '<div class="video-placeholder">🎬 Video is being recorded. The lesson notes below cover the same material.</div>';
+            return header + video + `<div class="lesson-body">${this.renderParagraphs(lesson.body)}</div>`;
+        }
+
+        return header + `<div class="lesson-body">${this.renderParagraphs(lesson.body)}</div>`;
+    }
+
+    /**
+     * Quiz form (answers are checked by the server)
+     */
+    static renderQuiz(lesson, record) {
+        const questions = lesson.questions || [];
+        if (questions.length === 0) {
+            return '<p class="empty-state">This quiz is not available yet.</p>';
+        }
+
+        const score = record && record.quizScores ? record.quizScores[lesson.id] : null;
+        const passPercent = lesson.passPercent || 70;
+
+        return `
+            <p class="lesson-meta">Pass mark: ${passPercent}% · ${questions.length} questions${score ? ` · Best so far: ${score.bestPercent}% (${score.attempts} attempt${score.attempts === 1 ? '' : 's'})` : ''}</p>
+            <form id="quizForm" onsubmit="submitQuiz(event)">
+                ${questions.map((q, i) => `
+                    <div class="quiz-question" id="quizQuestion-${i}">
+                        <p><strong>${i + 1}. ${Utils.escapeHtml(q.question)}</strong></p>
+                        ${q.options.map((option, j) => `
+                            <label><input type="radio" name="quiz_${i}" value="${j}"> ${Utils.escapeHtml(option)}</label>`).join('')}
+                        <div class="quiz-feedback"></div>
+                    </div>`).join('')}
+                <button type="submit" class="btn">Submit Answers</button>
+            </form>
+            <div id="quizResult"></div>`;
+    }
+
+    /**
+     * Selected option index per question (null when unanswered)
+     */
+    static readQuizAnswers(lesson) {
+        return (lesson.questions || []).map((q, i) => {
+            const checked = document.querySelector(`input[name="quiz_${i}"]:checked`);
+            return checked ? parseInt(checked.value, 10) : null;
+        });
+    }
+
+    /**
+     * Mark each question right/wrong and show the overall result
+     */
+    static showQuizResult(lesson, result) {
+        result.results.forEach((r, i) => {
+            const question = document.getElementById(`quizQuestion-${i}`);
+            if (!question) return;
+
+            question.classList.toggle('correct', r.correct);
+            question.classList.toggle('wrong', !r.correct);
+
+            const feedback = question.querySelector('.quiz-feedback');
+            if (r.correct) {
+                feedback.textContent = r.explanation ? `✓ ${r.explanation}` : '✓ Correct';
+            } else if (r.answer !== undefined) {
+                feedback.textContent = `✗ Answer: ${lesson.questions[i].options[r.answer]}${r.explanation ? ` — ${r.explanation}` : ''}`;
+            } else {
+                feedback.textContent = '✗ Not quite. Review the lessons and try again.';
+            }
+        });
+
+        document.getElementById('quizResult').innerHTML = `
+            <div class="quiz-summary ${result.passed ? 'passed' : 'failed'}">
+                ${result.passed ? '🎉 Passed!' : '❌ Not passed yet.'}
+                You scored ${result.correct}/${result.total} (${result.percent}%). Pass mark is ${result.passPercent}%.
+            </div>`;
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.LessonPlayer = LessonPlayer;
+}
+
+// For Node.js/SSR
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LessonPlayer;
+}
@@ -0,0 +1,231 @@
+/**
+ * LOAN-CALCULATOR.JS
+ * Loan EMI, amortization schedule with part-prepayments, and "prepay vs invest" comparison
+ * The invest side uses SIPCalculator (sip-calculator-accurate.js), so both options share its conventions.
+ *
+ * Prepayment Options:
+ * { oneTime: [{ month, amount }], recurring: { amount, startMonth, everyMonths }, mode }
+ * - month numbers are 1-based (month 1 = first EMI); a prepayment is paid together with that month's EMI
+ * - mode: 'reduce-tenure' (keep the EMI, finish early) or 'reduce-emi' (keep the end date, lower the EMI)
+ */
+
+class LoanCalculator {
+    static MODES = ['reduce-tenure', 'reduce-emi'];
+
+    /**
+     * EMI = P × r × (1 + r)^n / ((1 + r)^n - 1)
+     */
+    static calculateEMI(principal, annualRate, months) {
+        const monthlyRate = annualRate / 12 / 100;
+        if (months <= 0) return 0;
+        if (monthlyRate === 0) return principal / months;
+        const factor = Math.pow(1 + monthlyRate, months);
+        return principal * monthlyRate * factor / (factor - 1);
+    }
+
+    /**
+     * Total prepayment due in a month
+     */
+    static getPrepayment(month, prepayments = {}) {
+        const oneTime = (prepayments.oneTime || [])
+            .filter(p => parseInt(p.month, 10) === month)
+            .reduce((sum, p) => sum + (parseFloat(p.amount) || 0), 0);
+
+        const recurring = prepayments.recurring || {};
+        const amount = parseFloat(recurring.amount) || 0;
+        const start = parseInt(recurring.startMonth, 10) || 1;
+        const every = Math.max(1, parseInt(recurring.everyMonths, 10) || 1);
+        const isDue = amount > 0 && month >= start && (month - start) % every === 0;
+
+        return oneTime + (isDue ? amount : 0);
+    }
+
+    /**
+     * Month-by-month amortization schedule
+     * @returns {object} { emi, schedule: [{ month, openingBalance, emi, interest, principal, prepayment, closingBalance }], totalInterest, totalPrepaid, months }
+     */
+    static generateSchedule(principal, annualRate, years, prepayments = {}) {
+        const monthlyRate = annualRate / 12 / 100;
+        const tenure = Math.round(years * 12);
+        const mode = this.MODES.includes(prepayments.mode) ? prepayments.mode : 'reduce-tenure';
+        const schedule = [];
+
+        let emi = this.calculateEMI(principal, annualRate, tenure);
+        let balance = principal;
+        let totalInterest = 0;
+        let totalPrepaid = 0;
+
+        for (let month = 1; month <= tenure && balance > 0.5; month++) {
+            const interest = balance * monthlyRate;
+            const payment = Math.min(emi, balance + interest);
+            const principalPaid = payment - interest;
+            const prepayment = Math.min(this.getPrepayment(month, prepayments), balance - principalPaid);
+            const openingBalance = balance;
+
+            balance -= principalPaid + prepayment;
+            totalInterest += interest;
+            totalPrepaid += prepayment;
+
+            schedule.push({
+                month,
+                openingBalance,
+                emi: payment,
+                interest,
+                principal: principalPaid,
+                prepayment,
+                closingBalance: Math.max(0, balance)
+            });
+
+            // Keep the original end date: spread what is left over the remaining months
+            if (prepayment > 0 && mode === 'reduce-emi' && balance > 0.5) {
+                emi = this.calculateEMI(balance, annualRate, tenure - month);
+            }
+        }
+
+        return {
+            emi: this.calculateEMI(principal, annualRate, tenure),
+            schedule,
+            totalInterest,
+            totalPrepaid,
+            months: schedule.length
+        };
+    }
+
+    /**
+     * Schedule rolled up by loan year (for tables and charts)
+     */
+    static summarizeByYear(schedule) {
+        const years = [];
+        schedule.forEach(row => {
+            const index = Math.floor((row.month - 1) / 12);
+            if (!years[index]) {
+                years[index] = { year: index + 1, openingBalance: row.openingBalance, emi: 0, interest: 0, principal: 0, prepayment: 0, closingBalance: 0 };
+            }
+            const year = years[index];
+            year.emi += row.emi;
+            year.interest += row.interest;
+            year.principal += row.principal;
+            year.prepayment += row.prepayment;
+            year.closingBalance = row.closingBalance;
+        });
+        return years;
+    }
+
+    /**
+     * Loan with and without prepayments
+     * @returns {object} { emi, base, withPrepayment, interestSaved, monthsSaved, finalEMI }
+     */
+    static calculate(principal, annualRate, years, prepayments = {}) {
+        const base = this.generateSchedule(principal, annualRate, years);
+        const withPrepayment = this.generateSchedule(principal, annualRate, years, prepayments);
+        const last = withPrepayment.schedule[withPrepayment.schedule.length - 1];
+
+        return {
+            emi: Math.round(base.emi),
+            totalInterest: Math.round(base.totalInterest),
+            totalPayment: Math.round(principal + base.totalInterest),
+            base,
+            withPrepayment,
+            interestSaved: Math.round(base.totalInterest - withPrepayment.totalInterest),
+            monthsSaved: base.months - withPrepayment.months,
+            finalEMI: last ? Math.round(last.emi) : 0
+        };
+    }
+
+    /**
+     * Prepay vs invest the same cash, compared at the original loan end date
+     * Both sides spend the same money every month:
+     * - Prepay: extra cash goes into the loan; once it closes, the EMI plus the extra is invested until the original end date
+     * - Invest: the loan runs its full term; the extra cash goes into a SIP/lump sum
+     * Investment gains are taxed at `taxRate` % when compared.
+     * @param {object} options - { oneTimeAmount, oneTimeMonth, monthlyAmount, startMonth, investReturn, taxRate }
+     */
+    static comparePrepayVsInvest(principal, annualRate, years, options = {}) {
+        const tenure = Math.round(years * 12);
+        const oneTimeAmount = Math.max(0, parseFloat(options.oneTimeAmount) || 0);
+        const oneTimeMonth = Math.min(tenure, Math.max(1, parseInt(options.oneTimeMonth, 10) || 1));
+        const monthlyAmount = Math.max(0, parseFloat(options.monthlyAmount) || 0);
+        const startMonth = Math.min(tenure, Math.max(1, parseInt(options.startMonth, 10) || 1));
+        const investReturn = parseFloat(options.investReturn) || 0;
+        const taxRate = parseFloat(options.taxRate) || 0;
+
+        const loan = this.calculate(principal, annualRate, years, {
+            oneTime: oneTimeAmount > 0 ? [{ month: oneTimeMonth, amount: oneTimeAmount }] : [],
+            recurring: { amount: monthlyAmount, startMonth },
+            mode: 'reduce-tenure'
+        });
+
+        const afterTax = (value, invested) => value - Math.max(0, value - invested) * taxRate / 100;
+        const invest = (rate) => {
+            // Money invested in month m grows for (tenure - m + 1) months, like a beginning-of-month SIP
+            const lump = oneTimeAmount > 0
+                ? SIPCalculator.calculateExactFutureValue(0, (tenure - oneTimeMonth + 1) / 12, rate, { lumpSum: oneTimeAmount })
+                : 0;
+            const sip = monthlyAmount > 0
+                ? SIPCalculator.calculateExactFutureValue(monthlyAmount, (tenure - startMonth + 1) / 12, rate)
+                : 0;
+            const invested = oneTimeAmount + monthlyAmount * (tenure - startMonth + 1);
+            return { value: lump + sip, invested };
+        };
+        const prepay = (rate) => {
+            // Freed-up cash (EMI + monthly extra) from the month after the loan closes
+            const monthsLeft = tenure - loan.withPrepayment.months;
+            const monthly = loan.emi + monthlyAmount;
+            const value = monthsLeft > 0 ? SIPCalculator.calculateExactFutureValue(monthly, monthsLeft / 12, rate) : 0;
+            return { value, invested: monthly * monthsLeft };
+        };
+
+        const investSide = invest(investReturn);
+        const prepaySide = prepay(investReturn);
+        const investWealth = afterTax(investSide.value, investSide.invested);
+        const prepayWealth = afterTax(prepaySide.value, prepaySide.invested);
+
+        // Pre-tax return at which both options end with the same wealth
+        const gap = rate => {
+            const i = invest(rate);
+            const p = prepay(rate);
+            return afterTax(i.value, i.invested) - afterTax(p.value, p.invested);
+        };
+        let low = 0;
+        let high = 50;
+        let breakEvenReturn = null;
+        if (gap(low) < 0 && gap(high) > 0) {
+            for (let i = 0; i < 60; i++) {
+                const mid = (low + high) / 2;
+                if (gap(mid) < 0) low = mid;
+                else high = mid;
+            }
+            breakEvenReturn = (low + high) / 2;
+        }
+
+        return {
+            loan,
+            prepay: {
+                interestSaved: loan.interestSaved,
+                monthsSaved: loan.monthsSaved,
+                closesInMonth: loan.withPrepayment.months,
+                investedAfterClosure: Math.round(prepaySide.invested),
+                wealth: Math.round(prepayWealth)
+            },
+            invest: {
+                invested: Math.round(investSide.invested),
+                value: Math.round(investSide.value),
+                tax: Math.round(investSide.value - investWealth),
+                wealth: Math.round(investWealth)
+            },
+            better: investWealth > prepayWealth ? 'invest' : 'prepay',
+            difference: Math.round(Math.abs(investWealth - prepayWealth)),
+            breakEvenReturn
+        };
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.LoanCalculator = LoanCalculator;
+}
+
+// For Node.js/SSR
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LoanCalculator;
+}
@@ -0,0 +1,308 @@
+/**
+ * NAV-IMPORTER.JS
+ * Offline importer for AMFI NAV files (NAVAll.txt and historical NAV reports)
+ * Builds a local scheme master used to autocomplete and prefill the fund form
+ *
+ * AMFI files are semicolon-delimited with section lines between the data rows:
+ *   Scheme Code;ISIN Div Payout/ ISIN Growth;ISIN Div Reinvestment;Scheme Name;Net Asset Value;Date
+ *   Open Ended Schemes(Equity Scheme - Large Cap Fund)      <- category line
+ *   Axis Mutual Fund                                        <- AMC line
+ *   120465;INF846K01DP8;-;Axis Large Cap Fund - Direct Plan - Growth;60.12;17-Oct-2025
+ *
+ * Scheme Master Structure (storage.js record 'arthasetu_schemes'):
+ * { schemes: { [code]: { code, name, amc, category, isin, navHistory: [[isoDate, nav]] } }, importedAt }
+ */
+
+class NavImporter {
+    static STORAGE_KEY = 'arthasetu_schemes';
+
+    // Keep roughly 10 years of daily NAVs per scheme so browser storage stays within quota
+    static MAX_HISTORY_POINTS = 2600;
+
+    static BENCHMARK_CATEGORY = 'Benchmark Index';
+
+    static MONTHS = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+
+    // Master as last loaded or saved by this page; parsing it from storage is too slow to repeat per keystroke
+    static master = null;
+
+    /**
+     * Convert AMFI date (17-Oct-2025) to ISO (2025-10-17)
+     */
+    static parseDate(value) {
+        const match = /^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/.exec((value || '').trim());
+        if (!match) return null;
+
+        const month = this.MONTHS[match[2].toLowerCase()];
+        if (month === undefined) return null;
+
+        return `${match[3]}-${String(month + 1).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+    }
+
+    /**
+     * Map header names to column indexes (works for both NAVAll and history layouts)
+     */
+    static parseHeader(line) {
+        const columns = line.split(';').map(c => c.trim().toLowerCase());
+        const find = test => columns.findIndex(test);
+
+        return {
+            code: find(c => c === 'scheme code'),
+            name: find(c => c === 'scheme name'),
+            isin: find(c => c.includes('isin') && c.includes('growth')),
+            nav: find(c => c === 'net asset value'),
+            date: find(c => c === 'date')
+        };
+    }
+
+    /**
+     * Category from a section line like "Open Ended Schemes(Equity Scheme - Large Cap Fund)"
+     */
+    static parseCategory(line) {
+        const match = /\(([^)]+)\)\s*$/.exec(line);
+        return match ? match[1].trim() : line.trim();
+    }
+
+    /**
+     * Check whether a non-data line is a scheme-type/category section header
+     */
+    static isCategoryLine(line) {
+        return /schemes?\s*\(/i.test(line) || /^(open|close|interval)\s+ended/i.test(line);
+    }
+
+    /**
+     * Parse AMFI file text into NAV rows
+     * @returns {object} { rows: [{ code, name, amc, category, isin, date, nav }], skipped }
+     */
+    static parse(text) {
+        const lines = text.split(/\r?\n/);
+        const rows = [];
+        let columns = null;
+        let category = '';
+        let amc = '';
+        let skipped = 0;
+
+        lines.forEach(raw => {
+            const line = raw.trim();
+            if (!line) return;
+
+            if (/^scheme code;/i.test(line)) {
+                columns = this.parseHeader(line);
+                return;
+            }
+
+            if (!line.includes(';')) {
+                if (this.isCategoryLine(line)) {
+                    category = this.parseCategory(line);
+                } else {
+                    amc = line;
+                }
+                return;
+            }
+
+            if (!columns) {
+                skipped++;
+                return;
+            }
+
+            const cells = line.split(';').map(c => c.trim());
+            const nav = parseFloat(cells[columns.nav]);
+            const date = this.parseDate(cells[columns.date]);
+            const code = cells[columns.code];
+
+            if (!code || !(nav > 0) || !date) {
+                skipped++;
+                return;
+            }
+
+            const isin = columns.isin >= 0 ? cells[columns.isin] : '';
+            rows.push({
+                code: code,
+                name: cells[columns.name],
+                amc: amc,
+                category: category,
+                isin: isin && isin !== '-' ? isin : '',
+                date: date,
+                nav: nav
+            });
+        });
+
+        if (!columns) {
+            return { rows: [], skipped, error: 'Not an AMFI NAV file (missing "Scheme Code;" header)' };
+        }
+
+        return { rows, skipped };
+    }
+
+    /**
+     * Merge parsed rows into a scheme master (new NAVs replace same-date values)
+     */
+    static mergeRows(master, rows) {
+        const schemes = { ...(master && master.schemes ? master.schemes : {}) };
+        const navByDate = {};
+
+        rows.forEach(row => {
+            if (!navByDate[row.code]) {
+                // First row for this scheme in this import: copy it so the old master is untouched
+                const existing = schemes[row.code] || { code: row.code, navHistory: [] };
+                schemes[row.code] = { ...existing };
+                navByDate[row.code] = new Map(existing.navHistory);
+            }
+
+            const scheme = schemes[row.code];
+            scheme.name = row.name || scheme.name;
+            scheme.amc = row.amc || scheme.amc || '';
+            scheme.category = row.category || scheme.category || '';
+            scheme.isin = row.isin || scheme.isin || '';
+            navByDate[row.code].set(row.date, row.nav);
+        });
+
+        Object.keys(navByDate).forEach(code => {
+            const history = [...navByDate[code].entries()].sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+            schemes[code].navHistory = history.slice(-this.MAX_HISTORY_POINTS);
+        });
+
+        return { schemes, importedAt: new Date().toISOString() };
+    }
+
+    /**
+     * Load scheme master from storage (once per page; saveMaster and clearMaster keep it current)
+     */
+    static loadMaster() {
+        if (!this.master) {
+            this.master = storage.get(this.STORAGE_KEY, { schemes: {}, importedAt: null });
+        }
+        return this.master;
+    }
+
+    /**
+     * Save scheme master to storage
+     */
+    static saveMaster(master) {
+        const result = storage.set(this.STORAGE_KEY, master);
+        if (result.quotaExceeded) {
+            return { success: false, error: 'Not enough browser storage for this file. Try a smaller NAV history range, or switch storage to IndexedDB from your dashboard.' };
+        }
+        if (result.success) this.master = master;
+        return result;
+    }
+
+    /**
+     * Import a user-selected File (works fully offline)
+     * @returns {Promise<object>} { success, schemesImported, navPoints, skipped } or { success: false, error }
+     */
+    static async importFile(file) {
+        if (!file) {
+            return { success: false, error: 'Please choose a file' };
+        }
+
+        const text = await file.text();
+        const parsed = this.parse(text);
+
+        if (parsed.error) {
+            return { success: false, error: parsed.error };
+        }
+
+        const master = this.mergeRows(this.loadMaster(), parsed.rows);
+        const saved = this.saveMaster(master);
+        if (!saved.success) return saved;
+
+        return {
+            success: true,
+            schemesImported: new Set(parsed.rows.map(r => r.code)).size,
+            navPoints: parsed.rows.length,
+            skipped: parsed.skipped,
+            totalSchemes: Object.keys(master.schemes).length
+        };
+    }
+
+    /**
+     * Search schemes by name, code or AMC
+     */
+    static search(query, limit = 20, master = this.loadMaster()) {
+        const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return [];
+
+        const results = [];
+        for (const scheme of Object.values(master.schemes)) {
+            const haystack = `${scheme.name} ${scheme.code} ${scheme.amc}`.toLowerCase();
+            if (terms.every(t => haystack.includes(t))) {
+                results.push(scheme);
+                if (results.length >= limit) break;
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Find a scheme by exact name or code
+     */
+    static findScheme(nameOrCode, master = this.loadMaster()) {
+        if (master.schemes[nameOrCode]) return master.schemes[nameOrCode];
+        return Object.values(master.schemes).find(s => s.name === nameOrCode) || null;
+    }
+
+    /**
+     * Map an AMFI category to the fund form's category options
+     */
+    static mapToFormCategory(amfiCategory) {
+        const category = (amfiCategory || '').toLowerCase();
+        if (category.includes('liquid') || category.includes('overnight') || category.includes('money market')) return 'Liquid';
+        if (category.includes('balanced advantage') || category.includes('dynamic asset')) return 'Balanced Advantage';
+        if (category.includes('hybrid') || category.includes('arbitrage') || category.includes('multi asset')) return 'Hybrid';
+        if (category.includes('debt') || category.includes('gilt') || category.includes('bond') || category.includes('income')) return 'Debt/Bond';
+        return 'Equity Growth';
+    }
+
+    /**
+     * Latest NAV point for a scheme
+     */
+    static getLatestNav(scheme) {
+        const history = scheme && scheme.navHistory ? scheme.navHistory : [];
+        return history.length ? { date: history[history.length - 1][0], nav: history[history.length - 1][1] } : null;
+    }
+
+    /**
+     * Store a benchmark index series (e.g., from a CSV export) alongside the schemes
+     * @param {string} name - Index name, e.g. "Nifty 50 TRI"
+     * @param {Array} series - [[isoDate, value]]
+     */
+    static saveBenchmark(name, series) {
+        const code = `INDEX:${name}`;
+        const rows = series.map(([date, value]) => ({
+            code, name, amc: '', category: this.BENCHMARK_CATEGORY, isin: '', date, nav: value
+        }));
+
+        const saved = this.saveMaster(this.mergeRows(this.loadMaster(), rows));
+        return saved.success ? { success: true, code } : saved;
+    }
+
+    /**
+     * Series usable as a benchmark: imported indices first, then index funds/ETFs
+     */
+    static getBenchmarks(master = this.loadMaster()) {
+        const schemes = Object.values(master.schemes);
+        const indices = schemes.filter(s => s.category === this.BENCHMARK_CATEGORY);
+        const indexFunds = schemes.filter(s => s.category !== this.BENCHMARK_CATEGORY &&
+            /index|etf|nifty|sensex/i.test(s.name) && s.navHistory.length > 1);
+        return [...indices, ...indexFunds];
+    }
+
+    /**
+     * Remove the imported scheme master
+     */
+    static clearMaster() {
+        this.master = null;
+        return storage.remove(this.STORAGE_KEY);
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.NavImporter = NavImporter;
+}
+
+// For Node.js/SSR
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NavImporter;
+}
@@ -0,0 +1,257 @@
+/**
+ * NET-WORTH.JS
+ * Net-worth tracker: assets, liabilities and monthly snapshots
+ * Works with auth.js (saveNetWorth / getNetWorth), utils.js (getAssetAllocation)
+ * and holdings-tracker.js (optional sync of mutual fund values)
+ *
+ * Data Structure (saved per user):
+ * {
+ *   assets: [{ id, type, name, value, assetClass, source }],
+ *   liabilities: [{ id, type, name, value }],
+ *   snapshots: [{ month, date, assets, liabilities, netWorth, byClass }]
+ * }
+ * - assetClass: 'equity' | 'debt' | 'cash' (the Utils.getAssetAllocation keys) or 'gold' | 'property'
+ * - source: 'holdings' for items filled in from the holdings ledger (replaced on every sync)
+ * - One snapshot per month (YYYY-MM); taking another in the same month replaces it
+ */
+
+class NetWorthTracker {
+    static ASSET_TYPES = {
+        funds: { label: 'Mutual Funds', assetClass: 'equity' },
+        stocks: { label: 'Stocks', assetClass: 'equity' },
+        fd: { label: 'Fixed Deposit', assetClass: 'debt' },
+        epf: { label: 'EPF / PPF', assetClass: 'debt' },
+        bank: { label: 'Bank / Cash', assetClass: 'cash' },
+        gold: { label: 'Gold', assetClass: 'gold' },
+        property: { label: 'Property', assetClass: 'property' },
+        other: { label: 'Other', assetClass: 'debt' }
+    };
+
+    static LIABILITY_TYPES = {
+        home: { label: 'Home Loan' },
+        car: { label: 'Car Loan' },
+        personal: { label: 'Personal Loan' },
+        education: { label: 'Education Loan' },
+        card: { label: 'Credit Card' },
+        other: { label: 'Other' }
+    };
+
+    static ASSET_CLASSES = ['equity', 'debt', 'cash', 'gold', 'property'];
+
+    // Classes covered by the target allocation; gold and property are shown outside it
+    static TARGET_CLASSES = ['equity', 'debt', 'cash'];
+
+    /**
+     * Empty tracker
+     */
+    static createData() {
+        return { assets: [], liabilities: [], snapshots: [] };
+    }
+
+    /**
+     * Make sure saved data has the tracker shape
+     */
+    static normalizeData(data) {
+        const stored = data && typeof data === 'object' ? data : {};
+        return {
+            ...stored,
+            assets: Array.isArray(stored.assets) ? stored.assets : [],
+            liabilities: Array.isArray(stored.liabilities) ? stored.liabilities : [],
+            snapshots: Array.isArray(stored.snapshots) ? stored.snapshots : []
+        };
+    }
+
+    /**
+     * Add an asset or liability
+     * @param {string} kind - 'asset' | 'liability'
+     * @returns {object} { success, data } or { success: false, error }
+     */
+    static addItem(data, kind, { type, name, value, assetClass }) {
+        const types = kind === 'asset' ? this.ASSET_TYPES : this.LIABILITY_TYPES;
+        const amount = parseFloat(value);
+
+        if (!['asset', 'liability'].includes(kind)) {
+            return { success: false, error: 'Invalid item kind' };
+        }
+        if (!types[type]) {
+            return { success: false, error: `Invalid ${kind} type` };
+        }
+        if (!(amount >= 0)) {
+            return { success: false, error: 'Enter a value of 0 or more' };
+        }
+
+        const updated = this.normalizeData(Utils.deepCopy(data));
+        const item = {
+            id: Utils.generateId(),
+            type: type,
+            name: (name || '').trim() || types[type].label,
+            value: amount
+        };
+
+        if (kind === 'asset') {
+            item.assetClass = this.ASSET_CLASSES.includes(assetClass) ? assetClass : types[type].assetClass;
+            updated.assets.push(item);
+        } else {
+            updated.liabilities.push(item);
+        }
+
+        return { success: true, data: updated };
+    }
+
+    /**
+     * Change the current value of an item
+     */
+    static updateValue(data, kind, id, value) {
+        const amount = parseFloat(value);
+        if (!(amount >= 0)) {
+            return { success: false, error: 'Enter a value of 0 or more' };
+        }
+
+        const updated = this.normalizeData(Utils.deepCopy(data));
+        const list = kind === 'asset' ? updated.assets : updated.liabilities;
+        const item = list.find(i => i.id === id);
+        if (!item) {
+            return { success: false, error: 'Item not found' };
+        }
+
+        item.value = amount;
+        return { success: true, data: updated };
+    }
+
+    /**
+     * Remove an item by id
+     */
+    static removeItem(data, kind, id) {
+        const updated = this.normalizeData(Utils.deepCopy(data));
+        if (kind === 'asset') {
+            updated.assets = updated.assets.filter(i => i.id !== id);
+        } else {
+            updated.liabilities = updated.liabilities.filter(i => i.id !== id);
+        }
+        return updated;
+    }
+
+    /**
+     * Replace fund items that came from the holdings ledger with its current values (one per asset class)
+     */
+    static syncHoldings(data, ledger, valuationDate = new Date()) {
+        const updated = this.normalizeData(Utils.deepCopy(data));
+        const byClass = {};
+
+        HoldingsTracker.getPortfolioSummary(ledger, valuationDate).holdings.forEach(h => {
+            const assetClass = this.ASSET_CLASSES.includes(h.assetClass) ? h.assetClass : 'equity';
+            byClass[assetClass] = (byClass[assetClass] || 0) + h.currentValue;
+        });
+
+        updated.assets = updated.assets.filter(i => i.source !== 'holdings');
+        Object.keys(byClass).filter(assetClass => byClass[assetClass] > 0).forEach(assetClass => {
+            updated.assets.push({
+                id: Utils.generateId(),
+                type: 'funds',
+                name: `Mutual Funds (${assetClass}) - holdings tracker`,
+                value: Math.round(byClass[assetClass]),
+                assetClass: assetClass,
+                source: 'holdings'
+            });
+        });
+
+        return updated;
+    }
+
+    /**
+     * Current totals
+     * @returns {object} { assets, liabilities, netWorth, byClass: { [assetClass]: value } }
+     */
+    static getTotals(data) {
+        const normalized = this.normalizeData(data);
+        const byClass = {};
+        this.ASSET_CLASSES.forEach(assetClass => { byClass[assetClass] = 0; });
+
+        normalized.assets.forEach(item => {
+            byClass[item.assetClass] = (byClass[item.assetClass] || 0) + (parseFloat(item.value) || 0);
+        });
+
+        const assets = Object.values(byClass).reduce((sum, v) => sum + v, 0);
+        const liabilities = normalized.liabilities.reduce((sum, item) => sum + (parseFloat(item.value) || 0), 0);
+
+        return { assets, liabilities, netWorth: assets - liabilities, byClass };
+    }
+
+    /**
+     * Record today's totals (or `date`, YYYY-MM-DD) as that month's snapshot
+     */
+    static takeSnapshot(data, date = new Date().toISOString().slice(0, 10)) {
+        const updated = this.normalizeData(Utils.deepCopy(data));
+        const totals = this.getTotals(updated);
+        const month = date.slice(0, 7);
+
+        updated.snapshots = updated.snapshots.filter(s => s.month !== month);
+        updated.snapshots.push({
+            month: month,
+            date: date,
+            assets: Math.round(totals.assets),
+            liabilities: Math.round(totals.liabilities),
+            netWorth: Math.round(totals.netWorth),
+            byClass: totals.byClass
+        });
+        updated.snapshots.sort((a, b) => (a.month < b.month ? -1 : 1));
+
+        return updated;
+    }
+
+    /**
+     * Change in net worth since the previous snapshot
+     * @returns {object|null} { amount, percent, since }
+     */
+    static getChange(data) {
+        const snapshots = this.normalizeData(data).snapshots;
+        if (snapshots.length < 2) return null;
+
+        const last = snapshots[snapshots.length - 1];
+        const previous = snapshots[snapshots.length - 2];
+        const amount = last.netWorth - previous.netWorth;
+
+        return {
+            amount: amount,
+            percent: previous.netWorth !== 0 ? (amount / Math.abs(previous.netWorth)) * 100 : null,
+            since: previous.month
+        };
+    }
+
+    /**
+     * Asset mix compared with the risk profile's target allocation
+     * Equity, debt and cash are measured as a share of those three together (what the target covers);
+     * gold and property are shown as a share of all assets, with no target.
+     * @returns {Array} [{ assetClass, value, percent, target, difference }]
+     */
+    static getAssetMix(data, riskProfile) {
+        const totals = this.getTotals(data);
+        const target = Utils.getAssetAllocation(riskProfile);
+        const investable = this.TARGET_CLASSES.reduce((sum, c) => sum + totals.byClass[c], 0);
+
+        return this.ASSET_CLASSES.map(assetClass => {
+            const value = totals.byClass[assetClass];
+            const inTarget = this.TARGET_CLASSES.includes(assetClass);
+            const base = inTarget ? investable : totals.assets;
+            const percent = base > 0 ? (value / base) * 100 : 0;
+
+            return {
+                assetClass: assetClass,
+                value: value,
+                percent: percent,
+                target: inTarget ? target[assetClass] : null,
+                difference: inTarget ? percent - target[assetClass] : null
+            };
+        });
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.NetWorthTracker = NetWorthTracker;
+}
+
+// For Node.js/SSR
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NetWorthTracker;
+}
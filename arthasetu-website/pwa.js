@@ -0,0 +1,137 @@
+/**
+ * PWA.JS
+ * Registers the service worker and tells the user about new versions and lost connections
+ * Works with service-worker.js (offline cache; waits for SKIP_WAITING before taking over)
+ *
+ * Update flow:
+ * - A new worker installs in the background while the page keeps running on the current release
+ * - Once it is installed, an "update available" banner offers Reload
+ * - Reload asks the worker to take over and reloads the page when it has (controllerchange)
+ * The first install shows no banner: there is nothing older to replace.
+ */
+
+class PwaClient {
+    static WORKER_URL = 'service-worker.js';
+    static BANNER_ID = 'pwaBanner';
+
+    static updating = false;
+
+    /**
+     * Register the service worker (once the page has loaded, so it does not slow the first visit)
+     */
+    static register() {
+        if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+
+        window.addEventListener('load', async () => {
+            try {
+                const registration = await navigator.serviceWorker.register(this.WORKER_URL);
+                this.watchForUpdate(registration);
+            } catch (error) {
+                console.error('Service worker registration failed', error);
+            }
+            if (!navigator.onLine) this.showOffline();
+        });
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            // Also fires when the first worker claims the page; only reload for an accepted update
+            if (!this.updating) return;
+            this.updating = false;
+            window.location.reload();
+        });
+
+        window.addEventListener('offline', () => this.showOffline());
+        window.addEventListener('online', () => this.hideBanner('offline'));
+    }
+
+    /**
+     * Show the update prompt for a worker that is already waiting or finishes installing later
+     */
+    static watchForUpdate(registration) {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdate(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.showUpdate(worker);
+                }
+            });
+        });
+    }
+
+    /**
+     * Switch to the waiting worker; the page reloads on controllerchange
+     */
+    static applyUpdate(worker) {
+        this.updating = true;
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    static showUpdate(worker) {
+        const banner = this.showBanner('update', 'A new version of Arthasetu is available.');
+        const reload = document.createElement('button');
+        reload.textContent = 'Reload';
+        reload.style.cssText = 'background: #d4a574; color: #1a3a52; border: none; border-radius: 20px; padding: 0.4rem 1.2rem; font-weight: 700; cursor: pointer;';
+        reload.addEventListener('click', () => {
+            reload.disabled = true;
+            reload.textContent = 'Updating...';
+            this.applyUpdate(worker);
+        });
+        banner.appendChild(reload);
+    }
+
+    static showOffline() {
+        // The update prompt is more useful than the offline notice, so never replace it
+        const current = document.getElementById(this.BANNER_ID);
+        if (current && current.dataset.kind === 'update') return;
+        this.showBanner('offline', "You're offline. Calculators and your saved data still work; sign-in and course updates need a connection.");
+    }
+
+    /**
+     * Fixed banner at the bottom of the page (one at a time); styled inline as every page has its own stylesheet
+     */
+    static showBanner(kind, message) {
+        this.hideBanner();
+
+        const banner = document.createElement('div');
+        banner.id = this.BANNER_ID;
+        banner.dataset.kind = kind;
+        banner.setAttribute('role', 'status');
+        banner.style.cssText = 'position: fixed; left: 1rem; right: 1rem; bottom: 1rem; z-index: 10000; max-width: 640px; margin: 0 auto; ' +
+            'display: flex; align-items: center; justify-content: space-between; gap: 1rem; padding: 0.8rem 1.2rem; ' +
+            'background: #1a3a52; color: white; border-radius: 12px; box-shadow: 0 8px 24px rgba(0,0,0,0.25); ' +
+            "font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; font-size: 0.95rem;";
+
+        const text = document.createElement('span');
+        text.textContent = message;
+        banner.appendChild(text);
+
+        document.body.appendChild(banner);
+        return banner;
+    }
+
+    /**
+     * Remove the banner (only if it is of `kind`, when given)
+     */
+    static hideBanner(kind = null) {
+        const banner = document.getElementById(this.BANNER_ID);
+        if (banner && (!kind || banner.dataset.kind === kind)) banner.remove();
+    }
+}
+
+if (typeof window !== 'undefined') {
+    PwaClient.register();
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.PwaClient = PwaClient;
+}
+
+// For Node.js/SSR
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PwaClient;
+}
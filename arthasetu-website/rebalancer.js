@@ -0,0 +1,213 @@
+/**
+ * REBALANCER.JS
+ * Drift-based and calendar-based portfolio rebalancing
+ * Works with utils.js (getAssetAllocation) and holdings-tracker.js (portfolio summary)
+ *
+ * Settings Structure (saved inside the user's portfolio data as `rebalance`):
+ * { riskProfile, band, frequency, lastRebalanced }
+ * - band: allowed drift in percentage points (5 = 60% target may move between 55% and 65%)
+ * - frequency: 'quarterly' | 'semi-annual' | 'annual'
+ */
+
+class Rebalancer {
+    static DEFAULT_SETTINGS = {
+        riskProfile: 'moderate',
+        band: 5,
+        frequency: 'annual',
+        lastRebalanced: null
+    };
+
+    static FREQUENCY_MONTHS = {
+        'quarterly': 3,
+        'semi-annual': 6,
+        'annual': 12
+    };
+
+    /**
+     * Merge saved settings with defaults
+     */
+    static getSettings(saved = {}) {
+        return { ...this.DEFAULT_SETTINGS, ...(saved || {}) };
+    }
+
+    /**
+     * Current value and percentage per asset class
+     * @param {Array} holdings - [{ fund, assetClass, currentValue }]
+     */
+    static getCurrentAllocation(holdings) {
+        const values = { equity: 0, debt: 0, cash: 0 };
+        holdings.forEach(h => {
+            values[h.assetClass] = (values[h.assetClass] || 0) + h.currentValue;
+        });
+
+        const total = Object.values(values).reduce((sum, v) => sum + v, 0);
+        const percents = {};
+        Object.keys(values).forEach(asset => {
+            percents[asset] = total > 0 ? (values[asset] / total) * 100 : 0;
+        });
+
+        return { values, percents, total };
+    }
+
+    /**
+     * Compare actual allocation with target and flag classes outside the band
+     * @returns {Array} [{ assetClass, target, actual, drift, outOfBand }]
+     */
+    static detectDrift(holdings, targetAllocation, band = this.DEFAULT_SETTINGS.band) {
+        const current = this.getCurrentAllocation(holdings);
+
+        return Object.keys(targetAllocation).map(asset => {
+            const actual = current.percents[asset] || 0;
+            const drift = actual - targetAllocation[asset];
+            return {
+                assetClass: asset,
+                target: targetAllocation[asset],
+                actual: actual,
+                drift: drift,
+                outOfBand: current.total > 0 && Math.abs(drift) > band
+            };
+        });
+    }
+
+    /**
+     * Whether a calendar rebalance is due
+     * @returns {object} { due, nextDate }
+     */
+    static checkCalendar(lastRebalanced, frequency = 'annual', today = new Date()) {
+        if (!lastRebalanced) {
+            return { due: true, nextDate: null };
+        }
+
+        const next = new Date(lastRebalanced);
+        next.setMonth(next.getMonth() + (this.FREQUENCY_MONTHS[frequency] || 12));
+
+        return { due: today >= next, nextDate: next.toISOString().slice(0, 10) };
+    }
+
+    /**
+     * Split an asset-class amount across its holdings in proportion to current value
+     */
+    static splitAcrossHoldings(holdings, assetClass, amount, action) {
+        const inClass = holdings.filter(h => h.assetClass === assetClass);
+        const classValue = inClass.reduce((sum, h) => sum + h.currentValue, 0);
+
+        if (inClass.length === 0) {
+            // Nothing held in this class yet, so the user has to pick a new fund
+            return [{ fund: null, assetClass, action, amount }];
+        }
+
+        return inClass.map(h => ({
+            fund: h.fund,
+            assetClass,
+            action,
+            amount: classValue > 0 ? amount * (h.currentValue / classValue) : amount / inClass.length
+        }));
+    }
+
+    /**
+     * Build concrete buy/sell trades
+     * @param {Array} holdings - [{ fund, assetClass, currentValue }]
+     * @param {object} targetAllocation - { equity, debt, cash } percentages
+     * @param {object} options - { mode: 'full' | 'sip-only', freshMoney }
+     *   'full'     - sell overweight, buy underweight (fresh money is added to the pot first)
+     *   'sip-only' - never sells; fresh money goes to the most underweight classes first
+     * @returns {object} { trades, before, after, remainingDrift }
+     */
+    static planRebalance(holdings, targetAllocation, { mode = 'full', freshMoney = 0 } = {}) {
+        const current = this.getCurrentAllocation(holdings);
+        const newTotal = current.total + Math.max(0, freshMoney);
+        const assets = Object.keys(targetAllocation);
+        const gaps = {};
+
+        assets.forEach(asset => {
+            gaps[asset] = (targetAllocation[asset] / 100) * newTotal - (current.values[asset] || 0);
+        });
+
+        const classTrades = {};
+
+        if (mode === 'sip-only') {
+            const deficits = assets.filter(asset => gaps[asset] > 0);
+            const totalDeficit = deficits.reduce((sum, asset) => sum + gaps[asset], 0);
+            const money = Math.max(0, freshMoney);
+
+            assets.forEach(asset => {
+                classTrades[asset] = 0;
+            });
+
+            if (totalDeficit > 0) {
+                // Fill deficits proportionally; any money left over follows the target mix
+                const usedForDeficits = Math.min(money, totalDeficit);
+                deficits.forEach(asset => {
+                    classTrades[asset] += usedForDeficits * (gaps[asset] / totalDeficit);
+                });
+                const leftover = money - usedForDeficits;
+                assets.forEach(asset => {
+                    classTrades[asset] += leftover * (targetAllocation[asset] / 100);
+                });
+            } else {
+                assets.forEach(asset => {
+                    classTrades[asset] = money * (targetAllocation[asset] / 100);
+                });
+            }
+        } else {
+            assets.forEach(asset => {
+                classTrades[asset] = gaps[asset];
+            });
+        }
+
+        const trades = [];
+        assets.forEach(asset => {
+            const amount = classTrades[asset];
+            if (Math.abs(amount) < 1) return;
+            trades.push(...this.splitAcrossHoldings(holdings, asset, Math.abs(amount), amount > 0 ? 'buy' : 'sell'));
+        });
+
+        const afterValues = {};
+        assets.forEach(asset => {
+            afterValues[asset] = (current.values[asset] || 0) + classTrades[asset];
+        });
+        const afterTotal = Object.values(afterValues).reduce((sum, v) => sum + v, 0);
+        const after = {};
+        assets.forEach(asset => {
+            after[asset] = afterTotal > 0 ? (afterValues[asset] / afterTotal) * 100 : 0;
+        });
+
+        return {
+            mode: mode,
+            trades: trades.map(t => ({ ...t, amount: Math.round(t.amount) })),
+            before: current.percents,
+            after: after,
+            remainingDrift: Math.max(...assets.map(asset => Math.abs(after[asset] - targetAllocation[asset])))
+        };
+    }
+
+    /**
+     * Full check: drift, calendar status and the suggested trades
+     */
+    static analyze(holdings, settings = {}, options = {}, today = new Date()) {
+        const config = this.getSettings(settings);
+        const target = Utils.getAssetAllocation(config.riskProfile);
+        const drift = this.detectDrift(holdings, target, config.band);
+        const calendar = this.checkCalendar(config.lastRebalanced, config.frequency, today);
+        const driftTriggered = drift.some(d => d.outOfBand);
+
+        return {
+            target: target,
+            drift: drift,
+            calendar: calendar,
+            driftTriggered: driftTriggered,
+            shouldRebalance: driftTriggered || calendar.due,
+            plan: this.planRebalance(holdings, target, options)
+        };
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.Rebalancer = Rebalancer;
+}
+
+// For Node.js/SSR
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Rebalancer;
+}
@@ -0,0 +1,198 @@
+/**
+ * RETIREMENT-PLANNER.JS
+ * Retirement corpus and systematic withdrawal plan (SWP)
+ * Builds on SIPCalculator (sip-calculator-accurate.js) for the accumulation phase.
+ *
+ * Plan Structure:
+ * { currentAge, retirementAge, lifeExpectancy, monthlyExpenses, inflationRate,
+ *   preRetirementReturn, postRetirementReturn, currentSavings, plannedSIP, stepUp }
+ * - monthlyExpenses is in today's rupees; withdrawals rise with inflation once a year
+ * - Withdrawals are taken at the start of each month and the rest of the corpus keeps earning
+ *   postRetirementReturn (monthly rate = annual / 12, same convention as SIPCalculator)
+ * - plannedSIP is optional: when 0 the plan uses the SIP required to fund retirement
+ */
+
+class RetirementPlanner {
+    static DEFAULT_PLAN = {
+        currentAge: 30,
+        retirementAge: 60,
+        lifeExpectancy: 85,
+        monthlyExpenses: 50000,
+        inflationRate: 6,
+        preRetirementReturn: 12,
+        postRetirementReturn: 8,
+        currentSavings: 0,
+        plannedSIP: 0,
+        stepUp: 0
+    };
+
+    // Safety stop for the withdrawal simulation when the corpus never runs out
+    static MAX_WITHDRAWAL_YEARS = 100;
+
+    /**
+     * Merge user input with defaults
+     */
+    static normalizePlan(plan = {}) {
+        const merged = { ...this.DEFAULT_PLAN, ...plan };
+        const normalized = {};
+        Object.keys(this.DEFAULT_PLAN).forEach(key => {
+            const value = parseFloat(merged[key]);
+            normalized[key] = isFinite(value) ? value : this.DEFAULT_PLAN[key];
+        });
+        return normalized;
+    }
+
+    /**
+     * Input problems (empty array if the plan can be calculated)
+     */
+    static validate(plan) {
+        const errors = [];
+        if (plan.retirementAge <= plan.currentAge) errors.push('Retirement age must be after your current age');
+        if (plan.lifeExpectancy <= plan.retirementAge) errors.push('Life expectancy must be after retirement age');
+        if (plan.monthlyExpenses <= 0) errors.push('Enter your monthly expenses');
+        return errors;
+    }
+
+    /**
+     * Corpus needed at the start of retirement to fund inflation-rising monthly withdrawals
+     * Present value of the withdrawals, discounted at the post-retirement return.
+     */
+    static getRequiredCorpus(firstMonthlyWithdrawal, years, postReturn, inflationRate) {
+        const monthlyRate = postReturn / 12 / 100;
+        let corpus = 0;
+
+        for (let m = 0; m < Math.round(years * 12); m++) {
+            const withdrawal = firstMonthlyWithdrawal * Math.pow(1 + inflationRate / 100, Math.floor(m / 12));
+            corpus += withdrawal / Math.pow(1 + monthlyRate, m);
+        }
+
+        return corpus;
+    }
+
+    /**
+     * Safe withdrawal rate: first-year withdrawal as % of the corpus that lasts exactly `years`
+     */
+    static getSafeWithdrawalRate(years, postReturn, inflationRate) {
+        return (12 / this.getRequiredCorpus(1, years, postReturn, inflationRate)) * 100;
+    }
+
+    /**
+     * Month-by-month systematic withdrawal plan, summarised per year
+     * @returns {object} { schedule: [{ year, monthlyWithdrawal, openingBalance, withdrawn, growth, closingBalance }], lastsYears, depleted }
+     */
+    static simulateWithdrawals(corpus, firstMonthlyWithdrawal, postReturn, inflationRate, maxYears = this.MAX_WITHDRAWAL_YEARS) {
+        const monthlyRate = postReturn / 12 / 100;
+        const schedule = [];
+        let balance = corpus;
+        let monthsFunded = 0;
+
+        for (let y = 0; y < maxYears && balance > 0; y++) {
+            const monthlyWithdrawal = firstMonthlyWithdrawal * Math.pow(1 + inflationRate / 100, y);
+            const row = { year: y + 1, monthlyWithdrawal, openingBalance: balance, withdrawn: 0, growth: 0, closingBalance: 0 };
+
+            for (let m = 0; m < 12 && balance > 0; m++) {
+                const withdrawal = Math.min(monthlyWithdrawal, balance);
+                balance -= withdrawal;
+                row.withdrawn += withdrawal;
+                monthsFunded += withdrawal / monthlyWithdrawal;
+
+                const growth = balance * monthlyRate;
+                balance += growth;
+                row.growth += growth;
+            }
+
+            // Treat paise left over from rounding as fully used
+            if (balance < 1) balance = 0;
+            row.closingBalance = balance;
+            schedule.push(row);
+        }
+
+        return {
+            schedule: schedule,
+            lastsYears: monthsFunded / 12,
+            depleted: balance <= 0
+        };
+    }
+
+    /**
+     * Full plan: required corpus, SIP needed, projected corpus and the withdrawal schedule
+     */
+    static calculate(input = {}) {
+        const plan = this.normalizePlan(input);
+        const errors = this.validate(plan);
+        if (errors.length) return { success: false, error: errors[0] };
+
+        const yearsToRetire = plan.retirementAge - plan.currentAge;
+        const retirementYears = plan.lifeExpectancy - plan.retirementAge;
+        const sipOptions = { lumpSum: plan.currentSavings, stepUp: plan.stepUp, stepUpType: 'percent' };
+
+        const firstMonthlyWithdrawal = plan.monthlyExpenses * Math.pow(1 + plan.inflationRate / 100, yearsToRetire);
+        const requiredCorpus = this.getRequiredCorpus(firstMonthlyWithdrawal, retirementYears, plan.postRetirementReturn, plan.inflationRate);
+        const required = SIPCalculator.calculateReverseSIP(requiredCorpus, yearsToRetire, plan.preRetirementReturn, sipOptions);
+
+        const monthlySIP = plan.plannedSIP > 0 ? plan.plannedSIP : required.monthlySIP;
+        const projectedCorpus = SIPCalculator.calculateExactFutureValue(monthlySIP, yearsToRetire, plan.preRetirementReturn, sipOptions);
+        const withdrawals = this.simulateWithdrawals(projectedCorpus, firstMonthlyWithdrawal, plan.postRetirementReturn, plan.inflationRate);
+
+        return {
+            success: true,
+            plan: plan,
+            yearsToRetire: yearsToRetire,
+            retirementYears: retirementYears,
+            firstMonthlyWithdrawal: Math.round(firstMonthlyWithdrawal),
+            requiredCorpus: Math.round(requiredCorpus),
+            requiredSIP: required.monthlySIP,
+            monthlySIP: Math.round(monthlySIP),
+            projectedCorpus: Math.round(projectedCorpus),
+            shortfall: Math.round(Math.max(0, requiredCorpus - projectedCorpus)),
+            safeWithdrawalRate: this.getSafeWithdrawalRate(retirementYears, plan.postRetirementReturn, plan.inflationRate),
+            withdrawalRate: projectedCorpus > 0 ? (firstMonthlyWithdrawal * 12 / projectedCorpus) * 100 : null,
+            lastsYears: withdrawals.lastsYears,
+            corpusRunsOutAtAge: withdrawals.depleted ? plan.retirementAge + withdrawals.lastsYears : null,
+            table: this.generatePlanTable(plan, monthlySIP, sipOptions, withdrawals.schedule)
+        };
+    }
+
+    /**
+     * Year-by-year table across both phases (like SIPCalculator.generateProjectionTable)
+     * @returns {Array} [{ age, phase: 'saving' | 'retired', monthlySIP, monthlyWithdrawal, invested, withdrawn, balance, realBalance }]
+     */
+    static generatePlanTable(plan, monthlySIP, sipOptions, withdrawalSchedule) {
+        const yearsToRetire = plan.retirementAge - plan.currentAge;
+        const saving = SIPCalculator.generateProjectionTable(monthlySIP, yearsToRetire, plan.preRetirementReturn, 12, sipOptions)
+            .map((row, i) => ({
+                age: plan.currentAge + i + 1,
+                phase: 'saving',
+                monthlySIP: row.monthlySIP,
+                monthlyWithdrawal: 0,
+                invested: row.principal,
+                withdrawn: 0,
+                balance: row.futureValue
+            }));
+
+        const retired = withdrawalSchedule.map(row => ({
+            age: plan.retirementAge + row.year,
+            phase: 'retired',
+            monthlySIP: 0,
+            monthlyWithdrawal: Math.round(row.monthlyWithdrawal),
+            invested: 0,
+            withdrawn: Math.round(row.withdrawn),
+            balance: Math.round(row.closingBalance)
+        }));
+
+        return saving.concat(retired).map(row => ({
+            ...row,
+            realBalance: Math.round(SIPCalculator.toRealValue(row.balance, row.age - plan.currentAge, plan.inflationRate))
+        }));
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.RetirementPlanner = RetirementPlanner;
+}
+
+// For Node.js/SSR
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RetirementPlanner;
+}
@@ -0,0 +1,193 @@
+/**
+ * RISK-PROFILER.JS
+ * Scored questionnaire that maps answers to a risk profile
+ * Profiles match Utils.getAssetAllocation: conservative, moderate, growth, aggressive
+ * Results are saved on the user record through auth.saveRiskProfile()
+ */
+
+class RiskProfiler {
+    static PROFILES = ['conservative', 'moderate', 'growth', 'aggressive'];
+
+    /**
+     * Questions grouped by category (horizon, income, loss, experience)
+     * Every option scores 1 (most cautious) to 4 (most risk-tolerant).
+     */
+    static QUESTIONS = [
+        {
+            id: 'horizon',
+            category: 'horizon',
+            question: 'When will you need most of the money you are investing?',
+            options: [
+                { label: 'Within 3 years', score: 1 },
+                { label: '3 to 5 years', score: 2 },
+                { label: '5 to 10 years', score: 3 },
+                { label: 'More than 10 years', score: 4 }
+            ]
+        },
+        {
+            id: 'withdrawals',
+            category: 'horizon',
+            question: 'Do you expect to withdraw from these investments regularly?',
+            options: [
+                { label: 'Yes, I will need income from them soon', score: 1 },
+                { label: 'Occasionally, for planned expenses', score: 2 },
+                { label: 'Rarely', score: 3 },
+                { label: 'No, this is long-term money', score: 4 }
+            ]
+        },
+        {
+            id: 'incomeStability',
+            category: 'income',
+            question: 'How stable is your income?',
+            options: [
+                { label: 'Irregular or currently not earning', score: 1 },
+                { label: 'Variable (business, commission, freelance)', score: 2 },
+                { label: 'Stable salary', score: 3 },
+                { label: 'Stable salary plus other income sources', score: 4 }
+            ]
+        },
+        {
+            id: 'emergencyFund',
+            category: 'income',
+            question: 'How many months of expenses do you have in an emergency fund?',
+            options: [
+                { label: 'None', score: 1 },
+                { label: 'Less than 3 months', score: 2 },
+                { label: '3 to 6 months', score: 3 },
+                { label: 'More than 6 months', score: 4 }
+            ]
+        },
+        {
+            id: 'crashReaction',
+            category: 'loss',
+            question: 'Your portfolio falls 30% in a market crash. What do you do?',
+            options: [
+                { label: 'Sell everything to stop further losses', score: 1 },
+                { label: 'Sell some to reduce risk', score: 2 },
+                { label: 'Hold and wait for recovery', score: 3 },
+                { label: 'Invest more while prices are low', score: 4 }
+            ]
+        },
+        {
+            id: 'outcomeRange',
+            category: 'loss',
+            question: 'Which one-year outcome range on ₹1,00,000 would you choose?',
+            options: [
+                { label: '₹98,000 to ₹1,08,000', score: 1 },
+                { label: '₹92,000 to ₹1,15,000', score: 2 },
+                { label: '₹85,000 to ₹1,25,000', score: 3 },
+                { label: '₹70,000 to ₹1,45,000', score: 4 }
+            ]
+        },
+        {
+            id: 'experienceYears',
+            category: 'experience',
+            question: 'How long have you invested in stocks or equity mutual funds?',
+            options: [
+                { label: 'Never', score: 1 },
+                { label: 'Less than 2 years', score: 2 },
+                { label: '2 to 5 years', score: 3 },
+                { label: 'More than 5 years (through a crash)', score: 4 }
+            ]
+        },
+        {
+            id: 'knowledge',
+            category: 'experience',
+            question: 'How would you describe your investment knowledge?',
+            options: [
+                { label: 'Beginner: FDs and savings accounts only', score: 1 },
+                { label: 'Basic: I understand SIPs and mutual funds', score: 2 },
+                { label: 'Good: I compare funds on risk and cost', score: 3 },
+                { label: 'Advanced: I manage my own asset allocation', score: 4 }
+            ]
+        }
+    ];
+
+    /**
+     * Upper score limit (as % of max score) for each profile
+     */
+    static SCORE_BANDS = [
+        { profile: 'conservative', maxPercent: 40 },
+        { profile: 'moderate', maxPercent: 60 },
+        { profile: 'growth', maxPercent: 80 },
+        { profile: 'aggressive', maxPercent: 100 }
+    ];
+
+    /**
+     * Highest profile allowed by the horizon answer (short horizons cap equity exposure)
+     */
+    static HORIZON_CAPS = { 1: 'conservative', 2: 'moderate' };
+
+    /**
+     * Score a set of answers
+     * @param {object} answers - { [questionId]: optionIndex }
+     * @returns {object} { success, profile, score, maxScore, percent, categoryScores } or { success: false, error }
+     */
+    static scoreAnswers(answers) {
+        const missing = this.QUESTIONS.filter(q => !q.options[answers[q.id]]);
+        if (missing.length > 0) {
+            return { success: false, error: `Please answer all questions (${missing.length} left)` };
+        }
+
+        const categoryScores = {};
+        let score = 0;
+
+        this.QUESTIONS.forEach(q => {
+            const points = q.options[answers[q.id]].score;
+            score += points;
+            categoryScores[q.category] = (categoryScores[q.category] || 0) + points;
+        });
+
+        const maxScore = this.QUESTIONS.reduce((sum, q) => sum + Math.max(...q.options.map(o => o.score)), 0);
+        const percent = (score / maxScore) * 100;
+
+        let profile = this.SCORE_BANDS.find(band => percent <= band.maxPercent).profile;
+
+        const horizonQuestion = this.QUESTIONS.find(q => q.id === 'horizon');
+        const horizonCap = this.HORIZON_CAPS[horizonQuestion.options[answers.horizon].score];
+        if (horizonCap && this.PROFILES.indexOf(profile) > this.PROFILES.indexOf(horizonCap)) {
+            profile = horizonCap;
+        }
+
+        return {
+            success: true,
+            profile: profile,
+            score: score,
+            maxScore: maxScore,
+            percent: Math.round(percent),
+            categoryScores: categoryScores,
+            allocation: Utils.getAssetAllocation(profile)
+        };
+    }
+
+    /**
+     * Pick the more cautious of two profiles
+     */
+    static capProfile(profile, maxProfile) {
+        if (!maxProfile || this.PROFILES.indexOf(maxProfile) === -1) return profile;
+        return this.PROFILES.indexOf(profile) > this.PROFILES.indexOf(maxProfile) ? maxProfile : profile;
+    }
+
+    /**
+     * Display label for a profile
+     */
+    static getLabel(profile) {
+        const labels = {
+            'conservative': '🟢 Conservative',
+            'moderate': '🟡 Moderate',
+            'growth': '🟠 Growth',
+            'aggressive': '🔴 Aggressive'
+        };
+        return labels[profile] || 'Not assessed';
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.RiskProfiler = RiskProfiler;
+}
+
+// For Node.js/SSR
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RiskProfiler;
+}
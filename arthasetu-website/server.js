@@ -0,0 +1,1013 @@
+/**
+ * SERVER.JS
+ * Small Node backend for Arthasetu accounts (no external packages or services)
+ * Serves the static site and a JSON API under /api; auth.js is the browser client.
+ *
+ * Run: node server.js   (then open http://localhost:3000)
+ * Env: PORT, ARTHASETU_DATA_DIR (default ./data), ARTHASETU_SECRET (token signing key),
+ *      ARTHASETU_ADMIN_EMAILS (comma-separated accounts that get the admin role)
+ *
+ * Store Structure (data/users.json):
+ * { users: [{ name, email, passwordHash, type, disabled, createdAt, lastLoginAt, loginCount,
+ *             sessions: [{ id, createdAt, expiresAt }], riskProfile, riskHistory,
+ *             courseRegistrations: [{ courseId, registeredAt }],
+ *             courseProgress: { [courseId]: { completedLessons: { [lessonId]: isoDate }, quizScores, lastLessonId,
+ *                                             completedCount, totalLessons, percent, courseTitle, startedAt, completedAt } },
+ *             certificates: [{ id, courseId, courseTitle, name, issuedAt }] }] }
+ * - type: 'user' | 'admin'
+ * - passwordHash: "scrypt$<salt>$<hash>" (random 16-byte salt per user)
+ * - Session tokens are HMAC-SHA256 signed { sub, sid, exp }; logout removes the session id,
+ *   so a token stops working even before it expires.
+ *
+ * Content Structure (data/content.json), edited from the admin console:
+ * { faqs: [{ id, question, answer, order }], courses: [{ id, title, summary, status, launchDate }] }
+ *
+ * Quiz answers live in courses.json but are stripped when the file is served; quizzes are graded here.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const PORT = parseInt(process.env.PORT, 10) || 3000;
+const ROOT_DIR = __dirname;
+const DATA_DIR = process.env.ARTHASETU_DATA_DIR || path.join(ROOT_DIR, 'data');
+const SESSION_DAYS = 7;
+const MAX_BODY_BYTES = 1024 * 1024;
+const MIN_PASSWORD_LENGTH = 6;
+const DEFAULT_PASS_PERCENT = 70;
+const ADMIN_EMAILS = (process.env.ARTHASETU_ADMIN_EMAILS || '')
+    .split(',')
+    .map(e => e.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Editable content collections and the fields each item must have
+ */
+const CONTENT_COLLECTIONS = {
+    faqs: ['question', 'answer'],
+    courses: ['title']
+};
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json'
+};
+
+/**
+ * JSON file store
+ * Writes go to a temp file first (flushed to disk, then renamed) so a crash never leaves a half-written store.
+ * A store file that exists but cannot be read stops startup: treating it as empty would let the next
+ * save overwrite every account.
+ */
+class JsonFileStore {
+    constructor(dir, fileName, defaults) {
+        this.file = path.join(dir, fileName);
+        this.defaults = defaults;
+        fs.mkdirSync(dir, { recursive: true });
+        this.data = this.load();
+    }
+
+    load() {
+        let text;
+        try {
+            text = fs.readFileSync(this.file, 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') return this.defaults();
+            throw new Error(`Cannot read ${this.file}: ${e.message}`);
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`${this.file} is not valid JSON (${e.message}). Restore it from a backup, or move it aside to start with an empty store.`);
+        }
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new Error(`${this.file} does not hold a JSON object. Restore it from a backup, or move it aside to start with an empty store.`);
+        }
+
+        return { ...this.defaults(), ...parsed };
+    }
+
+    save() {
+        const temp = `${this.file}.tmp`;
+        const fd = fs.openSync(temp, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify(this.data, null, 2));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(temp, this.file);
+    }
+}
+
+/**
+ * User records
+ */
+class UserStore extends JsonFileStore {
+    constructor(dir) {
+        super(dir, 'users.json', () => ({ users: [] }));
+    }
+
+    findByEmail(email) {
+        return this.data.users.find(u => u.email === email) || null;
+    }
+
+    add(user) {
+        this.data.users.push(user);
+        this.save();
+        return user;
+    }
+
+    remove(email) {
+        this.data.users = this.data.users.filter(u => u.email !== email);
+        this.save();
+    }
+}
+
+/**
+ * Site content managed by admins (FAQ entries, courses)
+ */
+class ContentStore extends JsonFileStore {
+    constructor(dir) {
+        super(dir, 'content.json', () => {
+            const empty = {};
+            Object.keys(CONTENT_COLLECTIONS).forEach(name => {
+                empty[name] = [];
+            });
+            return empty;
+        });
+    }
+
+    list(collection) {
+        return this.data[collection] || [];
+    }
+
+    /**
+     * Insert or replace an item (a new id is generated when none is given)
+     */
+    upsert(collection, item) {
+        const items = this.list(collection);
+        const saved = { ...item, id: item.id || crypto.randomBytes(6).toString('hex'), updatedAt: new Date().toISOString() };
+        const index = items.findIndex(i => i.id === saved.id);
+
+        if (index === -1) {
+            items.push(saved);
+        } else {
+            items[index] = { ...items[index], ...saved };
+        }
+
+        this.data[collection] = items;
+        this.save();
+        return index === -1 ? saved : items[index];
+    }
+
+    remove(collection, id) {
+        const before = this.list(collection).length;
+        this.data[collection] = this.list(collection).filter(i => i.id !== id);
+        this.save();
+        return this.data[collection].length < before;
+    }
+}
+
+/**
+ * Password hashing with scrypt and a per-user salt
+ */
+class Passwords {
+    static async hash(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = await scrypt(password, salt, 64);
+        return `scrypt$${salt}$${hash.toString('hex')}`;
+    }
+
+    static async verify(password, stored) {
+        const [scheme, salt, expected] = (stored || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+        const actual = await scrypt(password, salt, 64);
+        const expectedBuffer = Buffer.from(expected, 'hex');
+        return expectedBuffer.length === actual.length && crypto.timingSafeEqual(expectedBuffer, actual);
+    }
+}
+
+/**
+ * Signed session tokens: base64url(payload).base64url(HMAC-SHA256(payload))
+ */
+class Tokens {
+    constructor(secret) {
+        this.secret = secret;
+    }
+
+    sign(payload) {
+        const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+        return `${body}.${this.signature(body)}`;
+    }
+
+    signature(body) {
+        return crypto.createHmac('sha256', this.secret).update(body).digest('base64url');
+    }
+
+    /**
+     * Payload if the signature is valid and the token has not expired, else null
+     */
+    verify(token) {
+        const [body, signature] = (token || '').split('.');
+        if (!body || !signature) return null;
+
+        const expected = Buffer.from(this.signature(body));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+        try {
+            const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+            return payload.exp > Date.now() ? payload : null;
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+/**
+ * Signing secret from the environment, or one generated once and kept in the data directory
+ */
+function loadSecret(dir) {
+    if (process.env.ARTHASETU_SECRET) return process.env.ARTHASETU_SECRET;
+
+    const file = path.join(dir, 'secret.key');
+    try {
+        return fs.readFileSync(file, 'utf8').trim();
+    } catch (e) {
+        const secret = crypto.randomBytes(32).toString('hex');
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(file, secret, { mode: 0o600 });
+        return secret;
+    }
+}
+
+const store = new UserStore(DATA_DIR);
+const content = new ContentStore(DATA_DIR);
+const tokens = new Tokens(loadSecret(DATA_DIR));
+
+// Accounts listed in ARTHASETU_ADMIN_EMAILS are promoted on every start
+if (ADMIN_EMAILS.length > 0) {
+    store.data.users.filter(u => ADMIN_EMAILS.includes(u.email)).forEach(u => {
+        u.type = 'admin';
+    });
+    store.save();
+}
+
+/**
+ * User fields that are safe to send to the browser
+ */
+function publicUser(user) {
+    return {
+        name: user.name,
+        email: user.email,
+        type: user.type,
+        createdAt: user.createdAt,
+        riskProfile: user.riskProfile || null,
+        riskHistory: user.riskHistory || [],
+        courseRegistrations: user.courseRegistrations || [],
+        courseProgress: user.courseProgress || {},
+        certificates: user.certificates || []
+    };
+}
+
+/**
+ * User summary for the admin console (never includes password hashes or session ids)
+ */
+function adminUser(user) {
+    const now = Date.now();
+    return {
+        name: user.name,
+        email: user.email,
+        type: user.type,
+        disabled: !!user.disabled,
+        createdAt: user.createdAt,
+        lastLoginAt: user.lastLoginAt || null,
+        activity: {
+            logins: user.loginCount || 0,
+            activeSessions: (user.sessions || []).filter(s => new Date(s.expiresAt).getTime() > now).length,
+            riskAssessments: (user.riskHistory || []).length,
+            courseRegistrations: (user.courseRegistrations || []).length
+        },
+        courseRegistrations: user.courseRegistrations || []
+    };
+}
+
+/**
+ * Course catalogue file as stored on disk (including quiz answers)
+ */
+function readCatalogue() {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'courses.json'), 'utf8'));
+    } catch (e) {
+        return { courses: [] };
+    }
+}
+
+/**
+ * Find a course in courses.json with admin edits applied (admin-only courses have no lessons)
+ */
+function findCourse(courseId) {
+    const base = (readCatalogue().courses || []).find(c => c.id === courseId);
+    const edits = content.list('courses').find(c => c.id === courseId);
+    if (!base && !edits) return null;
+    return { modules: [], status: 'coming-soon', ...base, ...edits };
+}
+
+/**
+ * Catalogue without quiz answers or explanations, for the browser
+ */
+function publicCatalogue() {
+    const catalogue = readCatalogue();
+    (catalogue.courses || []).forEach(course => {
+        (course.modules || []).forEach(module => {
+            (module.lessons || []).forEach(lesson => {
+                (lesson.questions || []).forEach(question => {
+                    delete question.answer;
+                    delete question.explanation;
+                });
+            });
+        });
+    });
+    return catalogue;
+}
+
+/**
+ * Look up an open course and one of its lessons for a progress route
+ * @returns {object} { course, lesson, lessons } or { error: [status, responseJson] }
+ */
+function findLesson(courseId, lessonId) {
+    const course = findCourse(courseId);
+    if (!course) {
+        return { error: [404, { success: false, error: 'Course not found' }] };
+    }
+    if (course.status !== 'open') {
+        return { error: [403, { success: false, error: 'This course is not open yet' }] };
+    }
+
+    const lessons = course.modules.flatMap(m => m.lessons || []);
+    const lesson = lessons.find(l => l.id === lessonId);
+    if (lessonId !== undefined && !lesson) {
+        return { error: [404, { success: false, error: 'Lesson not found' }] };
+    }
+
+    return { course, lesson, lessons };
+}
+
+/**
+ * Progress record for a course on a user (created on first use)
+ */
+function getProgress(user, course, lessons) {
+    user.courseProgress = user.courseProgress || {};
+    const record = user.courseProgress[course.id] || {
+        completedLessons: {},
+        quizScores: {},
+        lastLessonId: null,
+        startedAt: new Date().toISOString()
+    };
+
+    record.courseTitle = course.title;
+    user.courseProgress[course.id] = record;
+    return refreshProgress(record, lessons);
+}
+
+/**
+ * Recalculate completion totals after a change
+ */
+function refreshProgress(record, lessons) {
+    record.totalLessons = lessons.length;
+    record.completedCount = lessons.filter(l => record.completedLessons[l.id]).length;
+    record.percent = lessons.length ? Math.round((record.completedCount / lessons.length) * 100) : 0;
+    record.completedAt = record.completedCount === lessons.length && lessons.length > 0
+        ? record.completedAt || new Date().toISOString()
+        : null;
+    record.updatedAt = new Date().toISOString();
+    return record;
+}
+
+/**
+ * Short, human-typable certificate id, e.g. AS-7F3A-91C2-4BD0
+ */
+function certificateId() {
+    const hex = crypto.randomBytes(6).toString('hex').toUpperCase();
+    return `AS-${hex.slice(0, 4)}-${hex.slice(4, 8)}-${hex.slice(8, 12)}`;
+}
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Start a session for a user and return its token
+ */
+function createSession(user) {
+    const now = Date.now();
+    user.lastLoginAt = new Date(now).toISOString();
+    user.loginCount = (user.loginCount || 0) + 1;
+
+    const session = {
+        id: crypto.randomBytes(16).toString('hex'),
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + SESSION_DAYS * 86400000).toISOString()
+    };
+
+    // Drop expired sessions while we are here
+    user.sessions = (user.sessions || []).filter(s => new Date(s.expiresAt).getTime() > now);
+    user.sessions.push(session);
+    store.save();
+
+    return tokens.sign({ sub: user.email, sid: session.id, exp: now + SESSION_DAYS * 86400000 });
+}
+
+/**
+ * Resolve the Bearer token to { user, sessionId } (null if missing, invalid or logged out)
+ */
+function authenticate(req) {
+    const header = req.headers.authorization || '';
+    const payload = tokens.verify(header.startsWith('Bearer ') ? header.slice(7) : '');
+    if (!payload) return null;
+
+    const user = store.findByEmail(payload.sub);
+    if (!user || user.disabled || !(user.sessions || []).some(s => s.id === payload.sid)) return null;
+
+    return { user, sessionId: payload.sid };
+}
+
+/**
+ * Random password handed to an admin when they reset a user's password
+ */
+function temporaryPassword() {
+    return crypto.randomBytes(9).toString('base64url');
+}
+
+/**
+ * Look up the user named in an admin route, refusing changes to the admin's own account
+ * @returns {object} { user } or { error: [status, responseJson] }
+ */
+function findTargetUser(params, session) {
+    const user = store.findByEmail(normalizeEmail(params.email));
+    if (!user) {
+        return { error: [404, { success: false, error: 'User not found' }] };
+    }
+    if (user.email === session.user.email) {
+        return { error: [400, { success: false, error: 'Use your own account settings to change your account' }] };
+    }
+    return { user };
+}
+
+/**
+ * API routes: handler(body, session, params, query) returns [status, responseJson]
+ * Paths may contain :params. Routes marked `auth: true` only run with a valid session;
+ * `admin: true` additionally requires the admin role (checked here, not just hidden in the UI).
+ */
+const routes = {
+    'POST /api/signup': {
+        handler: async ({ name, email, password }) => {
+            email = normalizeEmail(email);
+            name = String(name || '').trim();
+
+            if (!name || !email || !password) {
+                return [400, { success: false, error: 'All fields required' }];
+            }
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+                return [400, { success: false, error: 'Please enter a valid email' }];
+            }
+            if (String(password).length < MIN_PASSWORD_LENGTH) {
+                return [400, { success: false, error: `Password must be ${MIN_PASSWORD_LENGTH}+ characters` }];
+            }
+            if (store.findByEmail(email)) {
+                return [409, { success: false, error: 'Email already registered' }];
+            }
+
+            const passwordHash = await Passwords.hash(String(password));
+            // Checked again: another signup for this email may have finished while the password was hashing
+            if (store.findByEmail(email)) {
+                return [409, { success: false, error: 'Email already registered' }];
+            }
+
+            const user = store.add({
+                name,
+                email,
+                passwordHash,
+                type: ADMIN_EMAILS.includes(email) ? 'admin' : 'user',
+                createdAt: new Date().toISOString(),
+                sessions: []
+            });
+
+            return [201, { success: true, token: createSession(user), user: publicUser(user) }];
+        }
+    },
+
+    'POST /api/login': {
+        handler: async ({ email, password }) => {
+            if (!email || !password) {
+                return [400, { success: false, error: 'Email and password required' }];
+            }
+
+            const user = store.findByEmail(normalizeEmail(email));
+            if (!user || !(await Passwords.verify(String(password), user.passwordHash))) {
+                return [401, { success: false, error: 'Invalid email or password' }];
+            }
+            if (user.disabled) {
+                return [403, { success: false, error: 'This account has been disabled. Please contact support.' }];
+            }
+
+            return [200, { success: true, token: createSession(user), user: publicUser(user) }];
+        }
+    },
+
+    'POST /api/logout': {
+        auth: true,
+        handler: async (body, { user, sessionId }) => {
+            user.sessions = user.sessions.filter(s => s.id !== sessionId);
+            store.save();
+            return [200, { success: true }];
+        }
+    },
+
+    'GET /api/me': {
+        auth: true,
+        handler: async (body, { user }) => [200, { success: true, user: publicUser(user) }]
+    },
+
+    'PATCH /api/me': {
+        auth: true,
+        handler: async ({ name }, { user }) => {
+            name = String(name || '').trim();
+            if (!name) {
+                return [400, { success: false, error: 'Name required' }];
+            }
+
+            user.name = name;
+            store.save();
+            return [200, { success: true, user: publicUser(user) }];
+        }
+    },
+
+    'POST /api/password': {
+        auth: true,
+        handler: async ({ currentPassword, newPassword }, { user, sessionId }) => {
+            if (!(await Passwords.verify(String(currentPassword || ''), user.passwordHash))) {
+                return [401, { success: false, error: 'Current password incorrect' }];
+            }
+            if (String(newPassword || '').length < MIN_PASSWORD_LENGTH) {
+                return [400, { success: false, error: `Password must be ${MIN_PASSWORD_LENGTH}+ characters` }];
+            }
+
+            user.passwordHash = await Passwords.hash(String(newPassword));
+            // Sign out every other device that knew the old password
+            user.sessions = user.sessions.filter(s => s.id === sessionId);
+            store.save();
+            return [200, { success: true, message: 'Password changed successfully' }];
+        }
+    },
+
+    'DELETE /api/me': {
+        auth: true,
+        handler: async ({ password }, { user }) => {
+            if (!(await Passwords.verify(String(password || ''), user.passwordHash))) {
+                return [401, { success: false, error: 'Password incorrect' }];
+            }
+
+            store.remove(user.email);
+            return [200, { success: true, message: 'Account deleted' }];
+        }
+    },
+
+    'POST /api/me/risk-profile': {
+        auth: true,
+        handler: async ({ profile, score, maxScore, answers }, { user }) => {
+            if (!profile) {
+                return [400, { success: false, error: 'Risk profile required' }];
+            }
+
+            const entry = { profile, score, maxScore, answers: answers || {}, completedAt: new Date().toISOString() };
+            user.riskProfile = { profile: entry.profile, score: entry.score, completedAt: entry.completedAt };
+            user.riskHistory = [...(user.riskHistory || []), entry];
+            store.save();
+            return [200, { success: true, riskProfile: user.riskProfile, user: publicUser(user) }];
+        }
+    },
+
+    'POST /api/me/courses/:courseId/register': {
+        auth: true,
+        handler: async (body, { user }, { courseId }) => {
+            if (!findCourse(courseId)) {
+                return [404, { success: false, error: 'Course not found' }];
+            }
+
+            const registrations = user.courseRegistrations || [];
+            if (!registrations.some(r => r.courseId === courseId)) {
+                user.courseRegistrations = [...registrations, { courseId, registeredAt: new Date().toISOString() }];
+                store.save();
+            }
+            return [200, { success: true, user: publicUser(user) }];
+        }
+    },
+
+    'DELETE /api/me/courses/:courseId/register': {
+        auth: true,
+        handler: async (body, { user }, { courseId }) => {
+            user.courseRegistrations = (user.courseRegistrations || []).filter(r => r.courseId !== courseId);
+            store.save();
+            return [200, { success: true, user: publicUser(user) }];
+        }
+    },
+
+    'POST /api/me/courses/:courseId/lessons/:lessonId/open': {
+        auth: true,
+        handler: async (body, { user }, { courseId, lessonId }) => {
+            const { course, lessons, error } = findLesson(courseId, lessonId);
+            if (error) return error;
+
+            getProgress(user, course, lessons).lastLessonId = lessonId;
+            store.save();
+            return [200, { success: true, user: publicUser(user) }];
+        }
+    },
+
+    'POST /api/me/courses/:courseId/lessons/:lessonId/complete': {
+        auth: true,
+        handler: async (body, { user }, { courseId, lessonId }) => {
+            const { course, lesson, lessons, error } = findLesson(courseId, lessonId);
+            if (error) return error;
+            if (lesson.type === 'quiz') {
+                return [400, { success: false, error: 'Pass the quiz to complete this lesson' }];
+            }
+
+            const record = getProgress(user, course, lessons);
+            record.completedLessons[lessonId] = record.completedLessons[lessonId] || new Date().toISOString();
+            refreshProgress(record, lessons);
+            store.save();
+            return [200, { success: true, user: publicUser(user) }];
+        }
+    },
+
+    'POST /api/me/courses/:courseId/lessons/:lessonId/quiz': {
+        auth: true,
+        handler: async ({ answers }, { user }, { courseId, lessonId }) => {
+            const { course, lesson, lessons, error } = findLesson(courseId, lessonId);
+            if (error) return error;
+            if (lesson.type !== 'quiz' || !(lesson.questions || []).length) {
+                return [400, { success: false, error: 'This lesson has no quiz' }];
+            }
+
+            const given = Array.isArray(answers) ? answers : [];
+            const correct = lesson.questions.filter((q, i) => given[i] === q.answer).length;
+            const percent = Math.round((correct / lesson.questions.length) * 100);
+            const passPercent = lesson.passPercent || DEFAULT_PASS_PERCENT;
+            const passed = percent >= passPercent;
+
+            const record = getProgress(user, course, lessons);
+            const previous = record.quizScores[lessonId] || { attempts: 0, bestPercent: 0 };
+            record.quizScores[lessonId] = {
+                attempts: previous.attempts + 1,
+                lastPercent: percent,
+                bestPercent: Math.max(previous.bestPercent, percent),
+                passed: previous.passed || passed,
+                lastAttemptAt: new Date().toISOString()
+            };
+            if (passed) {
+                record.completedLessons[lessonId] = record.completedLessons[lessonId] || new Date().toISOString();
+            }
+            refreshProgress(record, lessons);
+            store.save();
+
+            // Correct answers are only revealed once the quiz is passed
+            const results = lesson.questions.map((q, i) => ({
+                correct: given[i] === q.answer,
+                answer: passed ? q.answer : undefined,
+                explanation: passed ? q.explanation : undefined
+            }));
+
+            return [200, { success: true, correct, total: lesson.questions.length, percent, passPercent, passed, results, user: publicUser(user) }];
+        }
+    },
+
+    'POST /api/me/courses/:courseId/certificate': {
+        auth: true,
+        handler: async (body, { user }, { courseId }) => {
+            const { course, lessons, error } = findLesson(courseId);
+            if (error) return error;
+
+            const existing = (user.certificates || []).find(c => c.courseId === courseId);
+            if (existing) {
+                return [200, { success: true, certificate: existing, user: publicUser(user) }];
+            }
+
+            const record = getProgress(user, course, lessons);
+            if (!record.completedAt) {
+                return [400, { success: false, error: `Complete all lessons first (${record.completedCount}/${record.totalLessons} done)` }];
+            }
+
+            const certificate = {
+                id: certificateId(),
+                courseId: course.id,
+                courseTitle: course.title,
+                name: user.name,
+                issuedAt: new Date().toISOString()
+            };
+            user.certificates = [...(user.certificates || []), certificate];
+            store.save();
+            return [201, { success: true, certificate, user: publicUser(user) }];
+        }
+    },
+
+    'GET /api/certificates/:id': {
+        handler: async (body, session, { id }) => {
+            const wanted = id.trim().toUpperCase();
+            for (const user of store.data.users) {
+                const certificate = (user.certificates || []).find(c => c.id === wanted);
+                if (certificate) {
+                    return [200, { success: true, valid: true, certificate }];
+                }
+            }
+            return [404, { success: false, valid: false, error: 'No certificate with this ID' }];
+        }
+    },
+
+    'GET /api/content/:collection': {
+        handler: async (body, session, { collection }) => {
+            if (!CONTENT_COLLECTIONS[collection]) {
+                return [404, { success: false, error: 'Not found' }];
+            }
+            return [200, { success: true, items: content.list(collection) }];
+        }
+    },
+
+    'GET /api/admin/users': {
+        admin: true,
+        handler: async (body, session, params, query) => {
+            const search = (query.get('q') || '').trim().toLowerCase();
+            const users = store.data.users
+                .filter(u => !search || `${u.name} ${u.email}`.toLowerCase().includes(search))
+                .map(adminUser)
+                .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+
+            return [200, { success: true, users, total: store.data.users.length }];
+        }
+    },
+
+    'GET /api/admin/registrations': {
+        admin: true,
+        handler: async () => {
+            const byCourse = {};
+            store.data.users.forEach(user => {
+                (user.courseRegistrations || []).forEach(r => {
+                    byCourse[r.courseId] = byCourse[r.courseId] || [];
+                    byCourse[r.courseId].push({ name: user.name, email: user.email, registeredAt: r.registeredAt });
+                });
+            });
+            return [200, { success: true, registrations: byCourse }];
+        }
+    },
+
+    'PATCH /api/admin/users/:email': {
+        admin: true,
+        handler: async ({ disabled, type }, session, params) => {
+            const { user, error } = findTargetUser(params, session);
+            if (error) return error;
+
+            if (disabled !== undefined) {
+                user.disabled = !!disabled;
+                if (user.disabled) {
+                    user.sessions = [];
+                }
+            }
+            if (type !== undefined) {
+                if (!['user', 'admin'].includes(type)) {
+                    return [400, { success: false, error: 'Role must be user or admin' }];
+                }
+                user.type = type;
+            }
+
+            store.save();
+            return [200, { success: true, user: adminUser(user) }];
+        }
+    },
+
+    'DELETE /api/admin/users/:email': {
+        admin: true,
+        handler: async (body, session, params) => {
+            const { user, error } = findTargetUser(params, session);
+            if (error) return error;
+
+            store.remove(user.email);
+            return [200, { success: true, message: 'Account deleted' }];
+        }
+    },
+
+    'POST /api/admin/users/:email/reset-password': {
+        admin: true,
+        handler: async (body, session, params) => {
+            const { user, error } = findTargetUser(params, session);
+            if (error) return error;
+
+            const password = temporaryPassword();
+            user.passwordHash = await Passwords.hash(password);
+            user.sessions = [];
+            store.save();
+
+            return [200, { success: true, temporaryPassword: password }];
+        }
+    },
+
+    'POST /api/admin/content/:collection': {
+        admin: true,
+        handler: async (item, session, { collection }) => {
+            const required = CONTENT_COLLECTIONS[collection];
+            if (!required) {
+                return [404, { success: false, error: 'Not found' }];
+            }
+
+            const missing = required.filter(field => !String(item[field] || '').trim());
+            if (missing.length > 0) {
+                return [400, { success: false, error: `Missing ${missing.join(', ')}` }];
+            }
+
+            return [200, { success: true, item: content.upsert(collection, item) }];
+        }
+    },
+
+    'DELETE /api/admin/content/:collection/:id': {
+        admin: true,
+        handler: async (body, session, { collection, id }) => {
+            if (!CONTENT_COLLECTIONS[collection] || !content.remove(collection, id)) {
+                return [404, { success: false, error: 'Not found' }];
+            }
+            return [200, { success: true }];
+        }
+    }
+};
+
+/**
+ * Find the route for a request
+ * @returns {object} { route, params } or null
+ */
+function matchRoute(method, pathname) {
+    const parts = pathname.split('/');
+
+    for (const key of Object.keys(routes)) {
+        const [routeMethod, routePath] = key.split(' ');
+        const routeParts = routePath.split('/');
+        if (routeMethod !== method || routeParts.length !== parts.length) continue;
+
+        const params = {};
+        const matches = routeParts.every((part, i) => {
+            if (part.startsWith(':')) {
+                params[part.slice(1)] = decodeURIComponent(parts[i]);
+                return parts[i] !== '';
+            }
+            return part === parts[i];
+        });
+
+        if (matches) return { route: routes[key], params };
+    }
+
+    return null;
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'], 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Read and parse a JSON request body (empty body -> {})
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                const text = Buffer.concat(chunks).toString('utf8');
+                resolve(text ? JSON.parse(text) : {});
+            } catch (e) {
+                reject(new Error('Invalid JSON body'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+async function handleApi(req, res, url) {
+    const match = matchRoute(req.method, url.pathname);
+    if (!match) {
+        sendJson(res, 404, { success: false, error: 'Not found' });
+        return;
+    }
+
+    const { route, params } = match;
+    const needsSession = route.auth || route.admin;
+    const session = needsSession ? authenticate(req) : null;
+    if (needsSession && !session) {
+        sendJson(res, 401, { success: false, error: 'Not logged in' });
+        return;
+    }
+    if (route.admin && session.user.type !== 'admin') {
+        sendJson(res, 403, { success: false, error: 'Admin access required' });
+        return;
+    }
+
+    try {
+        const body = await readBody(req);
+        const [status, data] = await route.handler(body, session, params, url.searchParams);
+        sendJson(res, status, data);
+    } catch (e) {
+        sendJson(res, 400, { success: false, error: e.message });
+    }
+}
+
+/**
+ * Serve site files; the data directory, dotfiles and this server are never served
+ */
+function serveStatic(res, pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (e) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+
+    const relative = path.normalize(decoded).replace(/^([/\\])+/, '') || 'index.html';
+    const file = path.join(ROOT_DIR, relative);
+    const blocked = !file.startsWith(ROOT_DIR + path.sep) ||
+        file.startsWith(path.resolve(DATA_DIR) + path.sep) ||
+        relative.split(path.sep).some(part => part.startsWith('.')) ||
+        relative === 'server.js';
+
+    if (blocked) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+
+    if (relative === 'courses.json') {
+        sendJson(res, 200, publicCatalogue());
+        return;
+    }
+
+    fs.readFile(file, (err, content) => {
+        if (err) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    let url;
+    try {
+        url = new URL(req.url, 'http://localhost');
+    } catch (e) {
+        // e.g. "GET //[ HTTP/1.1": not a valid URL, and must not take the server down
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+
+    if (url.pathname.startsWith('/api/')) {
+        handleApi(req, res, url).catch(() => sendJson(res, 400, { success: false, error: 'Bad request' }));
+    } else {
+        serveStatic(res, url.pathname);
+    }
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Arthasetu running at http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { server, routes, store, content, Passwords, Tokens };
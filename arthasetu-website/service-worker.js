@@ -0,0 +1,143 @@
+/**
+ * SERVICE-WORKER.JS
+ * Offline support: precaches the pages, scripts and Chart.js so the calculators and saved data work with no network
+ * Registered by pwa.js, which also shows the "update available" prompt
+ *
+ * Caching:
+ * - Pages and scripts: cache first from the precache, so every page runs against the same release
+ * - courses.json: network first (the catalogue is edited from the admin console), cached copy offline
+ * - Chart.js is served from vendor/ (a copy of the 3.9.1 release) and precached with the scripts
+ * - Other GET requests (images, files added later): cache first, saved on first use
+ * - /api/ requests: never cached
+ * - Pages that are not cached fall back to offline.html
+ *
+ * Bump CACHE_VERSION with every release: the browser installs the new worker in the background,
+ * and it takes over only when the user accepts the update prompt (SKIP_WAITING message).
+ */
+
+const CACHE_VERSION = 'arthasetu-v2';
+const CACHE_PREFIX = 'arthasetu-';
+const OFFLINE_PAGE = 'offline.html';
+
+const NETWORK_FIRST = ['courses.json'];
+
+const PRECACHE = [
+    './',
+    'index.html',
+    'wealth-strategy.html',
+    'portfolio-management.html',
+    'fund-choosing.html',
+    'dashboard.html',
+    'learn.html',
+    'certificate.html',
+    'admin.html',
+    OFFLINE_PAGE,
+    'manifest.webmanifest',
+    'icon.svg',
+    'courses.json',
+    'vendor/chart.min.js',
+    'pwa.js',
+    'storage.js',
+    'auth.js',
+    'utils.js',
+    'courses.js',
+    'lesson-player.js',
+    'risk-profiler.js',
+    'sip-calculator-accurate.js',
+    'sip-simulator.js',
+    'goal-planner.js',
+    'retirement-planner.js',
+    'loan-calculator.js',
+    'fixed-income.js',
+    'tax-engine.js',
+    'tax-harvester.js',
+    'budget-tracker.js',
+    'holdings-tracker.js',
+    'nav-importer.js',
+    'net-worth.js',
+    'rebalancer.js',
+    'fund-metrics.js',
+    'fund-scorer.js',
+    'fund-comparator.js',
+    'watchlist-manager.js',
+    'data-backup.js',
+    'dashboard.js',
+    'admin.js'
+];
+
+self.addEventListener('install', event => {
+    // Cached one by one: a file that fails to load is then missing offline, instead of stopping the whole install
+    event.waitUntil(caches.open(CACHE_VERSION).then(cache => Promise.all(PRECACHE.map(url => cache.add(url).catch(error => {
+        console.error(`Could not precache ${url}`, error);
+    })))));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_VERSION)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    if (request.method !== 'GET' || !url.protocol.startsWith('http') || (sameOrigin && url.pathname.startsWith('/api/'))) return;
+
+    if (sameOrigin && NETWORK_FIRST.some(file => url.pathname.endsWith('/' + file))) {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * Cached copy, else the network (saving the response); pages with nothing cached get the offline page
+ * Query strings are ignored when matching, so learn.html?course=... uses the cached learn.html.
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_VERSION);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        // Opaque (no-cors) responses have status 0 but are still worth keeping, e.g. the logo image
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        if (request.mode === 'navigate') {
+            return cache.match(OFFLINE_PAGE);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Network, refreshing the cached copy; the cached copy when offline
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_VERSION);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
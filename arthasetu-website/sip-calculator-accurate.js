@@ -1,202 +1,352 @@
-/**
- * ACCURATE SIP CALCULATION
- * 
- * Correct Formula for SIP (Systematic Investment Plan)
- * 
- * FORWARD (SIP to Future Value):
- * FV = P × [((1 + r)^n - 1) / r] × (1 + r)
- * 
- * Where:
- * FV = Future Value
- * P = Monthly SIP amount
- * r = Monthly interest rate (annual rate / 12 / 100)
- * n = Number of months
- * (1 + r) multiplier at end = accounts for beginning-of-period payments
- * 
- * REVERSE (Goal to Required SIP):
- * P = FV / [((1 + r)^n - 1) / r] × (1 + r)
- * 
- * Example Verification:
- * SIP = ₹10,000/month
- * Years = 20 (240 months)
- * Annual Rate = 12% (Monthly = 1% = 0.01)
- * 
- * Step 1: Calculate monthly rate
- * r = 12 / 12 / 100 = 0.01
- * 
- * Step 2: Calculate exponent
- * (1 + 0.01)^240 = 1.01^240 = 10.8965
- * 
- * Step 3: Calculate numerator
- * ((1 + 0.01)^240 - 1) = (10.8965 - 1) = 9.8965
- * 
- * Step 4: Divide by monthly rate
- * 9.8965 / 0.01 = 989.65
- * 
- * Step 5: Multiply by (1 + r) for beginning of period
- * 989.65 × 1.01 = 999.35
- * 
- * Step 6: Multiply by SIP amount
- * FV = 10,000 × 999.35 = 99,93,500 (approximately ₹1 Crore)
- */
-
-class SIPCalculator {
-    /**
-     * Calculate future value of SIP (Forward Calculation)
-     * @param {number} monthlyAmount - Monthly SIP amount in rupees
-     * @param {number} years - Investment period in years
-     * @param {number} annualRate - Expected annual return percentage (e.g., 12 for 12%)
-     * @returns {object} { futureValue, principal, gains, gainPercent }
-     */
-    static calculateForwardSIP(monthlyAmount, years, annualRate) {
-        // Convert annual rate to monthly rate (as decimal)
-        const monthlyRate = annualRate / 12 / 100;
-        
-        // Total number of months
-        const months = years * 12;
-        
-        // Total principal invested
-        const principal = monthlyAmount * months;
-        
-        // FV Formula: P × [((1 + r)^n - 1) / r] × (1 + r)
-        // This assumes investment at beginning of each period
-        const numerator = Math.pow(1 + monthlyRate, months) - 1;
-        const futureValue = monthlyAmount * (numerator / monthlyRate) * (1 + monthlyRate);
-        
-        // Calculate gains
-        const gains = futureValue - principal;
-        const gainPercent = (gains / futureValue) * 100;
-        
-        return {
-            futureValue: Math.round(futureValue),
-            principal: Math.round(principal),
-            gains: Math.round(gains),
-            gainPercent: gainPercent.toFixed(1),
-            monthlyRate: monthlyRate,
-            months: months
-        };
-    }
-
-    /**
-     * Calculate required SIP amount for a goal (Reverse Calculation)
-     * @param {number} goalAmount - Target wealth amount in rupees
-     * @param {number} years - Time available in years
-     * @param {number} annualRate - Expected annual return percentage
-     * @returns {object} { monthlySIP, totalInvested, totalGains, gainPercent }
-     */
-    static calculateReverseSIP(goalAmount, years, annualRate) {
-        // Convert annual rate to monthly rate (as decimal)
-        const monthlyRate = annualRate / 12 / 100;
-        
-        // Total number of months
-        const months = years * 12;
-        
-        // Reverse FV Formula: P = FV / [((1 + r)^n - 1) / r] × (1 + r)
-        const numerator = Math.pow(1 + monthlyRate, months) - 1;
-        const divisor = (numerator / monthlyRate) * (1 + monthlyRate);
-        const monthlySIP = goalAmount / divisor;
-        
-        // Calculate total invested and gains
-        const totalInvested = monthlySIP * months;
-        const totalGains = goalAmount - totalInvested;
-        const gainPercent = (totalGains / goalAmount) * 100;
-        
-        return {
-            monthlySIP: Math.round(monthlySIP),
-            totalInvested: Math.round(totalInvested),
-            totalGains: Math.round(totalGains),
-            gainPercent: gainPercent.toFixed(1),
-            monthlyRate: monthlyRate,
-            months: months
-        };
-    }
-
-    /**
-     * Verify calculation accuracy
-     * Used for testing
-     */
-    static verifyCalculation(monthlyAmount, years, annualRate) {
-        const forward = this.calculateForwardSIP(monthlyAmount, years, annualRate);
-        
-        // Verify: If we reach FV and invest in reverse, should get back monthly amount
-        const reverse = this.calculateReverseSIP(forward.futureValue, years, annualRate);
-        
-        const match = Math.abs(reverse.monthlySIP - monthlyAmount) < 1; // Allow ₹1 variance
-        
-        return {
-            forward,
-            reverse,
-            isAccurate: match,
-            variance: Math.abs(reverse.monthlySIP - monthlyAmount)
-        };
-    }
-
-    /**
-     * Generate SIP projection table (month by month)
-     */
-    static generateProjectionTable(monthlyAmount, years, annualRate, interval = 12) {
-        const monthlyRate = annualRate / 12 / 100;
-        const months = years * 12;
-        const table = [];
-        
-        for (let m = interval; m <= months; m += interval) {
-            const numerator = Math.pow(1 + monthlyRate, m) - 1;
-            const fv = monthlyAmount * (numerator / monthlyRate) * (1 + monthlyRate);
-            const principal = monthlyAmount * m;
-            const gains = fv - principal;
-            
-            table.push({
-                month: m,
-                year: (m / 12).toFixed(1),
-                principal: Math.round(principal),
-                gains: Math.round(gains),
-                futureValue: Math.round(fv)
-            });
-        }
-        
-        return table;
-    }
-}
-
-// Test and verify accuracy
-console.log("=== SIP CALCULATION VERIFICATION ===\n");
-
-// Test Case 1: ₹10,000/month for 20 years at 12%
-const test1 = SIPCalculator.calculateForwardSIP(10000, 20, 12);
-console.log("Test 1: ₹10,000/month × 20 years @ 12% p.a.");
-console.log("Future Value:", test1.futureValue);
-console.log("Principal:", test1.principal);
-console.log("Gains:", test1.gains);
-console.log("Gain %:", test1.gainPercent + "%\n");
-
-// Test Case 2: Reverse - Goal of ₹1 Crore
-const test2 = SIPCalculator.calculateReverseSIP(10000000, 20, 12);
-console.log("Test 2: Goal ₹1,00,00,000 in 20 years @ 12% p.a.");
-console.log("Required Monthly SIP:", test2.monthlySIP);
-console.log("Total Invested:", test2.totalInvested);
-console.log("Total Gains:", test2.totalGains);
-console.log("Gain %:", test2.gainPercent + "%\n");
-
-// Test Case 3: Verification
-const test3 = SIPCalculator.verifyCalculation(10000, 20, 12);
-console.log("Test 3: Verification Check");
-console.log("Forward SIP Result:", test3.forward.futureValue);
-console.log("Reverse SIP Needed:", test3.reverse.monthlySIP);
-console.log("Match (should be close):", test3.isAccurate);
-console.log("Variance:", test3.variance.toFixed(2) + " rupees\n");
-
-// Generate projection table
-console.log("=== PROJECTION TABLE (Yearly) ===");
-const projection = SIPCalculator.generateProjectionTable(10000, 20, 12, 12);
-projection.forEach(row => {
-    console.log(`Year ${row.year}: Principal ₹${row.principal.toLocaleString()} | Gains ₹${row.gains.toLocaleString()} | Total ₹${row.futureValue.toLocaleString()}`);
-});
-
-// Export for use in HTML
-if (typeof window !== 'undefined') {
-    window.SIPCalculator = SIPCalculator;
-}
-
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = SIPCalculator;
+/**
+ * ACCURATE SIP CALCULATION
+ * 
+ * Correct Formula for SIP (Systematic Investment Plan)
+ * 
+ * FORWARD (SIP to Future Value):
+ * FV = P × [((1 + r)^n - 1) / r] × (1 + r)
+ * 
+ * Where:
+ * FV = Future Value
+ * P = Monthly SIP amount
+ * r = Monthly interest rate (annual rate / 12 / 100)
+ * n = Number of months
+ * (1 + r) multiplier at end = accounts for beginning-of-period payments
+ * 
+ * REVERSE (Goal to Required SIP):
+ * P = FV / [((1 + r)^n - 1) / r] × (1 + r)
+ * 
+ * Example Verification:
+ * SIP = ₹10,000/month
+ * Years = 20 (240 months)
+ * Annual Rate = 12% (Monthly = 1% = 0.01)
+ * 
+ * Step 1: Calculate monthly rate
+ * r = 12 / 12 / 100 = 0.01
+ * 
+ * Step 2: Calculate exponent
+ * (1 + 0.01)^240 = 1.01^240 = 10.8965
+ * 
+ * Step 3: Calculate numerator
+ * ((1 + 0.01)^240 - 1) = (10.8965 - 1) = 9.8965
+ * 
+ * Step 4: Divide by monthly rate
+ * 9.8965 / 0.01 = 989.65
+ * 
+ * Step 5: Multiply by (1 + r) for beginning of period
+ * 989.65 × 1.01 = 999.35
+ * 
+ * Step 6: Multiply by SIP amount
+ * FV = 10,000 × 999.35 = 99,93,500 (approximately ₹1 Crore)
+ */
+
+class SIPCalculator {
+    /**
+     * Default planning options
+     * stepUp        - Annual SIP increase (percentage or rupee amount, see stepUpType)
+     * stepUpType    - 'percent' (10 = +10% every year) or 'amount' (1000 = +₹1,000 every year)
+     * lumpSum       - One-time amount invested at the start
+     * inflationRate - Annual inflation percentage used for today's-money (real) values
+     */
+    static DEFAULT_OPTIONS = {
+        stepUp: 0,
+        stepUpType: 'percent',
+        lumpSum: 0,
+        inflationRate: 0
+    };
+
+    /**
+     * Merge user options with defaults
+     */
+    static normalizeOptions(options = {}) {
+        const merged = { ...this.DEFAULT_OPTIONS, ...options };
+        return {
+            stepUp: Math.max(0, parseFloat(merged.stepUp) || 0),
+            stepUpType: merged.stepUpType === 'amount' ? 'amount' : 'percent',
+            lumpSum: Math.max(0, parseFloat(merged.lumpSum) || 0),
+            inflationRate: parseFloat(merged.inflationRate) || 0
+        };
+    }
+
+    /**
+     * Monthly SIP amount for a given year of the plan (year 0 = first year)
+     */
+    static getSIPForYear(monthlyAmount, yearIndex, options = {}) {
+        const opts = this.normalizeOptions(options);
+        if (opts.stepUpType === 'amount') {
+            return monthlyAmount + opts.stepUp * yearIndex;
+        }
+        return monthlyAmount * Math.pow(1 + opts.stepUp / 100, yearIndex);
+    }
+
+    /**
+     * Convert a future (nominal) amount into today's money
+     * Real Value = FV / (1 + inflation)^years
+     */
+    static toRealValue(amount, years, inflationRate) {
+        if (!inflationRate) return amount;
+        return amount / Math.pow(1 + inflationRate / 100, years);
+    }
+
+    /**
+     * Month-by-month growth of a SIP with step-up and lump sum
+     * Contributions are made at the beginning of each month, same as the closed-form formula.
+     * @returns {Array} [{ month, monthlySIP, principal, futureValue }] - one entry per month
+     */
+    static simulateGrowth(monthlyAmount, years, annualRate, options = {}) {
+        const opts = this.normalizeOptions(options);
+        const monthlyRate = annualRate / 12 / 100;
+        const months = Math.round(years * 12);
+        const schedule = [];
+
+        let value = opts.lumpSum;
+        let principal = opts.lumpSum;
+
+        for (let m = 1; m <= months; m++) {
+            const sip = this.getSIPForYear(monthlyAmount, Math.floor((m - 1) / 12), opts);
+            value = (value + sip) * (1 + monthlyRate);
+            principal += sip;
+            schedule.push({ month: m, monthlySIP: sip, principal, futureValue: value });
+        }
+
+        return schedule;
+    }
+
+    /**
+     * Check whether options change the plain flat-SIP result
+     */
+    static hasPlanningOptions(options = {}) {
+        const opts = this.normalizeOptions(options);
+        return opts.stepUp > 0 || opts.lumpSum > 0;
+    }
+
+    /**
+     * Calculate future value of SIP (Forward Calculation)
+     * @param {number} monthlyAmount - Monthly SIP amount in rupees (first year, if stepping up)
+     * @param {number} years - Investment period in years
+     * @param {number} annualRate - Expected annual return percentage (e.g., 12 for 12%)
+     * @param {object} options - { stepUp, stepUpType, lumpSum, inflationRate } (see DEFAULT_OPTIONS)
+     * @returns {object} { futureValue, principal, gains, gainPercent, realValue, finalMonthlySIP }
+     */
+    static calculateForwardSIP(monthlyAmount, years, annualRate, options = {}) {
+        const opts = this.normalizeOptions(options);
+
+        // Convert annual rate to monthly rate (as decimal)
+        const monthlyRate = annualRate / 12 / 100;
+        
+        // Total number of months
+        const months = years * 12;
+        
+        let principal;
+        let futureValue;
+        let finalMonthlySIP = monthlyAmount;
+
+        if (this.hasPlanningOptions(opts) || monthlyRate === 0) {
+            // Step-up / lump sum: no single closed form, so grow month by month
+            const schedule = this.simulateGrowth(monthlyAmount, years, annualRate, opts);
+            const last = schedule[schedule.length - 1] || { principal: opts.lumpSum, futureValue: opts.lumpSum, monthlySIP: monthlyAmount };
+            principal = last.principal;
+            futureValue = last.futureValue;
+            finalMonthlySIP = last.monthlySIP;
+        } else {
+            // Total principal invested
+            principal = monthlyAmount * months;
+
+            // FV Formula: P × [((1 + r)^n - 1) / r] × (1 + r)
+            // This assumes investment at beginning of each period
+            const numerator = Math.pow(1 + monthlyRate, months) - 1;
+            futureValue = monthlyAmount * (numerator / monthlyRate) * (1 + monthlyRate);
+        }
+        
+        // Calculate gains
+        const gains = futureValue - principal;
+        const gainPercent = futureValue > 0 ? (gains / futureValue) * 100 : 0;
+
+        // Purchasing power of the corpus in today's rupees
+        const realValue = this.toRealValue(futureValue, years, opts.inflationRate);
+        
+        return {
+            futureValue: Math.round(futureValue),
+            principal: Math.round(principal),
+            gains: Math.round(gains),
+            gainPercent: gainPercent.toFixed(1),
+            realValue: Math.round(realValue),
+            lumpSum: Math.round(opts.lumpSum),
+            finalMonthlySIP: Math.round(finalMonthlySIP),
+            monthlyRate: monthlyRate,
+            months: months
+        };
+    }
+
+    /**
+     * Calculate required SIP amount for a goal (Reverse Calculation)
+     * With inflationRate set, goalAmount is read as today's money and inflated to the target year.
+     * With step-up, the result is the first-year SIP (it then rises every year).
+     * @param {number} goalAmount - Target wealth amount in rupees
+     * @param {number} years - Time available in years
+     * @param {number} annualRate - Expected annual return percentage
+     * @param {object} options - { stepUp, stepUpType, lumpSum, inflationRate } (see DEFAULT_OPTIONS)
+     * When the lump sum alone reaches the goal, monthlySIP is 0, sipNeeded is false and corpus is what the lump sum grows to.
+     * @returns {object} { monthlySIP, sipNeeded, totalInvested, totalGains, gainPercent, nominalGoal, corpus, realGoal }
+     */
+    static calculateReverseSIP(goalAmount, years, annualRate, options = {}) {
+        const opts = this.normalizeOptions(options);
+
+        // Convert annual rate to monthly rate (as decimal)
+        const monthlyRate = annualRate / 12 / 100;
+        
+        // Total number of months
+        const months = years * 12;
+
+        // Goal in future rupees
+        const nominalGoal = opts.inflationRate
+            ? goalAmount * Math.pow(1 + opts.inflationRate / 100, years)
+            : goalAmount;
+        
+        let monthlySIP;
+        let totalInvested;
+        let finalMonthlySIP;
+        let corpus = nominalGoal;
+
+        if (this.hasPlanningOptions(opts) || monthlyRate === 0) {
+            // Corpus is linear in the starting SIP: FV(P) = FV(0) + P × [FV(1) - FV(0)]
+            const base = this.calculateExactFutureValue(0, years, annualRate, opts);
+            const perRupee = this.calculateExactFutureValue(1, years, annualRate, opts) - base;
+            monthlySIP = perRupee > 0 ? Math.max(0, (nominalGoal - base) / perRupee) : 0;
+
+            const schedule = this.simulateGrowth(monthlySIP, years, annualRate, opts);
+            const last = schedule[schedule.length - 1];
+            totalInvested = last ? last.principal : opts.lumpSum;
+            finalMonthlySIP = last ? last.monthlySIP : monthlySIP;
+            // A lump sum that beats the goal on its own grows past it
+            corpus = last ? last.futureValue : opts.lumpSum;
+        } else {
+            // Reverse FV Formula: P = FV / [((1 + r)^n - 1) / r] × (1 + r)
+            const numerator = Math.pow(1 + monthlyRate, months) - 1;
+            const divisor = (numerator / monthlyRate) * (1 + monthlyRate);
+            monthlySIP = nominalGoal / divisor;
+            totalInvested = monthlySIP * months;
+            finalMonthlySIP = monthlySIP;
+        }
+        
+        // Calculate total gains on the corpus actually reached
+        const totalGains = corpus - totalInvested;
+        const gainPercent = corpus > 0 ? (totalGains / corpus) * 100 : 0;
+        
+        return {
+            monthlySIP: Math.round(monthlySIP),
+            totalInvested: Math.round(totalInvested),
+            totalGains: Math.round(totalGains),
+            gainPercent: gainPercent.toFixed(1),
+            nominalGoal: Math.round(nominalGoal),
+            corpus: Math.round(corpus),
+            sipNeeded: monthlySIP > 0,
+            realGoal: Math.round(this.toRealValue(nominalGoal, years, opts.inflationRate)),
+            lumpSum: Math.round(opts.lumpSum),
+            finalMonthlySIP: Math.round(finalMonthlySIP),
+            monthlyRate: monthlyRate,
+            months: months
+        };
+    }
+
+    /**
+     * Unrounded corpus for a plan (used by the reverse calculation)
+     */
+    static calculateExactFutureValue(monthlyAmount, years, annualRate, options = {}) {
+        const schedule = this.simulateGrowth(monthlyAmount, years, annualRate, options);
+        return schedule.length ? schedule[schedule.length - 1].futureValue : this.normalizeOptions(options).lumpSum;
+    }
+
+    /**
+     * Verify calculation accuracy
+     * Used for testing
+     */
+    static verifyCalculation(monthlyAmount, years, annualRate, options = {}) {
+        const forward = this.calculateForwardSIP(monthlyAmount, years, annualRate, options);
+        
+        // Verify: If we reach FV and invest in reverse, should get back monthly amount
+        // (inflation is left out so the reverse goal is read in the same nominal rupees)
+        const reverse = this.calculateReverseSIP(forward.futureValue, years, annualRate, { ...options, inflationRate: 0 });
+        
+        const match = Math.abs(reverse.monthlySIP - monthlyAmount) < 1; // Allow ₹1 variance
+        
+        return {
+            forward,
+            reverse,
+            isAccurate: match,
+            variance: Math.abs(reverse.monthlySIP - monthlyAmount)
+        };
+    }
+
+    /**
+     * Generate SIP projection table (month by month)
+     * Each row also carries the SIP being paid at that point and the inflation-adjusted value.
+     */
+    static generateProjectionTable(monthlyAmount, years, annualRate, interval = 12, options = {}) {
+        const opts = this.normalizeOptions(options);
+        const schedule = this.simulateGrowth(monthlyAmount, years, annualRate, opts);
+        const table = [];
+        
+        for (let m = interval; m <= schedule.length; m += interval) {
+            const row = schedule[m - 1];
+            const gains = row.futureValue - row.principal;
+            
+            table.push({
+                month: m,
+                year: (m / 12).toFixed(1),
+                monthlySIP: Math.round(row.monthlySIP),
+                principal: Math.round(row.principal),
+                gains: Math.round(gains),
+                futureValue: Math.round(row.futureValue),
+                realValue: Math.round(this.toRealValue(row.futureValue, m / 12, opts.inflationRate))
+            });
+        }
+        
+        return table;
+    }
+}
+
+// Test and verify accuracy (run directly with `node sip-calculator-accurate.js`; never runs on page load)
+if (typeof require !== 'undefined' && typeof module !== 'undefined' && require.main === module) {
+    console.log("=== SIP CALCULATION VERIFICATION ===\n");
+
+    // Test Case 1: ₹10,000/month for 20 years at 12%
+    const test1 = SIPCalculator.calculateForwardSIP(10000, 20, 12);
+    console.log("Test 1: ₹10,000/month × 20 years @ 12% p.a.");
+    console.log("Future Value:", test1.futureValue);
+    console.log("Principal:", test1.principal);
+    console.log("Gains:", test1.gains);
+    console.log("Gain %:", test1.gainPercent + "%\n");
+
+    // Test Case 2: Reverse - Goal of ₹1 Crore
+    const test2 = SIPCalculator.calculateReverseSIP(10000000, 20, 12);
+    console.log("Test 2: Goal ₹1,00,00,000 in 20 years @ 12% p.a.");
+    console.log("Required Monthly SIP:", test2.monthlySIP);
+    console.log("Total Invested:", test2.totalInvested);
+    console.log("Total Gains:", test2.totalGains);
+    console.log("Gain %:", test2.gainPercent + "%\n");
+
+    // Test Case 3: Verification
+    const test3 = SIPCalculator.verifyCalculation(10000, 20, 12);
+    console.log("Test 3: Verification Check");
+    console.log("Forward SIP Result:", test3.forward.futureValue);
+    console.log("Reverse SIP Needed:", test3.reverse.monthlySIP);
+    console.log("Match (should be close):", test3.isAccurate);
+    console.log("Variance:", test3.variance.toFixed(2) + " rupees\n");
+
+    // Generate projection table
+    console.log("=== PROJECTION TABLE (Yearly) ===");
+    const projection = SIPCalculator.generateProjectionTable(10000, 20, 12, 12);
+    projection.forEach(row => {
+        console.log(`Year ${row.year}: Principal ₹${row.principal.toLocaleString()} | Gains ₹${row.gains.toLocaleString()} | Total ₹${row.futureValue.toLocaleString()}`);
+    });
+}
+
+// Export for use in HTML
+if (typeof window !== 'undefined') {
+    window.SIPCalculator = SIPCalculator;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SIPCalculator;
 }
\ No newline at end of file
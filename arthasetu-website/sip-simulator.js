@@ -0,0 +1,190 @@
+/**
+ * SIP-SIMULATOR.JS
+ * Monte Carlo simulation of SIP outcomes (range of results instead of one fixed-rate number)
+ * Builds on SIPCalculator (sip-calculator-accurate.js): same step-up, lump sum and inflation options,
+ * same beginning-of-month contributions.
+ *
+ * Return models:
+ * - 'normal':    each month's return is drawn from a lognormal distribution averaging `mean` / 12 %
+ *                with yearly volatility `volatility` %
+ * - 'bootstrap': each year's return is drawn at random from `history` (yearly % returns),
+ *                spread evenly over that year's 12 months
+ */
+
+class SIPSimulator {
+    static DEFAULT_OPTIONS = {
+        model: 'normal',
+        mean: 12,
+        volatility: 18,
+        history: null,
+        paths: 5000,
+        seed: 42
+    };
+
+    static MAX_PATHS = 20000;
+
+    /**
+     * Nifty 50 calendar-year price returns, 2000-2024 (%, approximate, dividends excluded)
+     */
+    static NIFTY_HISTORY = [
+        -14.7, -16.2, 3.3, 71.9, 10.7, 36.3, 39.8, 54.8, -51.8, 75.8,
+        17.9, -24.6, 27.7, 6.8, 31.4, -4.1, 3.0, 28.6, 3.2, 12.0,
+        14.9, 24.1, 4.3, 20.0, 8.8
+    ];
+
+    /**
+     * Repeatable pseudo-random generator (mulberry32), so the same inputs give the same chart
+     */
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Standard normal draw (Box-Muller)
+     */
+    static normal(random) {
+        const u = 1 - random();
+        const v = random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    /**
+     * Parse a yearly return series typed by the user ("12, -8.5, 30")
+     */
+    static parseHistory(text) {
+        return String(text || '')
+            .split(/[\s,;]+/)
+            .map(v => parseFloat(v))
+            .filter(v => isFinite(v) && v > -100);
+    }
+
+    /**
+     * Value at a percentile (0-100) of a sorted array, interpolating between neighbours
+     */
+    static percentile(sorted, p) {
+        if (sorted.length === 0) return 0;
+        const index = (p / 100) * (sorted.length - 1);
+        const low = Math.floor(index);
+        const high = Math.ceil(index);
+        return sorted[low] + (sorted[high] - sorted[low]) * (index - low);
+    }
+
+    /**
+     * Function returning the 12 monthly growth factors for one simulated year
+     */
+    static createYearSampler(options, random) {
+        if (options.model === 'bootstrap') {
+            const history = options.history && options.history.length ? options.history : this.NIFTY_HISTORY;
+            return () => {
+                const yearly = history[Math.floor(random() * history.length)];
+                return new Array(12).fill(Math.pow(1 + yearly / 100, 1 / 12));
+            };
+        }
+
+        // Monthly mean is mean / 12 like SIPCalculator, so zero volatility reproduces calculateForwardSIP;
+        // lognormal parameters are chosen to keep that mean and a volatility of volatility / sqrt(12)
+        const growth = 1 + options.mean / 12 / 100;
+        const logVariance = Math.log(1 + Math.pow(options.volatility / 100 / Math.sqrt(12) / growth, 2));
+        const drift = Math.log(growth) - logVariance / 2;
+        const stdDev = Math.sqrt(logVariance);
+
+        return () => Array.from({ length: 12 }, () => Math.exp(drift + stdDev * this.normal(random)));
+    }
+
+    /**
+     * Run the simulation
+     * @param {number} monthlyAmount - Monthly SIP (first year, if stepping up)
+     * @param {number} years - Investment period in years
+     * @param {object} options - SIPCalculator options plus { model, mean, volatility, history, paths, seed, goal, goalYears }
+     * @returns {object} { yearly: [{ year, principal, p10, p25, p50, p75, p90 }], final, goal, deterministic }
+     */
+    static simulate(monthlyAmount, years, options = {}) {
+        const sipOptions = SIPCalculator.normalizeOptions(options);
+        const opts = { ...this.DEFAULT_OPTIONS, ...options };
+        const paths = Math.min(this.MAX_PATHS, Math.max(100, Math.round(opts.paths) || this.DEFAULT_OPTIONS.paths));
+        const totalYears = Math.max(1, Math.round(years));
+        const random = this.createRandom(opts.seed);
+        const sampleYear = this.createYearSampler(opts, random);
+
+        // valuesByYear[y][path] = corpus at the end of year y + 1
+        const valuesByYear = Array.from({ length: totalYears }, () => new Float64Array(paths));
+        const principalByYear = [];
+
+        for (let path = 0; path < paths; path++) {
+            let value = sipOptions.lumpSum;
+            let principal = sipOptions.lumpSum;
+
+            for (let y = 0; y < totalYears; y++) {
+                const sip = SIPCalculator.getSIPForYear(monthlyAmount, y, sipOptions);
+                sampleYear().forEach(factor => {
+                    value = (value + sip) * factor;
+                    principal += sip;
+                });
+                valuesByYear[y][path] = value;
+                if (path === 0) principalByYear.push(principal);
+            }
+        }
+
+        const yearly = valuesByYear.map((values, y) => {
+            const sorted = values.sort();
+            return {
+                year: y + 1,
+                principal: Math.round(principalByYear[y]),
+                p10: Math.round(this.percentile(sorted, 10)),
+                p25: Math.round(this.percentile(sorted, 25)),
+                p50: Math.round(this.percentile(sorted, 50)),
+                p75: Math.round(this.percentile(sorted, 75)),
+                p90: Math.round(this.percentile(sorted, 90))
+            };
+        });
+
+        const final = yearly[yearly.length - 1];
+        const result = {
+            model: opts.model,
+            paths: paths,
+            years: totalYears,
+            yearly: yearly,
+            final: {
+                ...final,
+                realP10: Math.round(SIPCalculator.toRealValue(final.p10, totalYears, sipOptions.inflationRate)),
+                realP50: Math.round(SIPCalculator.toRealValue(final.p50, totalYears, sipOptions.inflationRate)),
+                realP90: Math.round(SIPCalculator.toRealValue(final.p90, totalYears, sipOptions.inflationRate))
+            },
+            deterministic: opts.model === 'normal'
+                ? SIPCalculator.calculateForwardSIP(monthlyAmount, totalYears, opts.mean, sipOptions).futureValue
+                : null,
+            goal: null
+        };
+
+        if (opts.goal > 0) {
+            // Goal is checked at its own horizon when that falls inside the plan, else at the end
+            const goalYear = Math.min(totalYears, Math.max(1, Math.round(opts.goalYears || totalYears)));
+            const values = valuesByYear[goalYear - 1];
+            const reached = values.reduce((count, v) => count + (v >= opts.goal ? 1 : 0), 0);
+            result.goal = {
+                amount: Math.round(opts.goal),
+                year: goalYear,
+                probability: (reached / paths) * 100
+            };
+        }
+
+        return result;
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.SIPSimulator = SIPSimulator;
+}
+
+// For Node.js/SSR
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SIPSimulator;
+}
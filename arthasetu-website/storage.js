@@ -0,0 +1,424 @@
+/**
+ * STORAGE.JS
+ * Versioned storage for everything Arthasetu keeps in the browser
+ * Load before auth.js: auth.js, nav-importer.js and the page scripts read and write through `storage`
+ *
+ * Record Structure (one per key, saved as JSON):
+ * { version, data, savedAt }
+ * - version: schema version of `data` for the record type (see MIGRATIONS); older records are
+ *   migrated when read and written back
+ * - Values saved before this module existed have no envelope and count as version 0
+ * - Record type = the part of the key after "arthasetu_" up to the next "_"
+ *   (arthasetu_budget_<email> is a 'budget' record)
+ *
+ * Records that cannot be read (bad JSON, failed migration, saved by a newer version) are never
+ * replaced by an empty value: they are listed in getIssues(), announced with an
+ * 'arthasetu:storage-issue' event and copied to "<key>.corrupt" before anything overwrites them.
+ *
+ * Backends: 'localStorage' (default), 'indexedDB' (all records are cached in memory and written
+ * through; wait for `storage.ready` before reading) and 'memory' (nothing persists; used when the
+ * browser blocks storage). The chosen backend is remembered under BACKEND_KEY in localStorage.
+ */
+
+class StorageManager {
+    static PREFIX = 'arthasetu_';
+    static BACKEND_KEY = 'arthasetu_storage_backend';
+    static CORRUPT_SUFFIX = '.corrupt';
+    static BACKENDS = ['localStorage', 'indexedDB', 'memory'];
+    static DB_NAME = 'arthasetu';
+    static DB_STORE = 'records';
+
+    /**
+     * Schema migrations per record type
+     * MIGRATIONS[type][n] upgrades a version-n record to version n + 1, so the current version is the
+     * length of the list. Step 0 receives the raw string saved before versioning.
+     * Types without an entry use DEFAULT_MIGRATIONS.
+     */
+    static MIGRATIONS = {
+        // The session token was saved as a bare string
+        token: [raw => raw],
+        // Per-user tool data was wrapped as { <field>, savedAt }
+        portfolio: [raw => JSON.parse(raw).data],
+        goals: [raw => JSON.parse(raw).plan],
+        networth: [raw => JSON.parse(raw).data],
+        budget: [raw => JSON.parse(raw).data],
+        // First a single flat list ({ funds }), later named watchlists (see watchlist-manager.js)
+        funds: [raw => {
+            const stored = JSON.parse(raw);
+            if (Array.isArray(stored.watchlists)) {
+                return { watchlists: stored.watchlists, activeId: stored.activeId, history: stored.history || [] };
+            }
+            return {
+                watchlists: [{ id: 'default', name: 'My Watchlist', funds: stored.funds || [], createdAt: stored.savedAt, updatedAt: stored.savedAt }],
+                activeId: 'default',
+                history: []
+            };
+        }]
+    };
+
+    static DEFAULT_MIGRATIONS = [raw => JSON.parse(raw)];
+
+    constructor() {
+        this.issues = [];
+        this.backend = StorageManager.createLocalBackend() || StorageManager.createMemoryBackend();
+        this.ready = Promise.resolve();
+
+        if (this.backend.name === 'localStorage' && this.backend.getItem(StorageManager.BACKEND_KEY) === 'indexedDB') {
+            this.ready = StorageManager.openIndexedDB(error => this.report(StorageManager.DB_NAME, error.message || String(error)))
+                .then(backend => { this.backend = backend; })
+                .catch(error => this.report(StorageManager.DB_NAME, `IndexedDB unavailable, using localStorage: ${error.message || error}`));
+        }
+    }
+
+    /**
+     * localStorage backend, or null when the browser blocks it (private mode, disabled cookies)
+     */
+    static createLocalBackend() {
+        try {
+            const store = window.localStorage;
+            store.setItem('arthasetu_storage_test', '1');
+            store.removeItem('arthasetu_storage_test');
+
+            return {
+                name: 'localStorage',
+                getItem: key => store.getItem(key),
+                setItem: (key, value) => store.setItem(key, value),
+                removeItem: key => store.removeItem(key),
+                keys: () => Array.from({ length: store.length }, (v, i) => store.key(i))
+            };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * In-memory backend (lost on reload)
+     */
+    static createMemoryBackend() {
+        const records = new Map();
+        return {
+            name: 'memory',
+            getItem: key => (records.has(key) ? records.get(key) : null),
+            setItem: (key, value) => { records.set(key, String(value)); },
+            removeItem: key => { records.delete(key); },
+            keys: () => [...records.keys()]
+        };
+    }
+
+    /**
+     * IndexedDB backend: loads every record into memory, then writes through in the background
+     * flush() resolves once the writes so far are done (to the first error, if any).
+     * @param {Function} onError - called with errors from background writes (e.g. quota exceeded)
+     * @returns {Promise<object>} Backend
+     */
+    static openIndexedDB(onError) {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(this.DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(this.DB_STORE);
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const db = request.result;
+                const backend = this.createMemoryBackend();
+                const cache = { getItem: backend.getItem, setItem: backend.setItem, removeItem: backend.removeItem };
+                let writes = [];
+
+                const write = (key, apply) => {
+                    const tx = db.transaction(this.DB_STORE, 'readwrite');
+                    apply(tx.objectStore(this.DB_STORE));
+                    const pending = new Promise(done => {
+                        tx.oncomplete = () => done(null);
+                        tx.onabort = () => {
+                            const error = tx.error || new Error(`Could not save ${key}`);
+                            onError(error);
+                            done(error);
+                        };
+                    });
+                    writes.push(pending);
+                    // Only failed writes wait for flush()
+                    pending.then(error => {
+                        if (!error) writes = writes.filter(p => p !== pending);
+                    });
+                };
+
+                backend.name = 'indexedDB';
+                backend.flush = () => {
+                    const pending = writes;
+                    writes = [];
+                    return Promise.all(pending).then(errors => errors.find(Boolean) || null);
+                };
+                backend.setItem = (key, value) => {
+                    cache.setItem(key, value);
+                    write(key, store => store.put(String(value), key));
+                };
+                backend.removeItem = key => {
+                    cache.removeItem(key);
+                    write(key, store => store.delete(key));
+                };
+
+                const tx = db.transaction(this.DB_STORE, 'readonly');
+                const cursor = tx.objectStore(this.DB_STORE).openCursor();
+                cursor.onsuccess = () => {
+                    if (!cursor.result) return;
+                    cache.setItem(cursor.result.key, cursor.result.value);
+                    cursor.result.continue();
+                };
+                tx.oncomplete = () => resolve(backend);
+                tx.onerror = () => reject(tx.error);
+            };
+        });
+    }
+
+    /**
+     * Record type of a key ('arthasetu_funds_a@b.com' -> 'funds')
+     */
+    static getType(key) {
+        return key.slice(this.PREFIX.length).split('_')[0];
+    }
+
+    /**
+     * Current schema version of a record type
+     */
+    static getVersion(type) {
+        return (this.MIGRATIONS[type] || this.DEFAULT_MIGRATIONS).length;
+    }
+
+    /**
+     * Browser refused the write because storage is full
+     */
+    static isQuotaError(error) {
+        return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 || error.code === 1014);
+    }
+
+    /**
+     * Read a record, migrating it to the current version
+     * @returns {object} { success, data, version, savedAt } ({ success, data: null } when missing)
+     *                   or { success: false, error } when the record is unreadable
+     */
+    read(key) {
+        const raw = this.backend.getItem(key);
+        if (raw === null || raw === undefined) {
+            return { success: true, data: null, version: null, savedAt: null };
+        }
+
+        const type = StorageManager.getType(key);
+        const migrations = StorageManager.MIGRATIONS[type] || StorageManager.DEFAULT_MIGRATIONS;
+        let record;
+
+        try {
+            const parsed = JSON.parse(raw);
+            record = parsed && typeof parsed === 'object' && Number.isInteger(parsed.version) && 'data' in parsed
+                ? parsed
+                : null;
+        } catch (e) {
+            record = null;
+        }
+
+        try {
+            let version = record ? record.version : 0;
+            let data = record ? record.data : raw;
+
+            if (version > migrations.length) {
+                throw new Error(`saved by a newer version of Arthasetu (schema v${version}, this page knows v${migrations.length})`);
+            }
+
+            for (; version < migrations.length; version++) {
+                data = migrations[version](data);
+            }
+
+            if (!record || record.version < migrations.length) {
+                // Keep the upgraded copy; a failed write-back is harmless, it just migrates again next time
+                this.write(key, data, record ? record.savedAt : new Date().toISOString());
+            }
+
+            return { success: true, data: data, version: version, savedAt: record ? record.savedAt : null };
+        } catch (e) {
+            this.backup(key, raw);
+            const error = this.report(key, e.message || String(e));
+            return { success: false, error: error };
+        }
+    }
+
+    /**
+     * Data of a record, or `fallback` when it is missing or unreadable (unreadable records are reported)
+     */
+    get(key, fallback = null) {
+        const result = this.read(key);
+        return result.success && result.data !== null ? result.data : fallback;
+    }
+
+    /**
+     * Save a record at the current version of its type
+     * @returns {object} { success } or { success: false, error, quotaExceeded }
+     */
+    set(key, data) {
+        return this.write(key, data, new Date().toISOString());
+    }
+
+    write(key, data, savedAt) {
+        try {
+            this.backend.setItem(key, JSON.stringify({
+                version: StorageManager.getVersion(StorageManager.getType(key)),
+                data: data,
+                savedAt: savedAt
+            }));
+            return { success: true };
+        } catch (e) {
+            if (StorageManager.isQuotaError(e)) {
+                return {
+                    success: false,
+                    quotaExceeded: true,
+                    error: 'Browser storage is full. Clear imported NAV history or switch storage to IndexedDB from your dashboard, then try again.'
+                };
+            }
+            return { success: false, error: `Could not save: ${e.message || e}` };
+        }
+    }
+
+    /**
+     * Delete a record
+     */
+    remove(key) {
+        this.backend.removeItem(key);
+        return { success: true };
+    }
+
+    /**
+     * Keys of all Arthasetu records (without corrupt copies and the backend setting)
+     */
+    keys() {
+        return this.backend.keys().filter(key => key.startsWith(StorageManager.PREFIX) &&
+            key !== StorageManager.BACKEND_KEY && !key.endsWith(StorageManager.CORRUPT_SUFFIX));
+    }
+
+    /**
+     * Delete every Arthasetu record (keeps corrupt copies and the backend setting)
+     */
+    clear() {
+        this.keys().forEach(key => this.backend.removeItem(key));
+        return { success: true };
+    }
+
+    /**
+     * Keep the unreadable value under "<key>.corrupt" so a later save cannot destroy it
+     */
+    backup(key, raw) {
+        try {
+            this.backend.setItem(key + StorageManager.CORRUPT_SUFFIX, raw);
+        } catch (e) {
+            // No room for the copy; the issue is still reported
+        }
+    }
+
+    /**
+     * Record a storage problem and tell the page about it
+     * @returns {string} Message
+     */
+    report(key, message) {
+        const error = `${key}: ${message}`;
+        if (!this.issues.some(issue => issue.key === key && issue.error === error)) {
+            this.issues.push({ key: key, error: error, at: new Date().toISOString() });
+        }
+
+        console.error(`[storage] ${error}`);
+        if (typeof window !== 'undefined' && typeof window.dispatchEvent === 'function' && typeof CustomEvent === 'function') {
+            window.dispatchEvent(new CustomEvent('arthasetu:storage-issue', { detail: { key, error } }));
+        }
+        return error;
+    }
+
+    /**
+     * Problems found since the page loaded: [{ key, error, at }]
+     */
+    getIssues() {
+        return this.issues.slice();
+    }
+
+    /**
+     * Copies of unreadable records: [{ key, raw }]
+     */
+    getCorruptRecords() {
+        return this.backend.keys()
+            .filter(key => key.endsWith(StorageManager.CORRUPT_SUFFIX))
+            .map(key => ({ key: key.slice(0, -StorageManager.CORRUPT_SUFFIX.length), raw: this.backend.getItem(key) }));
+    }
+
+    /**
+     * Delete the copy of an unreadable record
+     */
+    discardCorrupt(key) {
+        this.backend.removeItem(key + StorageManager.CORRUPT_SUFFIX);
+        this.issues = this.issues.filter(issue => issue.key !== key);
+        return { success: true };
+    }
+
+    /**
+     * Move every record to another backend
+     * Moving to a persistent backend removes the records from the old one (to free its quota);
+     * moving to 'memory' leaves them in place.
+     * @returns {Promise<object>} { success, moved } or { success: false, error }
+     */
+    async useBackend(name) {
+        if (!StorageManager.BACKENDS.includes(name)) {
+            return { success: false, error: `Unknown storage backend: ${name}` };
+        }
+        if (name === this.backend.name) {
+            return { success: true, moved: 0 };
+        }
+
+        let backend;
+        try {
+            backend = name === 'indexedDB'
+                ? await StorageManager.openIndexedDB(error => this.report(StorageManager.DB_NAME, error.message || String(error)))
+                : name === 'localStorage' ? StorageManager.createLocalBackend() : StorageManager.createMemoryBackend();
+        } catch (e) {
+            return { success: false, error: `${name} is not available: ${e.message || e}` };
+        }
+        if (!backend) {
+            return { success: false, error: `${name} is not available in this browser` };
+        }
+
+        const keys = this.backend.keys().filter(key => key.startsWith(StorageManager.PREFIX) && key !== StorageManager.BACKEND_KEY);
+        try {
+            keys.forEach(key => backend.setItem(key, this.backend.getItem(key)));
+            // IndexedDB writes finish in the background; keep the old copies until they have
+            const error = backend.flush ? await backend.flush() : null;
+            if (error) throw error;
+        } catch (e) {
+            keys.forEach(key => backend.removeItem(key));
+            return { success: false, error: StorageManager.isQuotaError(e) ? `Not enough room in ${name}` : `Could not move data: ${e.message || e}` };
+        }
+
+        if (name !== 'memory') {
+            keys.forEach(key => this.backend.removeItem(key));
+        }
+        this.backend = backend;
+
+        // Remember the choice for the next page load (the setting itself always lives in localStorage)
+        const local = StorageManager.createLocalBackend();
+        if (local && name !== 'memory') {
+            if (name === 'indexedDB') local.setItem(StorageManager.BACKEND_KEY, name);
+            else local.removeItem(StorageManager.BACKEND_KEY);
+        }
+
+        return { success: true, moved: keys.length };
+    }
+}
+
+const storage = new StorageManager();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.StorageManager = StorageManager;
+    window.storage = storage;
+}
+
+// For Node.js/SSR
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageManager;
+}
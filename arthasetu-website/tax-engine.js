@@ -0,0 +1,306 @@
+/**
+ * TAX-ENGINE.JS
+ * Indian capital-gains tax on mutual fund redemptions (estimates, not tax advice)
+ * Works on the holdings-tracker.js ledger: sells are matched to purchase lots first-in, first-out.
+ *
+ * Tax types (ledger funds[name].taxType, else derived from assetClass):
+ * - equity: equity-oriented funds (65%+ domestic equity)
+ * - debt:   specified funds (35% or less equity); units bought on/after DEBT_SLAB_FROM are always taxed at slab rate
+ * - hybrid: everything in between
+ *
+ * Rules are picked by sale date from REGIMES; each regime lists, per tax type, the holding period
+ * (in months) after which a gain is long-term and the flat rates that apply ('slab' means the
+ * investor's income-tax slab rate). Indexation for older debt/hybrid LTCG is not modelled.
+ * Budget changes: add a regime with TaxEngine.configure({ regimes: [{ from, ... }] }).
+ */
+
+class TaxEngine {
+    static DEBT_SLAB_FROM = '2023-04-01';
+
+    static REGIMES = [
+        {
+            from: '2018-04-01',
+            ltcgExemption: 100000,
+            equity: { longTermMonths: 12, stcgRate: 15, ltcgRate: 10 },
+            debt: { longTermMonths: 36, stcgRate: 'slab', ltcgRate: 20 },
+            hybrid: { longTermMonths: 36, stcgRate: 'slab', ltcgRate: 20 }
+        },
+        {
+            from: '2024-07-23',
+            ltcgExemption: 125000,
+            equity: { longTermMonths: 12, stcgRate: 20, ltcgRate: 12.5 },
+            debt: { longTermMonths: 24, stcgRate: 'slab', ltcgRate: 12.5 },
+            hybrid: { longTermMonths: 24, stcgRate: 'slab', ltcgRate: 12.5 }
+        }
+    ];
+
+    static DEFAULT_SETTINGS = { slabRate: 30, cessRate: 4 };
+
+    // User overrides, e.g. from auth.getSettings().taxRules
+    static overrides = {};
+
+    /**
+     * Set the slab rate, cess, or add/replace regimes (matched by `from` date)
+     * @param {object} overrides - { slabRate?, cessRate?, regimes?: [{ from, ltcgExemption?, equity?, debt?, hybrid? }] }
+     */
+    static configure(overrides = {}) {
+        this.overrides = overrides || {};
+    }
+
+    static getSettings() {
+        const { regimes, ...settings } = this.overrides;
+        return { ...this.DEFAULT_SETTINGS, ...settings };
+    }
+
+    /**
+     * Effective regimes (defaults merged with overrides), oldest first
+     */
+    static getRegimes() {
+        const byFrom = new Map(this.REGIMES.map(r => [r.from, r]));
+        (this.overrides.regimes || []).forEach(custom => {
+            const base = byFrom.get(custom.from) || {};
+            byFrom.set(custom.from, {
+                ...base,
+                ...custom,
+                equity: { ...base.equity, ...custom.equity },
+                debt: { ...base.debt, ...custom.debt },
+                hybrid: { ...base.hybrid, ...custom.hybrid }
+            });
+        });
+        return [...byFrom.values()].sort((a, b) => a.from.localeCompare(b.from));
+    }
+
+    /**
+     * Regime in force on a sale date
+     */
+    static getRules(saleDate) {
+        const regimes = this.getRegimes();
+        return regimes.filter(r => r.from <= saleDate).pop() || regimes[0];
+    }
+
+    /**
+     * Indian financial year (April-March) for a date, e.g. '2025-26'
+     */
+    static getFinancialYear(date) {
+        const [year, month] = date.split('-').map(Number);
+        const start = month >= 4 ? year : year - 1;
+        return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+    }
+
+    static getFinancialYearRange(fy) {
+        const start = parseInt(fy, 10);
+        return { from: `${start}-04-01`, to: `${start + 1}-03-31` };
+    }
+
+    static getTaxType(fundInfo = {}) {
+        if (fundInfo.taxType) return fundInfo.taxType;
+        return fundInfo.assetClass === 'equity' ? 'equity' : 'debt';
+    }
+
+    static addMonths(date, months) {
+        const d = new Date(date + 'T00:00:00Z');
+        d.setUTCMonth(d.getUTCMonth() + months);
+        return d.toISOString().slice(0, 10);
+    }
+
+    /**
+     * STCG/LTCG and the applicable rate for one matched lot
+     * @returns {object} { term: 'STCG' | 'LTCG', rate (% or 'slab'), exemptEligible }
+     */
+    static classify(taxType, buyDate, sellDate) {
+        const rules = this.getRules(sellDate);
+        const typeRules = rules[taxType] || rules.debt;
+
+        if (taxType === 'debt' && buyDate >= this.DEBT_SLAB_FROM) {
+            return { term: 'STCG', rate: 'slab', exemptEligible: false };
+        }
+
+        // Long-term only when held for more than the period, e.g. 12 months and a day
+        const longTerm = sellDate > this.addMonths(buyDate, typeRules.longTermMonths);
+        return longTerm
+            ? { term: 'LTCG', rate: typeRules.ltcgRate, exemptEligible: taxType === 'equity' }
+            : { term: 'STCG', rate: typeRules.stcgRate, exemptEligible: false };
+    }
+
+    /**
+     * Gain entry for part of a purchase lot sold at a NAV
+     */
+    static buildGain({ fund, taxType, buyDate, buyNav, sellDate, sellNav, units }) {
+        const cost = units * buyNav;
+        const proceeds = units * sellNav;
+        return {
+            fund: fund,
+            taxType: taxType,
+            buyDate: buyDate,
+            sellDate: sellDate,
+            units: units,
+            cost: cost,
+            proceeds: proceeds,
+            gain: proceeds - cost,
+            financialYear: this.getFinancialYear(sellDate),
+            ...this.classify(taxType, buyDate, sellDate)
+        };
+    }
+
+    /**
+     * Every sale in the ledger, split into FIFO-matched gain entries
+     */
+    static getRealizedGains(ledger) {
+        const normalized = HoldingsTracker.normalizeLedger(ledger);
+        const funds = [...new Set(normalized.transactions.map(t => t.fund))];
+
+        return funds.flatMap(fund => {
+            const taxType = this.getTaxType(normalized.funds[fund]);
+            return HoldingsTracker.matchLots(normalized, fund).realized
+                .map(match => this.buildGain({ fund, taxType, ...match }));
+        }).sort((a, b) => a.sellDate.localeCompare(b.sellDate));
+    }
+
+    /**
+     * Tax on a set of gain entries from one financial year
+     * Short-term losses are set off against any gains, long-term losses only against LTCG
+     * (highest rate first); the LTCG exemption then applies to remaining equity LTCG.
+     * @returns {object} { buckets, exemptionLimit, exemptionUsed, tax, cess, totalTax }
+     */
+    static computeTax(gains, financialYear) {
+        const settings = this.getSettings();
+        const rateOf = rate => rate === 'slab' ? settings.slabRate : rate;
+
+        const byKey = new Map();
+        gains.forEach(g => {
+            const key = `${g.term}|${g.rate}|${g.exemptEligible}`;
+            const bucket = byKey.get(key) || { term: g.term, rate: g.rate, ratePercent: rateOf(g.rate), exemptEligible: g.exemptEligible, gain: 0, exempt: 0 };
+            bucket.gain += g.gain;
+            byKey.set(key, bucket);
+        });
+
+        const buckets = [...byKey.values()].map(b => ({ ...b, taxable: Math.max(b.gain, 0) }));
+        const byRate = list => list.filter(b => b.taxable > 0).sort((a, b) => b.ratePercent - a.ratePercent);
+        const setOff = (loss, targets) => {
+            targets.forEach(b => {
+                const used = Math.min(loss, b.taxable);
+                b.taxable -= used;
+                loss -= used;
+            });
+            return loss;
+        };
+
+        const shortLoss = buckets.filter(b => b.term === 'STCG' && b.gain < 0).reduce((s, b) => s - b.gain, 0);
+        const longLoss = buckets.filter(b => b.term === 'LTCG' && b.gain < 0).reduce((s, b) => s - b.gain, 0);
+        const shortLeft = setOff(shortLoss, byRate(buckets.filter(b => b.term === 'STCG')));
+        const lossCarriedForward = setOff(shortLeft + longLoss, byRate(buckets.filter(b => b.term === 'LTCG')));
+
+        const rules = this.getRules(this.getFinancialYearRange(financialYear).to);
+        let exemption = rules.ltcgExemption;
+        byRate(buckets.filter(b => b.exemptEligible)).forEach(b => {
+            const used = Math.min(exemption, b.taxable);
+            b.exempt = used;
+            b.taxable -= used;
+            exemption -= used;
+        });
+
+        buckets.forEach(b => { b.tax = b.taxable * b.ratePercent / 100; });
+        const tax = buckets.reduce((sum, b) => sum + b.tax, 0);
+        const cess = tax * settings.cessRate / 100;
+
+        return {
+            buckets: buckets,
+            exemptionLimit: rules.ltcgExemption,
+            exemptionUsed: rules.ltcgExemption - exemption,
+            lossCarriedForward: lossCarriedForward,
+            tax: tax,
+            cess: cess,
+            totalTax: tax + cess
+        };
+    }
+
+    /**
+     * Capital-gains report for one financial year
+     */
+    static getFinancialYearReport(ledger, financialYear) {
+        const entries = this.getRealizedGains(ledger).filter(g => g.financialYear === financialYear);
+        const sum = (term, field) => entries.filter(g => !term || g.term === term).reduce((s, g) => s + g[field], 0);
+
+        return {
+            financialYear: financialYear,
+            entries: entries,
+            proceeds: sum(null, 'proceeds'),
+            cost: sum(null, 'cost'),
+            stcg: sum('STCG', 'gain'),
+            ltcg: sum('LTCG', 'gain'),
+            ...this.computeTax(entries, financialYear)
+        };
+    }
+
+    /**
+     * Financial years with sales in the ledger (plus the current one), newest first
+     */
+    static getFinancialYears(ledger, today = new Date().toISOString().slice(0, 10)) {
+        const years = new Set(this.getRealizedGains(ledger).map(g => g.financialYear));
+        years.add(this.getFinancialYear(today));
+        return [...years].sort().reverse();
+    }
+
+    /**
+     * Estimate tax on redeeming units of a fund
+     * The extra tax accounts for gains (and exemption) already used in the same financial year.
+     * @param {object} options - { units, nav?, date? } - nav defaults to the fund's current NAV
+     */
+    static estimateRedemption(ledger, fund, { units, nav, date } = {}) {
+        const normalized = HoldingsTracker.normalizeLedger(ledger);
+        const fundInfo = normalized.funds[fund] || {};
+        const sellDate = date || new Date().toISOString().slice(0, 10);
+        const sellNav = parseFloat(nav) || fundInfo.currentNav;
+        const held = HoldingsTracker.getUnitsHeld(normalized, fund);
+
+        if (!(units > 0)) return { success: false, error: 'Units must be greater than zero' };
+        if (!(sellNav > 0)) return { success: false, error: 'Enter the NAV to sell at' };
+        if (units > held + 1e-6) return { success: false, error: `Only ${held.toFixed(3)} units are held` };
+
+        const taxType = this.getTaxType(fundInfo);
+        const lots = [];
+        let remaining = units;
+        HoldingsTracker.getOpenLots(normalized, fund).forEach(lot => {
+            if (remaining <= 1e-9) return;
+            const used = Math.min(lot.units, remaining);
+            lots.push(this.buildGain({ fund, taxType, buyDate: lot.date, buyNav: lot.nav, sellDate, sellNav, units: used }));
+            remaining -= used;
+        });
+
+        const financialYear = this.getFinancialYear(sellDate);
+        const earlier = this.getRealizedGains(normalized).filter(g => g.financialYear === financialYear);
+        const before = this.computeTax(earlier, financialYear);
+        const after = this.computeTax(earlier.concat(lots), financialYear);
+        const proceeds = lots.reduce((s, l) => s + l.proceeds, 0);
+        const estimatedTax = after.totalTax - before.totalTax;
+
+        return {
+            success: true,
+            fund: fund,
+            taxType: taxType,
+            financialYear: financialYear,
+            lots: lots,
+            proceeds: proceeds,
+            cost: lots.reduce((s, l) => s + l.cost, 0),
+            stcg: lots.filter(l => l.term === 'STCG').reduce((s, l) => s + l.gain, 0),
+            ltcg: lots.filter(l => l.term === 'LTCG').reduce((s, l) => s + l.gain, 0),
+            exemptionLeft: before.exemptionLimit - before.exemptionUsed,
+            estimatedTax: estimatedTax,
+            netProceeds: proceeds - estimatedTax
+        };
+    }
+
+    static formatRate(rate) {
+        return rate === 'slab' ? `slab (${this.getSettings().slabRate}%)` : `${rate}%`;
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.TaxEngine = TaxEngine;
+}
+
+// For Node.js/SSR
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaxEngine;
+}
@@ -0,0 +1,198 @@
+/**
+ * TAX-HARVESTER.JS
+ * Year-end tax-loss and tax-gain harvesting suggestions from the holdings ledger
+ * Works with tax-engine.js (classification and tax), holdings-tracker.js (open lots)
+ * and rebalancer.js (re-entry plan that keeps the target allocation)
+ *
+ * - Gain harvesting: sell equity units held long-term to book LTCG up to the unused annual exemption,
+ *   then buy back, so future gains are taxed from a higher cost.
+ * - Loss harvesting: sell units sitting at a loss to offset gains already booked this financial year
+ *   (or carry the loss forward), then re-invest.
+ * Redemptions always consume the oldest units first, so each suggestion is a FIFO prefix of a fund's lots.
+ */
+
+class TaxHarvester {
+    /**
+     * Open lots of every fund priced at its current NAV, as if sold on `date`
+     * @returns {object} { [fund]: [gain entry from TaxEngine.buildGain] } in FIFO order
+     */
+    static getUnrealizedLots(ledger, date) {
+        const normalized = HoldingsTracker.normalizeLedger(ledger);
+        const byFund = {};
+
+        Object.keys(normalized.funds).forEach(fund => {
+            const info = normalized.funds[fund];
+            if (!(info.currentNav > 0)) return;
+
+            const taxType = TaxEngine.getTaxType(info);
+            const lots = HoldingsTracker.getOpenLots(normalized, fund).map(lot => TaxEngine.buildGain({
+                fund, taxType, buyDate: lot.date, buyNav: lot.nav, sellDate: date, sellNav: info.currentNav, units: lot.units
+            }));
+            if (lots.length) byFund[fund] = lots;
+        });
+
+        return byFund;
+    }
+
+    /**
+     * Summarise selling some lots: units, proceeds, gain and the extra tax on top of `baseline`
+     */
+    static buildSuggestion(fund, lots, baseline, financialYear) {
+        const before = TaxEngine.computeTax(baseline, financialYear);
+        const after = TaxEngine.computeTax(baseline.concat(lots), financialYear);
+
+        return {
+            fund: fund,
+            taxType: lots[0].taxType,
+            lots: lots,
+            units: lots.reduce((s, l) => s + l.units, 0),
+            proceeds: lots.reduce((s, l) => s + l.proceeds, 0),
+            gain: lots.reduce((s, l) => s + l.gain, 0),
+            taxNow: after.totalTax - before.totalTax,
+            lossCarriedForward: after.lossCarriedForward - before.lossCarriedForward
+        };
+    }
+
+    /**
+     * Scale a lot down to part of its units
+     */
+    static partialLot(lot, units) {
+        const share = units / lot.units;
+        return { ...lot, units: units, cost: lot.cost * share, proceeds: lot.proceeds * share, gain: lot.gain * share };
+    }
+
+    /**
+     * Lots to sell to book LTCG up to the unused exemption (shared across funds, largest gains first)
+     * Tax saved is the LTCG tax the booked gain would otherwise attract when sold later.
+     */
+    static suggestGainHarvest(ledger, date, realized) {
+        const financialYear = TaxEngine.getFinancialYear(date);
+        const status = TaxEngine.computeTax(realized, financialYear);
+        const rules = TaxEngine.getRules(date);
+        const cess = TaxEngine.getSettings().cessRate;
+        let exemptionLeft = status.exemptionLimit - status.exemptionUsed;
+        let booked = [...realized];
+
+        const candidates = Object.entries(this.getUnrealizedLots(ledger, date)).map(([fund, lots]) => {
+            // Only the leading run of long-term, in-profit lots can be sold without touching short-term units
+            const run = [];
+            for (const lot of lots) {
+                if (!lot.exemptEligible || lot.term !== 'LTCG' || lot.gain <= 0) break;
+                run.push(lot);
+            }
+            return { fund, lots: run, gain: run.reduce((s, l) => s + l.gain, 0) };
+        }).filter(c => c.lots.length).sort((a, b) => b.gain - a.gain);
+
+        const suggestions = [];
+        candidates.forEach(candidate => {
+            if (exemptionLeft < 1) return;
+
+            const picked = [];
+            let room = exemptionLeft;
+            for (const lot of candidate.lots) {
+                if (room < 1) break;
+                picked.push(lot.gain <= room ? lot : this.partialLot(lot, lot.units * room / lot.gain));
+                room -= Math.min(lot.gain, room);
+            }
+
+            const suggestion = this.buildSuggestion(candidate.fund, picked, booked, financialYear);
+            suggestion.taxSaved = suggestion.gain * rules.equity.ltcgRate / 100 * (1 + cess / 100) - suggestion.taxNow;
+            suggestions.push(suggestion);
+
+            booked = booked.concat(picked);
+            exemptionLeft -= suggestion.gain;
+        });
+
+        return { exemptionLeft: status.exemptionLimit - status.exemptionUsed, suggestions: suggestions };
+    }
+
+    /**
+     * Per fund, the FIFO sale with the largest net loss
+     * Tax saved is measured against gains already booked this financial year.
+     */
+    static suggestLossHarvest(ledger, date, realized) {
+        const financialYear = TaxEngine.getFinancialYear(date);
+
+        return Object.entries(this.getUnrealizedLots(ledger, date)).map(([fund, lots]) => {
+            let running = 0;
+            let best = { end: 0, gain: 0 };
+            lots.forEach((lot, i) => {
+                running += lot.gain;
+                if (running < best.gain) best = { end: i + 1, gain: running };
+            });
+            if (best.end === 0) return null;
+
+            const suggestion = this.buildSuggestion(fund, lots.slice(0, best.end), realized, financialYear);
+            suggestion.taxSaved = -suggestion.taxNow;
+            return suggestion;
+        }).filter(Boolean).sort((a, b) => b.taxSaved - a.taxSaved || a.gain - b.gain);
+    }
+
+    /**
+     * Where to re-invest the proceeds so the portfolio stays on target
+     * Sold value is taken out of each holding and the proceeds (after tax) are added back as fresh money;
+     * each asset class's share goes back into the funds sold from that class (India has no wash-sale rule).
+     */
+    static buildReentryPlan(ledger, suggestions, targetAllocation) {
+        const funds = HoldingsTracker.normalizeLedger(ledger).funds;
+        const sold = {};
+        suggestions.forEach(s => { sold[s.fund] = (sold[s.fund] || 0) + s.proceeds; });
+
+        const holdings = HoldingsTracker.getPortfolioSummary(ledger).holdings
+            .map(h => ({ ...h, currentValue: Math.max(0, h.currentValue - (sold[h.fund] || 0)) }));
+        const freshMoney = suggestions.reduce((s, x) => s + x.proceeds - Math.max(0, x.taxNow), 0);
+        const plan = Rebalancer.planRebalance(holdings, targetAllocation, { mode: 'sip-only', freshMoney });
+
+        const trades = [];
+        Object.keys(targetAllocation).forEach(asset => {
+            const classTrades = plan.trades.filter(t => t.assetClass === asset && t.amount > 0);
+            const amount = classTrades.reduce((s, t) => s + t.amount, 0);
+            const soldFunds = Object.keys(sold).filter(fund => funds[fund] && funds[fund].assetClass === asset);
+            const soldValue = soldFunds.reduce((s, fund) => s + sold[fund], 0);
+
+            if (soldFunds.length === 0 || soldValue <= 0) {
+                trades.push(...classTrades);
+                return;
+            }
+            soldFunds.forEach(fund => {
+                trades.push({ fund, assetClass: asset, action: 'buy', amount: Math.round(amount * sold[fund] / soldValue) });
+            });
+        });
+
+        return { ...plan, trades: trades.filter(t => t.amount >= 1) };
+    }
+
+    /**
+     * Full harvesting review for a date (defaults to today)
+     * @returns {object} { financialYear, daysLeft, gainHarvest, lossHarvest, reentry: { gain, loss } }
+     */
+    static analyze(ledger, targetAllocation, date = new Date().toISOString().slice(0, 10)) {
+        const financialYear = TaxEngine.getFinancialYear(date);
+        const realized = TaxEngine.getRealizedGains(ledger).filter(g => g.financialYear === financialYear && g.sellDate <= date);
+        const yearEnd = TaxEngine.getFinancialYearRange(financialYear).to;
+
+        const gainHarvest = this.suggestGainHarvest(ledger, date, realized);
+        const lossHarvest = this.suggestLossHarvest(ledger, date, realized);
+
+        return {
+            financialYear: financialYear,
+            daysLeft: Utils.daysBetween(new Date(yearEnd), new Date(date)),
+            gainHarvest: gainHarvest,
+            lossHarvest: lossHarvest,
+            reentry: {
+                gain: gainHarvest.suggestions.length ? this.buildReentryPlan(ledger, gainHarvest.suggestions, targetAllocation) : null,
+                loss: lossHarvest.length ? this.buildReentryPlan(ledger, lossHarvest, targetAllocation) : null
+            }
+        };
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.TaxHarvester = TaxHarvester;
+}
+
+// For Node.js/SSR
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaxHarvester;
+}
@@ -1,276 +1,353 @@
-/**
- * UTILS.JS
- * Utility functions for calculations, formatting, and helpers
- */
-
-class Utils {
-    /**
-     * Format currency in Indian Rupees
-     */
-    static formatCurrency(amount) {
-        return new Intl.NumberFormat('en-IN', {
-            style: 'currency',
-            currency: 'INR',
-            maximumFractionDigits: 0
-        }).format(amount);
-    }
-
-    /**
-     * Format large numbers with commas
-     */
-    static formatNumber(num) {
-        return num.toLocaleString('en-IN', {
-            maximumFractionDigits: 0
-        });
-    }
-
-    /**
-     * Format percentage
-     */
-    static formatPercent(num, decimals = 2) {
-        return (num).toFixed(decimals) + '%';
-    }
-
-    /**
-     * Calculate compound interest
-     * Principal × (1 + Rate)^Years
-     */
-    static calculateCI(principal, rate, years) {
-        const rateDecimal = rate / 100;
-        return principal * Math.pow(1 + rateDecimal, years);
-    }
-
-    /**
-     * Calculate SIP Future Value (Forward)
-     */
-    static calculateSIPFuture(sip, years, annualRate) {
-        const monthlyRate = annualRate / 100 / 12;
-        const months = years * 12;
-        const fv = sip * (Math.pow(1 + monthlyRate, months) - 1) / monthlyRate * (1 + monthlyRate);
-        return {
-            futureValue: fv,
-            principal: sip * months,
-            gains: fv - (sip * months)
-        };
-    }
-
-    /**
-     * Calculate Required SIP (Reverse)
-     */
-    static calculateSIPReverse(goal, years, annualRate) {
-        const monthlyRate = annualRate / 100 / 12;
-        const months = years * 12;
-        const sip = goal / ((Math.pow(1 + monthlyRate, months) - 1) / monthlyRate * (1 + monthlyRate));
-        return {
-            monthlySIP: sip,
-            totalInvested: sip * months,
-            gains: goal - (sip * months)
-        };
-    }
-
-    /**
-     * Calculate CAGR
-     */
-    static calculateCAGR(startValue, endValue, years) {
-        return (Math.pow(endValue / startValue, 1 / years) - 1) * 100;
-    }
-
-    /**
-     * Validate email
-     */
-    static isValidEmail(email) {
-        const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return re.test(email);
-    }
-
-    /**
-     * Validate password (min 6 chars)
-     */
-    static isValidPassword(password) {
-        return password && password.length >= 6;
-    }
-
-    /**
-     * Get asset allocation by risk profile
-     */
-    static getAssetAllocation(riskProfile) {
-        const allocations = {
-            'conservative': { equity: 25, debt: 70, cash: 5 },
-            'moderate': { equity: 55, debt: 35, cash: 10 },
-            'growth': { equity: 75, debt: 20, cash: 5 },
-            'aggressive': { equity: 90, debt: 8, cash: 2 }
-        };
-        return allocations[riskProfile.toLowerCase()] || allocations['moderate'];
-    }
-
-    /**
-     * Calculate portfolio value
-     */
-    static calculatePortfolioValue(holdings) {
-        return holdings.reduce((sum, holding) => sum + (holding.quantity * holding.price), 0);
-    }
-
-    /**
-     * Calculate portfolio allocation percentage
-     */
-    static calculateAllocationPercent(value, total) {
-        return ((value / total) * 100).toFixed(2);
-    }
-
-    /**
-     * Score fund based on metrics (0-100)
-     */
-    static scoreFund(metrics) {
-        let score = 0;
-
-        // ER scoring (lower is better) - 0-25
-        if (metrics.er <= 0.5) score += 25;
-        else if (metrics.er <= 1.0) score += 20;
-        else if (metrics.er <= 1.5) score += 15;
-        else score += 10;
-
-        // Alpha scoring (higher is better) - 0-25
-        if (metrics.alpha >= 3) score += 25;
-        else if (metrics.alpha >= 2) score += 20;
-        else if (metrics.alpha >= 1) score += 15;
-        else if (metrics.alpha >= 0) score += 10;
-        else score += 5;
-
-        // Sharpe Ratio scoring - 0-25
-        if (metrics.sharpe >= 2.0) score += 25;
-        else if (metrics.sharpe >= 1.5) score += 20;
-        else if (metrics.sharpe >= 1.0) score += 15;
-        else score += 10;
-
-        // CAGR scoring - 0-25
-        if (metrics.cagr >= 18) score += 25;
-        else if (metrics.cagr >= 15) score += 20;
-        else if (metrics.cagr >= 12) score += 15;
-        else score += 10;
-
-        return Math.round(score);
-    }
-
-    /**
-     * Get score category
-     */
-    static getScoreCategory(score) {
-        if (score >= 80) return 'Excellent';
-        if (score >= 60) return 'Good';
-        if (score >= 40) return 'Average';
-        return 'Poor';
-    }
-
-    /**
-     * Get score color class
-     */
-    static getScoreColor(score) {
-        if (score >= 80) return 'score-high';
-        if (score >= 60) return 'score-mid';
-        return 'score-low';
-    }
-
-    /**
-     * Generate unique ID
-     */
-    static generateId() {
-        return 'id_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-    }
-
-    /**
-     * Debounce function
-     */
-    static debounce(func, wait) {
-        let timeout;
-        return function executedFunction(...args) {
-            const later = () => {
-                clearTimeout(timeout);
-                func(...args);
-            };
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
-        };
-    }
-
-    /**
-     * Throttle function
-     */
-    static throttle(func, limit) {
-        let inThrottle;
-        return function(...args) {
-            if (!inThrottle) {
-                func.apply(this, args);
-                inThrottle = true;
-                setTimeout(() => inThrottle = false, limit);
-            }
-        };
-    }
-
-    /**
-     * Deep copy object
-     */
-    static deepCopy(obj) {
-        return JSON.parse(JSON.stringify(obj));
-    }
-
-    /**
-     * Get today's date formatted
-     */
-    static getTodayFormatted() {
-        return new Date().toLocaleDateString('en-IN', {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
-        });
-    }
-
-    /**
-     * Calculate days between two dates
-     */
-    static daysBetween(date1, date2) {
-        const oneDay = 24 * 60 * 60 * 1000;
-        return Math.round(Math.abs((date1 - date2) / oneDay));
-    }
-
-    /**
-     * Show notification
-     */
-    static showNotification(message, type = 'info') {
-        const notification = document.createElement('div');
-        notification.className = `notification notification-${type}`;
-        notification.textContent = message;
-        document.body.appendChild(notification);
-
-        setTimeout(() => {
-            notification.remove();
-        }, 3000);
-    }
-
-    /**
-     * Validate form inputs
-     */
-    static validateFormInputs(inputs) {
-        const errors = {};
-        
-        for (const [key, value] of Object.entries(inputs)) {
-            if (!value || value.toString().trim() === '') {
-                errors[key] = 'This field is required';
-            }
-        }
-
-        return {
-            isValid: Object.keys(errors).length === 0,
-            errors
-        };
-    }
-}
-
-// Make available globally
-if (typeof window !== 'undefined') {
-    window.Utils = Utils;
-}
-
-// For Node.js/SSR
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = Utils;
+/**
+ * UTILS.JS
+ * Utility functions for calculations, formatting, and helpers
+ */
+
+class Utils {
+    /**
+     * Format currency in Indian Rupees
+     */
+    static formatCurrency(amount) {
+        return new Intl.NumberFormat('en-IN', {
+            style: 'currency',
+            currency: 'INR',
+            maximumFractionDigits: 0
+        }).format(amount);
+    }
+
+    /**
+     * Format large numbers with commas
+     */
+    static formatNumber(num) {
+        return num.toLocaleString('en-IN', {
+            maximumFractionDigits: 0
+        });
+    }
+
+    /**
+     * Format percentage
+     */
+    static formatPercent(num, decimals = 2) {
+        return (num).toFixed(decimals) + '%';
+    }
+
+    /**
+     * Calculate compound interest
+     * Principal × (1 + Rate)^Years
+     */
+    static calculateCI(principal, rate, years) {
+        const rateDecimal = rate / 100;
+        return principal * Math.pow(1 + rateDecimal, years);
+    }
+
+    /**
+     * Calculate SIP Future Value (Forward)
+     */
+    static calculateSIPFuture(sip, years, annualRate) {
+        const monthlyRate = annualRate / 100 / 12;
+        const months = years * 12;
+        const fv = sip * (Math.pow(1 + monthlyRate, months) - 1) / monthlyRate * (1 + monthlyRate);
+        return {
+            futureValue: fv,
+            principal: sip * months,
+            gains: fv - (sip * months)
+        };
+    }
+
+    /**
+     * Calculate Required SIP (Reverse)
+     */
+    static calculateSIPReverse(goal, years, annualRate) {
+        const monthlyRate = annualRate / 100 / 12;
+        const months = years * 12;
+        const sip = goal / ((Math.pow(1 + monthlyRate, months) - 1) / monthlyRate * (1 + monthlyRate));
+        return {
+            monthlySIP: sip,
+            totalInvested: sip * months,
+            gains: goal - (sip * months)
+        };
+    }
+
+    /**
+     * Calculate CAGR
+     * Only valid for a single investment held over the period; use calculateXIRR for SIPs and partial sells.
+     */
+    static calculateCAGR(startValue, endValue, years) {
+        return (Math.pow(endValue / startValue, 1 / years) - 1) * 100;
+    }
+
+    /**
+     * Calculate XIRR (annualised return for irregular cash flows)
+     * Money invested is negative, money received (or current value) is positive.
+     * Solves Σ amount / (1 + rate)^(days / 365) = 0 with Newton-Raphson, falling back to bisection.
+     * @param {Array} cashflows - [{ amount, date }]
+     * @returns {number|null} Annual return percentage, or null if it cannot be solved
+     */
+    static calculateXIRR(cashflows, guess = 0.1) {
+        const flows = cashflows
+            .filter(cf => cf.amount !== 0)
+            .map(cf => ({ amount: cf.amount, date: new Date(cf.date) }))
+            .sort((a, b) => a.date - b.date);
+
+        if (flows.length < 2 || !flows.some(cf => cf.amount < 0) || !flows.some(cf => cf.amount > 0)) {
+            return null;
+        }
+
+        const start = flows[0].date;
+        const yearFractions = flows.map(cf => (cf.date - start) / (365 * 24 * 60 * 60 * 1000));
+        const npv = rate => flows.reduce((sum, cf, i) => sum + cf.amount / Math.pow(1 + rate, yearFractions[i]), 0);
+        const dNpv = rate => flows.reduce((sum, cf, i) => sum - yearFractions[i] * cf.amount / Math.pow(1 + rate, yearFractions[i] + 1), 0);
+
+        // Newton-Raphson
+        let rate = guess;
+        for (let i = 0; i < 100; i++) {
+            const value = npv(rate);
+            const derivative = dNpv(rate);
+            if (!isFinite(value) || !isFinite(derivative) || derivative === 0) break;
+
+            const next = rate - value / derivative;
+            if (next <= -1) break;
+            if (Math.abs(next - rate) < 1e-9) return next * 100;
+            rate = next;
+        }
+
+        // Bisection fallback between -99.99% and +1,000,000%
+        let low = -0.9999;
+        let high = 10000;
+        if (npv(low) * npv(high) > 0) return null;
+
+        for (let i = 0; i < 300; i++) {
+            const mid = (low + high) / 2;
+            const value = npv(mid);
+            if (Math.abs(value) < 1e-7) return mid * 100;
+            if (npv(low) * value < 0) high = mid;
+            else low = mid;
+        }
+
+        return ((low + high) / 2) * 100;
+    }
+
+    /**
+     * Validate email
+     */
+    static isValidEmail(email) {
+        const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        return re.test(email);
+    }
+
+    /**
+     * Validate password (min 6 chars)
+     */
+    static isValidPassword(password) {
+        return password && password.length >= 6;
+    }
+
+    /**
+     * Get asset allocation by risk profile
+     */
+    static getAssetAllocation(riskProfile) {
+        const allocations = {
+            'conservative': { equity: 25, debt: 70, cash: 5 },
+            'moderate': { equity: 55, debt: 35, cash: 10 },
+            'growth': { equity: 75, debt: 20, cash: 5 },
+            'aggressive': { equity: 90, debt: 8, cash: 2 }
+        };
+        return allocations[(riskProfile || '').toLowerCase()] || allocations['moderate'];
+    }
+
+    /**
+     * Calculate portfolio value
+     */
+    static calculatePortfolioValue(holdings) {
+        return holdings.reduce((sum, holding) => sum + (holding.quantity * holding.price), 0);
+    }
+
+    /**
+     * Calculate portfolio allocation percentage
+     */
+    static calculateAllocationPercent(value, total) {
+        return ((value / total) * 100).toFixed(2);
+    }
+
+    /**
+     * Score fund based on metrics (0-100)
+     * Category-aware; uses percentiles when `peers` has enough funds of the same category.
+     * Delegates to FundScorer (fund-scorer.js), which also gives the per-metric breakdown.
+     */
+    static scoreFund(metrics, peers = []) {
+        return FundScorer.scoreFund(metrics, peers).score;
+    }
+
+    /**
+     * Get score category
+     */
+    static getScoreCategory(score) {
+        if (score >= 80) return 'Excellent';
+        if (score >= 60) return 'Good';
+        if (score >= 40) return 'Average';
+        return 'Poor';
+    }
+
+    /**
+     * Get score color class
+     */
+    static getScoreColor(score) {
+        if (score >= 80) return 'score-high';
+        if (score >= 60) return 'score-mid';
+        return 'score-low';
+    }
+
+    /**
+     * Generate unique ID
+     */
+    static generateId() {
+        return 'id_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Debounce function
+     */
+    static debounce(func, wait) {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    }
+
+    /**
+     * Throttle function
+     */
+    static throttle(func, limit) {
+        let inThrottle;
+        return function(...args) {
+            if (!inThrottle) {
+                func.apply(this, args);
+                inThrottle = true;
+                setTimeout(() => inThrottle = false, limit);
+            }
+        };
+    }
+
+    /**
+     * Escape text for use inside innerHTML templates
+     */
+    static escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Deep copy object
+     */
+    static deepCopy(obj) {
+        return JSON.parse(JSON.stringify(obj));
+    }
+
+    /**
+     * Get today's date formatted
+     */
+    static getTodayFormatted() {
+        return new Date().toLocaleDateString('en-IN', {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        });
+    }
+
+    /**
+     * Calculate days between two dates
+     */
+    static daysBetween(date1, date2) {
+        const oneDay = 24 * 60 * 60 * 1000;
+        return Math.round(Math.abs((date1 - date2) / oneDay));
+    }
+
+    /**
+     * Show notification
+     */
+    static showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.className = `notification notification-${type}`;
+        notification.textContent = message;
+        document.body.appendChild(notification);
+
+        setTimeout(() => {
+            notification.remove();
+        }, 3000);
+    }
+
+    /**
+     * Split one CSV line into cells, honouring double-quoted values ("1,234.50")
+     */
+    static parseCSVLine(line, delimiter = ',') {
+        const cells = [];
+        let current = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (char === '"') {
+                if (inQuotes && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else {
+                    inQuotes = !inQuotes;
+                }
+            } else if (char === delimiter && !inQuotes) {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        cells.push(current.trim());
+
+        return cells;
+    }
+
+    /**
+     * Guess the delimiter of a CSV text from its first line
+     */
+    static detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/)[0] || '';
+        const counts = [',', ';', '\t'].map(d => ({ d, count: firstLine.split(d).length }));
+        return counts.sort((a, b) => b.count - a.count)[0].d;
+    }
+
+    /**
+     * Validate form inputs
+     */
+    static validateFormInputs(inputs) {
+        const errors = {};
+        
+        for (const [key, value] of Object.entries(inputs)) {
+            if (!value || value.toString().trim() === '') {
+                errors[key] = 'This field is required';
+            }
+        }
+
+        return {
+            isValid: Object.keys(errors).length === 0,
+            errors
+        };
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.Utils = Utils;
+}
+
+// For Node.js/SSR
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Utils;
 }
\ No newline at end of file
@@ -0,0 +1,275 @@
+/**
+ * WATCHLIST-MANAGER.JS
+ * Named fund watchlists with in-place editing, reordering, automatic re-scoring and a change history
+ * Works with fund-scorer.js (scoreList), utils.js and auth.js (saveWatchlists / getWatchlists)
+ *
+ * Data Structure (saved per user):
+ * {
+ *   watchlists: [{ id, name, funds: [fund], createdAt, updatedAt }],
+ *   activeId,
+ *   history: [{ id, type, watchlistId, watchlist, fund, details, at }]
+ * }
+ * - fund: { id, name, category, er, alpha, beta, sharpe, volatility, cagr, score, ... } (see fund-choosing.html)
+ * - type: 'added' | 'edited' | 'removed' | 'rescored' | 'reordered' | 'created' | 'renamed' | 'deleted'
+ * - history is newest first and capped at HISTORY_LIMIT entries
+ * Every change re-scores the whole list (scores are relative to same-category peers), and funds whose
+ * score moved because of someone else's change get a 'rescored' entry.
+ */
+
+class WatchlistManager {
+    static HISTORY_LIMIT = 200;
+    static DEFAULT_NAME = 'My Watchlist';
+
+    // Fund fields that can be edited, with labels for the history
+    static EDITABLE_FIELDS = {
+        name: 'Name',
+        category: 'Category',
+        er: 'Expense Ratio',
+        alpha: 'Alpha',
+        beta: 'Beta',
+        sharpe: 'Sharpe Ratio',
+        volatility: 'Volatility',
+        cagr: 'CAGR'
+    };
+
+    /**
+     * Make sure saved data has the watchlist shape, with an id on every fund
+     */
+    static normalize(data) {
+        const stored = data && typeof data === 'object' ? data : {};
+        const now = new Date().toISOString();
+        const watchlists = (Array.isArray(stored.watchlists) && stored.watchlists.length ? stored.watchlists : [
+            { id: Utils.generateId(), name: this.DEFAULT_NAME, funds: [], createdAt: now, updatedAt: now }
+        ]).map(list => ({
+            ...list,
+            funds: (list.funds || []).map(fund => (fund.id ? fund : { ...fund, id: Utils.generateId() }))
+        }));
+
+        return {
+            watchlists: watchlists,
+            activeId: watchlists.some(w => w.id === stored.activeId) ? stored.activeId : watchlists[0].id,
+            history: Array.isArray(stored.history) ? stored.history : []
+        };
+    }
+
+    /**
+     * Active watchlist
+     */
+    static getActive(data) {
+        return data.watchlists.find(w => w.id === data.activeId) || data.watchlists[0];
+    }
+
+    /**
+     * Add a history entry (newest first)
+     */
+    static record(data, type, watchlist, fund = null, details = '') {
+        data.history.unshift({
+            id: Utils.generateId(),
+            type: type,
+            watchlistId: watchlist.id,
+            watchlist: watchlist.name,
+            fund: fund,
+            details: details,
+            at: new Date().toISOString()
+        });
+        data.history = data.history.slice(0, this.HISTORY_LIMIT);
+    }
+
+    /**
+     * Replace the active list's funds with `funds` re-scored, recording score moves of funds other than `changedId`
+     */
+    static applyFunds(data, funds, changedId) {
+        const watchlist = this.getActive(data);
+        const before = new Map(watchlist.funds.map(f => [f.id, f.score]));
+
+        watchlist.funds = FundScorer.scoreList(funds);
+        watchlist.updatedAt = new Date().toISOString();
+
+        watchlist.funds.forEach(fund => {
+            const previous = before.get(fund.id);
+            if (fund.id !== changedId && previous !== undefined && previous !== fund.score) {
+                this.record(data, 'rescored', watchlist, fund.name, `Score ${previous} → ${fund.score}`);
+            }
+        });
+
+        return watchlist;
+    }
+
+    /**
+     * Create a watchlist and make it active
+     * @returns {object} { success, data } or { success: false, error }
+     */
+    static createWatchlist(data, name) {
+        const label = (name || '').trim();
+        if (!label) {
+            return { success: false, error: 'Watchlist name required' };
+        }
+
+        const updated = this.normalize(Utils.deepCopy(data));
+        if (updated.watchlists.some(w => w.name.toLowerCase() === label.toLowerCase())) {
+            return { success: false, error: 'A watchlist with this name already exists' };
+        }
+
+        const now = new Date().toISOString();
+        const watchlist = { id: Utils.generateId(), name: label, funds: [], createdAt: now, updatedAt: now };
+        updated.watchlists.push(watchlist);
+        updated.activeId = watchlist.id;
+        this.record(updated, 'created', watchlist);
+
+        return { success: true, data: updated };
+    }
+
+    /**
+     * Rename the active watchlist
+     */
+    static renameWatchlist(data, name) {
+        const label = (name || '').trim();
+        if (!label) {
+            return { success: false, error: 'Watchlist name required' };
+        }
+
+        const updated = this.normalize(Utils.deepCopy(data));
+        const watchlist = this.getActive(updated);
+        if (updated.watchlists.some(w => w.id !== watchlist.id && w.name.toLowerCase() === label.toLowerCase())) {
+            return { success: false, error: 'A watchlist with this name already exists' };
+        }
+
+        const previous = watchlist.name;
+        watchlist.name = label;
+        watchlist.updatedAt = new Date().toISOString();
+        this.record(updated, 'renamed', watchlist, null, `${previous} → ${label}`);
+
+        return { success: true, data: updated };
+    }
+
+    /**
+     * Delete the active watchlist (the last one cannot be deleted)
+     */
+    static deleteWatchlist(data) {
+        const updated = this.normalize(Utils.deepCopy(data));
+        if (updated.watchlists.length === 1) {
+            return { success: false, error: 'You need at least one watchlist' };
+        }
+
+        const watchlist = this.getActive(updated);
+        updated.watchlists = updated.watchlists.filter(w => w.id !== watchlist.id);
+        updated.activeId = updated.watchlists[0].id;
+        this.record(updated, 'deleted', watchlist, null, `${watchlist.funds.length} funds`);
+
+        return { success: true, data: updated };
+    }
+
+    /**
+     * Switch the active watchlist
+     */
+    static setActive(data, id) {
+        const updated = this.normalize(Utils.deepCopy(data));
+        if (updated.watchlists.some(w => w.id === id)) updated.activeId = id;
+        return updated;
+    }
+
+    /**
+     * Add a fund to the active watchlist
+     */
+    static addFund(data, fund) {
+        const updated = this.normalize(Utils.deepCopy(data));
+        const added = { ...fund, id: Utils.generateId() };
+        const watchlist = this.applyFunds(updated, this.getActive(updated).funds.concat(added), added.id);
+        const scored = watchlist.funds.find(f => f.id === added.id);
+        this.record(updated, 'added', watchlist, scored.name, `Score ${scored.score}/100`);
+
+        return updated;
+    }
+
+    /**
+     * Edit a fund in place; `changes` holds any of EDITABLE_FIELDS (plus extras such as holdings)
+     * @returns {object} { success, data } or { success: false, error }
+     */
+    static updateFund(data, index, changes) {
+        const updated = this.normalize(Utils.deepCopy(data));
+        const funds = this.getActive(updated).funds;
+        const fund = funds[index];
+
+        if (!fund) {
+            return { success: false, error: 'Fund not found' };
+        }
+        if ('name' in changes && !(changes.name || '').trim()) {
+            return { success: false, error: 'Please enter fund name' };
+        }
+
+        const edited = { ...fund, ...changes };
+        const details = Object.keys(changes)
+            .filter(key => JSON.stringify(fund[key]) !== JSON.stringify(edited[key]))
+            .map(key => (this.EDITABLE_FIELDS[key] ? `${this.EDITABLE_FIELDS[key]} ${fund[key]} → ${edited[key]}` : `${key} updated`));
+        if (details.length === 0) {
+            return { success: true, data: updated };
+        }
+
+        const watchlist = this.applyFunds(updated, funds.map((f, i) => (i === index ? edited : f)), fund.id);
+        const scored = watchlist.funds[index];
+        if (scored.score !== fund.score) details.push(`Score ${fund.score} → ${scored.score}`);
+        this.record(updated, 'edited', watchlist, scored.name, details.join(', '));
+
+        return { success: true, data: updated };
+    }
+
+    /**
+     * Remove a fund from the active watchlist
+     */
+    static removeFund(data, index) {
+        const updated = this.normalize(Utils.deepCopy(data));
+        const funds = this.getActive(updated).funds;
+        const fund = funds[index];
+        if (!fund) return updated;
+
+        const watchlist = this.applyFunds(updated, funds.filter((f, i) => i !== index), fund.id);
+        this.record(updated, 'removed', watchlist, fund.name);
+
+        return updated;
+    }
+
+    /**
+     * Move a fund up (-1) or down (+1) in the active watchlist
+     */
+    static moveFund(data, index, offset) {
+        const updated = this.normalize(Utils.deepCopy(data));
+        const watchlist = this.getActive(updated);
+        const target = index + offset;
+        if (!watchlist.funds[index] || target < 0 || target >= watchlist.funds.length) return updated;
+
+        const [fund] = watchlist.funds.splice(index, 1);
+        watchlist.funds.splice(target, 0, fund);
+        watchlist.updatedAt = new Date().toISOString();
+        this.record(updated, 'reordered', watchlist, fund.name, `Position ${index + 1} → ${target + 1}`);
+
+        return updated;
+    }
+
+    /**
+     * Re-score every fund in the active watchlist (e.g. after the scoring weights change)
+     */
+    static rescore(data) {
+        const updated = this.normalize(Utils.deepCopy(data));
+        this.applyFunds(updated, this.getActive(updated).funds, null);
+        return updated;
+    }
+
+    /**
+     * History entries, newest first, optionally for one watchlist only
+     */
+    static getHistory(data, { watchlistId = null, limit = 20 } = {}) {
+        return this.normalize(data).history
+            .filter(entry => !watchlistId || entry.watchlistId === watchlistId)
+            .slice(0, limit);
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.WatchlistManager = WatchlistManager;
+}
+
+// For Node.js/SSR
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WatchlistManager;
+}